@@ -0,0 +1,238 @@
+/**
+ * Helpers for extracting numeric contact matrices from contact records, as returned by
+ * Dataset.getContactRecords().  Bins along locus 1 are the matrix rows, bins along locus 2 the columns.
+ */
+
+/**
+ * Choose the resolution to fetch a region pair at, given a limit on the number of bins per axis.
+ *
+ * Returns the requested bin size if the region fits, otherwise the finest coarser resolution that fits.
+ * If no available resolution fits, the coarsest one is returned together with a downsampling factor: the
+ * number of bins per axis to sum into one output bin.
+ *
+ * @param {number[]} binSizes - Available bin sizes, in any order
+ * @param {number} requested - Requested bin size
+ * @param {number} span1 - Length of locus 1 in base pairs
+ * @param {number} span2 - Length of locus 2 in base pairs
+ * @param {number} maxBins - Maximum number of bins per axis
+ * @returns {{binSize: number, factor: number}}
+ */
+function chooseResolution(binSizes, requested, span1, span2, maxBins) {
+
+    const binCount = binSize => Math.max(Math.ceil(span1 / binSize), Math.ceil(span2 / binSize))
+
+    const candidates = binSizes.filter(binSize => binSize >= requested).sort((a, b) => a - b)
+    if (candidates.length === 0 || candidates[0] !== requested) {
+        candidates.unshift(requested)
+    }
+
+    for (const binSize of candidates) {
+        if (binCount(binSize) <= maxBins) {
+            return {binSize, factor: 1}
+        }
+    }
+
+    const binSize = candidates[candidates.length - 1]
+    return {binSize, factor: Math.ceil(binCount(binSize) / maxBins)}
+}
+
+/**
+ * Expand a base pair range to whole bins.
+ *
+ * @returns {{startBin: number, endBin: number, start: number, end: number}} - endBin and end are exclusive
+ */
+function binRange(start, end, binSize) {
+    const startBin = Math.floor(start / binSize)
+    const endBin = Math.max(startBin + 1, Math.ceil(end / binSize))
+    return {startBin, endBin, start: startBin * binSize, end: endBin * binSize}
+}
+
+/**
+ * Sum contact record counts into the cells of a (possibly downsampled) matrix.
+ *
+ * Intra-chromosomal records are stored for the upper triangle only, so for sameChr each record is also
+ * mirrored across the diagonal.  For inter-chromosomal pairs the records are ordered by chromosome index,
+ * so transposed must be set when locus 1 is on the higher-index chromosome.
+ *
+ * @param {Array<{bin1: number, bin2: number, counts: number}>} records
+ * @param {{startBin: number, endBin: number}} rowBins - Bins of locus 1
+ * @param {{startBin: number, endBin: number}} colBins - Bins of locus 2
+ * @param {Object} options
+ * @param {boolean} options.sameChr - Both loci are on the same chromosome
+ * @param {boolean} options.transposed - Records are (locus 2 bin, locus 1 bin)
+ * @param {number} options.factor - Downsampling factor
+ * @returns {Map<number, {row: number, col: number, value: number}>} - Cells keyed by row * columnCount + col
+ */
+function accumulateRecords(records, rowBins, colBins, {sameChr = false, transposed = false, factor = 1} = {}) {
+
+    const columnCount = Math.ceil((colBins.endBin - colBins.startBin) / factor)
+    const cells = new Map()
+
+    const add = (bin1, bin2, counts) => {
+        if (bin1 < rowBins.startBin || bin1 >= rowBins.endBin || bin2 < colBins.startBin || bin2 >= colBins.endBin) {
+            return
+        }
+        const row = Math.floor((bin1 - rowBins.startBin) / factor)
+        const col = Math.floor((bin2 - colBins.startBin) / factor)
+        const key = row * columnCount + col
+        const cell = cells.get(key)
+        if (cell) {
+            cell.value += counts
+        } else {
+            cells.set(key, {row, col, value: counts})
+        }
+    }
+
+    for (const record of records) {
+        const bin1 = transposed ? record.bin2 : record.bin1
+        const bin2 = transposed ? record.bin1 : record.bin2
+        add(bin1, bin2, record.counts)
+        if (sameChr && bin1 !== bin2) {
+            add(bin2, bin1, record.counts)
+        }
+    }
+
+    return cells
+}
+
+/**
+ * @returns {number[][]} - rowCount x columnCount matrix, 0 where there are no contacts
+ */
+function toDenseMatrix(cells, rowCount, columnCount) {
+    const matrix = Array.from({length: rowCount}, () => new Array(columnCount).fill(0))
+    for (const {row, col, value} of cells.values()) {
+        matrix[row][col] = round(value)
+    }
+    return matrix
+}
+
+/**
+ * @param {number} maxRecords - Keep at most this many cells, the ones with the largest values
+ * @param {Map} countCells - Optional raw count cells, appended to each record when values are normalized
+ * @returns {{records: number[][], truncated: boolean}} - records are [row, col, value] or [row, col, value, count],
+ *                                                         in row-major order
+ */
+function toSparseMatrix(cells, maxRecords, countCells) {
+    let entries = Array.from(cells.entries())
+    const truncated = entries.length > maxRecords
+    if (truncated) {
+        entries = entries.sort(([, a], [, b]) => b.value - a.value).slice(0, maxRecords)
+    }
+    entries.sort(([, a], [, b]) => a.row - b.row || a.col - b.col)
+
+    const records = entries.map(([key, {row, col, value}]) => {
+        const record = [row, col, round(value)]
+        if (countCells) {
+            const counts = countCells.get(key)
+            record.push(counts ? counts.value : 0)
+        }
+        return record
+    })
+
+    return {records, truncated}
+}
+
+/**
+ * Extract the contact matrix for a pair of loci from one or more maps.  This is shared by the browser
+ * (get_contact_matrix on the loaded maps) and the MCP server (reading .hic files without a browser).
+ *
+ * Regions spanning more than maxBins bins are fetched at a coarser resolution, and summed into larger bins
+ * if no resolution is coarse enough.  When the values are normalized, the raw counts are included too.
+ *
+ * @param {Object<string, Object>} maps - Datasets keyed by map ("A", "B").  Each provides name,
+ *                                        getChrIndexFromName(), hasNormalizationVector() and getContactRecords()
+ * @param {{chr: string, start: number, end: number}} xLocus - Locus of the rows
+ * @param {{chr: string, start: number, end: number}} yLocus - Locus of the columns
+ * @param {Object} options
+ * @param {number[]} options.binSizes - Bin sizes available in all maps
+ * @param {number} options.resolution - Requested bin size
+ * @param {string} options.normalization
+ * @param {string} options.format - "dense" or "sparse"
+ * @param {number} options.maxBins - Maximum number of bins per axis
+ * @param {number} options.maxRecords - Sparse format only: maximum number of records
+ * @returns {Promise<Object>}
+ */
+async function extractContactMatrix(maps, xLocus, yLocus,
+                                    {binSizes, resolution, normalization = 'NONE', format = 'dense', maxBins = 100, maxRecords = 5000}) {
+
+    if (!binSizes.includes(resolution)) {
+        throw new Error(`Resolution ${resolution} is not available. Available bin sizes: ${binSizes.join(', ')}`)
+    }
+
+    const {binSize, factor} = chooseResolution(binSizes, resolution,
+        xLocus.end - xLocus.start, yLocus.end - yLocus.start, maxBins)
+
+    const datasets = Object.values(maps)
+    if (normalization !== 'NONE') {
+        for (const ds of datasets) {
+            for (const chr of new Set([xLocus.chr, yLocus.chr])) {
+                if (!(await ds.hasNormalizationVector(normalization, chr, 'BP', binSize))) {
+                    throw new Error(`Normalization ${normalization} is not available for ${chr} at ${binSize} bp in ${ds.name}`)
+                }
+            }
+        }
+    }
+
+    const rowBins = binRange(xLocus.start, xLocus.end, binSize)
+    const colBins = binRange(yLocus.start, yLocus.end, binSize)
+    const region1 = {chr: xLocus.chr, start: rowBins.start, end: rowBins.end}
+    const region2 = {chr: yLocus.chr, start: colBins.start, end: colBins.end}
+    const rowCount = Math.ceil((rowBins.endBin - rowBins.startBin) / factor)
+    const columnCount = Math.ceil((colBins.endBin - colBins.startBin) / factor)
+
+    const options = {
+        sameChr: xLocus.chr === yLocus.chr,
+        transposed: datasets[0].getChrIndexFromName(xLocus.chr) > datasets[0].getChrIndexFromName(yLocus.chr),
+        factor
+    }
+
+    const result = {
+        locus1: {chr: xLocus.chr, start: region1.start, end: region1.end},
+        locus2: {chr: yLocus.chr, start: region2.start, end: region2.end},
+        normalization,
+        requestedResolution: resolution,
+        resolution: binSize,
+        downsampleFactor: factor,
+        binSize: binSize * factor,
+        rows: rowCount,
+        columns: columnCount,
+        format,
+        maps: {}
+    }
+
+    for (const [map, ds] of Object.entries(maps)) {
+        const records = await ds.getContactRecords(normalization, region1, region2, 'BP', binSize)
+        const cells = accumulateRecords(records, rowBins, colBins, options)
+
+        let countCells
+        if (normalization !== 'NONE') {
+            const rawRecords = await ds.getContactRecords('NONE', region1, region2, 'BP', binSize)
+            countCells = accumulateRecords(rawRecords, rowBins, colBins, options)
+        }
+
+        let total = 0
+        for (const {value} of cells.values()) {
+            total += value
+        }
+
+        const matrix = {name: ds.name, nonZero: cells.size, total: round(total)}
+        if (format === 'sparse') {
+            Object.assign(matrix, toSparseMatrix(cells, maxRecords, countCells))
+        } else {
+            matrix.values = toDenseMatrix(cells, rowCount, columnCount)
+            if (countCells) {
+                matrix.counts = toDenseMatrix(countCells, rowCount, columnCount)
+            }
+        }
+        result.maps[map] = matrix
+    }
+
+    return result
+}
+
+// Raw counts are integers; normalized values don't need more than 4 decimals
+function round(value) {
+    return Math.round(value * 10000) / 10000
+}
+
+export {chooseResolution, binRange, accumulateRecords, toDenseMatrix, toSparseMatrix, extractContactMatrix}
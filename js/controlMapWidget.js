@@ -33,6 +33,7 @@
  * - 'B': Control Map (secondary/comparison dataset, browser.controlDataset)
  * - 'AOB': Ratio mode showing Contact Map / Control Map
  * - 'BOA': Ratio mode showing Control Map / Contact Map
+ * - 'AMB': Difference mode (Contact Map - Control Map)
  */
 class ControlMapWidget {
 
@@ -86,6 +87,10 @@ class ControlMapWidget {
         return this.controlMapHash.cycleID;
     }
 
+    disableDisplayModeCycle() {
+        this.controlMapHash.disableDisplayModeCycle();
+    }
+
     /**
      * Hide the control map widget container.
      */
@@ -107,6 +112,7 @@ class ControlMapWidget {
      *   - 'B': Control Map (secondary/comparison dataset)
      *   - 'AOB': Ratio mode showing Contact Map / Control Map
      *   - 'BOA': Ratio mode showing Control Map / Contact Map
+     *   - 'AMB': Difference mode (Contact Map - Control Map)
      */
     updateDisplayMode(displayMode) {
         this.controlMapHash.updateOptions(displayMode);
@@ -132,7 +138,8 @@ class ControlMapHash {
             'A': { title: 'A', value: 'A', other: 'B', hidden: this.imgB, shown: this.imgA }, // A = Contact Map
             'B': { title: 'B', value: 'B', other: 'A', hidden: this.imgA, shown: this.imgB }, // B = Control Map
             'AOB': { title: 'A/B', value: 'AOB', other: 'BOA', hidden: this.imgB, shown: this.imgA }, // Contact Map / Control Map
-            'BOA': { title: 'B/A', value: 'BOA', other: 'AOB', hidden: this.imgA, shown: this.imgB }  // Control Map / Contact Map
+            'BOA': { title: 'B/A', value: 'BOA', other: 'AOB', hidden: this.imgA, shown: this.imgB }, // Control Map / Contact Map
+            'AMB': { title: 'A-B', value: 'AMB', other: 'AMB', hidden: this.imgB, shown: this.imgA }  // Contact Map - Control Map
         };
 
         this.select.addEventListener('change', (e) => {
@@ -98,6 +98,9 @@ function deleteBrowser(browser) {
     browser.unsyncSelf();
     browser.rootElement.remove();
     allBrowsers = allBrowsers.filter(b => b !== browser);
+    if (browser === currentBrowser) {
+        setCurrentBrowser(allBrowsers[0]);
+    }
     if (allBrowsers.length <= 1) {
         allBrowsers.forEach(b => b.browserPanelDeleteButton.style.display = 'none');
     }
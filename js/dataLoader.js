@@ -137,6 +137,9 @@ class DataLoader {
                 await this.browser.setState(state);
             }
 
+            // The initial view is the first view history entry (a synched state is not recorded by setState)
+            this.browser.recordViewHistory();
+
             this.browser.notifyMapLoaded(dataset, state, dataset.datasetType);
 
             // Initiate loading of the norm vector index, but don't block if the "nvi" parameter is not available.
@@ -332,9 +335,10 @@ class DataLoader {
      * Load tracks (1D and 2D) from configuration.
      *
      * @param {Array<Object>} configs - Array of track configuration objects
-     * @returns {Promise<void>}
+     * @param {boolean} rethrow - If true, rethrow load errors to the caller after presenting them
+     * @returns {Promise<{tracks: Array, tracks2D: Array}|undefined>} - The loaded 1D and 2D tracks
      */
-    async loadTracks(configs) {
+    async loadTracks(configs, rethrow) {
         const errorPrefix = configs.length === 1 ?
             `Error loading track ${configs[0].name}` :
             "Error loading tracks";
@@ -344,6 +348,7 @@ class DataLoader {
 
             const tracks = [];
             const promises2D = [];
+            let tracks2D = [];
 
             for (let config of configs) {
                 const fileName = isFile(config.url)
@@ -401,16 +406,21 @@ class DataLoader {
             }
 
             if (promises2D.length > 0) {
-                const tracks2D = await Promise.all(promises2D);
+                tracks2D = await Promise.all(promises2D);
                 if (tracks2D && tracks2D.length > 0) {
                     this.browser.tracks2D = this.browser.tracks2D.concat(tracks2D);
                     this.browser.notifyTrackLoad2D(this.browser.tracks2D);
                 }
             }
 
+            return {tracks, tracks2D};
+
         } catch (error) {
             presentError(errorPrefix, error);
             console.error(error);
+            if (rethrow) {
+                throw error;
+            }
         } finally {
             this.browser.contactMatrixView.stopSpinner();
         }
@@ -43,6 +43,7 @@ import ColorScale from "./colorScale.js"
 
 const DEFAULT_PIXEL_SIZE = 1
 const MAX_PIXEL_SIZE = 128
+const VIEW_HISTORY_DRAG_DELAY = 500
 
 class HICBrowser {
 
@@ -475,14 +476,15 @@ class HICBrowser {
     }
 
     /**
-     * Load a list of 1D genome tracks (wig, etc).
+     * Load a list of 1D genome tracks (wig, etc) and 2D annotation tracks (bedpe, interact).
      *
      * NOTE: public API function
      *
      * @param configs
+     * @param rethrow - if true, load errors are rethrown to the caller after being presented
      */
-    async loadTracks(configs) {
-        return this.dataLoader.loadTracks(configs);
+    async loadTracks(configs, rethrow) {
+        return this.dataLoader.loadTracks(configs, rethrow);
     }
 
     async loadNormalizationFile(url) {
@@ -608,12 +610,14 @@ class HICBrowser {
         this.controlMapLabel.textContent = "";
         this.controlMapLabel.title = "";
         this.stateManager.clearState();
+        this.clearViewHistoryTimer();
         this.unsyncSelf()
     }
 
     clearSession() {
         // Clear current datasets.
         this.stateManager.clearState();
+        this.clearViewHistoryTimer();
         this.setDisplayMode('A')
         this.unsyncSelf()
     }
@@ -836,6 +840,95 @@ class HICBrowser {
         };
         await this.update();
         this.notifyLocusChange(eventData);
+        this.recordViewHistory();
+    }
+
+    /**
+     * Record the current view in the back/forward history.  Dragging produces a stream of state changes,
+     * so for drags the view is recorded once the drag has paused.
+     *
+     * @param {boolean} dragging
+     */
+    recordViewHistory(dragging = false) {
+        this.clearViewHistoryTimer();
+
+        if (this.restoringView) {
+            return;
+        }
+
+        if (dragging) {
+            this.viewHistoryTimer = setTimeout(() => this.recordViewHistory(), VIEW_HISTORY_DRAG_DELAY);
+        } else {
+            this.stateManager.recordView();
+        }
+        this.updateViewHistoryButtons();
+    }
+
+    clearViewHistoryTimer() {
+        clearTimeout(this.viewHistoryTimer);
+        this.viewHistoryTimer = undefined;
+        this.updateViewHistoryButtons();
+    }
+
+    canUndoView() {
+        return this.stateManager.viewHistory.canUndo() || this.viewHistoryTimer !== undefined;
+    }
+
+    canRedoView() {
+        return this.viewHistoryTimer === undefined && this.stateManager.viewHistory.canRedo();
+    }
+
+    /**
+     * Go back to a previous view.
+     *
+     * @param {number} steps
+     * @returns {Promise<boolean>} - false if there is no earlier view
+     */
+    async undoView(steps = 1) {
+        return this.stepViewHistory(-steps);
+    }
+
+    /**
+     * Go forward to a view left by undoView().
+     *
+     * @param {number} steps
+     * @returns {Promise<boolean>} - false if there is no later view
+     */
+    async redoView(steps = 1) {
+        return this.stepViewHistory(steps);
+    }
+
+    /**
+     * @param {number} steps - negative to go back, positive to go forward
+     * @returns {Promise<boolean>} - false if there is no view in that direction
+     */
+    async stepViewHistory(steps) {
+
+        // Commit a pending drag first, so that undo returns to where the drag started
+        if (this.viewHistoryTimer !== undefined) {
+            this.recordViewHistory();
+        }
+
+        const state = this.stateManager.stepViewHistory(steps);
+        if (!state) {
+            return false;
+        }
+
+        this.restoringView = true;
+        try {
+            await this.setState(state);
+        } finally {
+            this.restoringView = false;
+        }
+        this.updateViewHistoryButtons();
+        return true;
+    }
+
+    updateViewHistoryButtons() {
+        if (this.viewHistoryBackButton) {
+            this.viewHistoryBackButton.classList.toggle('hic-nav-bar-button-disabled', !this.canUndoView());
+            this.viewHistoryForwardButton.classList.toggle('hic-nav-bar-button-disabled', !this.canRedoView());
+        }
     }
 
     /**
@@ -934,7 +1027,7 @@ class HICBrowser {
 
     toJSON() {
 
-        if (!(this.dataset && this.dataset.url)) return "{}"   // URL is required
+        if (!(this.dataset && this.dataset.url)) return {}   // URL is required
 
         const jsonOBJ = {}
 
@@ -238,6 +238,7 @@ class HiCDataset extends Dataset {
         this.genomeId = this.hicFile.genomeId
         this.chromosomes = this.hicFile.chromosomes
         this.bpResolutions = this.hicFile.bpResolutions
+        this.fragResolutions = this.hicFile.fragResolutions || []   // Only read when straw is configured with loadFragData
         this.wholeGenomeChromosome = this.hicFile.wholeGenomeChromosome
         this.wholeGenomeResolution = this.hicFile.wholeGenomeResolution
 
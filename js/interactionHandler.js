@@ -30,7 +30,7 @@ import {DEFAULT_PIXEL_SIZE, MAX_PIXEL_SIZE} from "./hicBrowser.js"
  * - Navigation (goto, setChromosomes)
  * - Zoom operations (pinchZoom, handleWheelZoom, zoomAndCenter, setZoom)
  * - Pan operations (shiftPixels)
- * - Locus parsing (parseGotoInput, parseLocusString)
+ * - Locus parsing (parseGotoInput, resolveGotoInput, parseLocusString)
  * - Zoom index finding (findMatchingZoomIndex)
  */
 class InteractionHandler {
@@ -98,6 +98,7 @@ class InteractionHandler {
 
         await this.browser.update();
         this.browser.notifyLocusChange(eventData);
+        this.browser.recordViewHistory(dragging);
     }
 
     /**
@@ -513,22 +514,41 @@ class InteractionHandler {
 
     /**
      * Parse goto input string and navigate to the specified locus.
+     * Unresolvable input is reported to the user via an alert.
      * 
      * @param {string} input - Input string in format "chr:start-end" or "chr:start-end chr:start-end"
      * @returns {Promise<void>}
      */
     async parseGotoInput(input) {
+        let loci;
+        try {
+            loci = await this.resolveGotoInput(input);
+        } catch (error) {
+            console.error(error.message);
+            alert(error.message);
+            return;
+        }
+
+        await this.gotoLoci(loci.xLocus, loci.yLocus);
+    }
+
+    /**
+     * Resolve goto input string to x and y loci without navigating.
+     * 
+     * @param {string} input - Input string in format "chr:start-end" or "chr:start-end chr:start-end"
+     * @returns {Promise<{xLocus: Object, yLocus: Object}>}
+     * @throws {Error} If the first locus is neither a valid locus string nor a known feature or gene
+     */
+    async resolveGotoInput(input) {
         // Normalize natural language input first
         const normalized = this.normalizeLocusInput(input);
         const loci = normalized.trim().split(' ');
 
         // Try parsing first locus, fall back to gene lookup if it fails
-        let xLocus = this.parseLocusString(loci[0]) || await this.browser.lookupFeatureOrGene(loci[0]);
+        const xLocus = this.parseLocusString(loci[0]) || await this.browser.lookupFeatureOrGene(loci[0]);
 
         if (!xLocus) {
-            console.error(`No feature found with name ${loci[0]}`);
-            alert(`No feature found with name ${loci[0]}`);
-            return;
+            throw new Error(`No feature found with name ${loci[0]}`);
         }
 
         // If only one locus specified, apply to both axes (chr1 and chr2)
@@ -537,6 +557,17 @@ class InteractionHandler {
             yLocus = { ...xLocus };
         }
 
+        return { xLocus, yLocus };
+    }
+
+    /**
+     * Navigate to resolved x and y loci.
+     * 
+     * @param {Object} xLocus - Locus for the x axis
+     * @param {Object} yLocus - Locus for the y axis
+     * @returns {Promise<void>}
+     */
+    async gotoLoci(xLocus, yLocus) {
         if (xLocus.wholeChr && yLocus.wholeChr || 'All' === xLocus.chr && 'All' === yLocus.chr) {
             await this.setChromosomes(xLocus, yLocus);
         } else {
@@ -856,9 +887,14 @@ class InteractionHandler {
         // Handle structured object input
         if (typeof input === 'object' && input !== null) {
             if (input.chr) {
+                const chromosome = this.browser.genome.getChromosome(input.chr);
+                if (!chromosome) {
+                    throw new Error(`Unknown chromosome: ${input.chr}`);
+                }
+
                 // Single chromosome specified - apply to both axes
                 const xLocus = {
-                    chr: input.chr,
+                    chr: chromosome.name,
                     start: input.start !== undefined ? input.start : 0,
                     end: input.end !== undefined ? input.end : undefined,
                     wholeChr: input.start === undefined && input.end === undefined
@@ -866,11 +902,8 @@ class InteractionHandler {
                 
                 // If whole chromosome, get the size
                 if (xLocus.wholeChr) {
-                    const chromosome = this.browser.genome.getChromosome(xLocus.chr);
-                    if (chromosome) {
-                        xLocus.start = 0;
-                        xLocus.end = chromosome.size;
-                    }
+                    xLocus.start = 0;
+                    xLocus.end = chromosome.size;
                 }
                 
                 const yLocus = { ...xLocus };
@@ -886,8 +919,8 @@ class InteractionHandler {
 
         // Handle string input - normalize natural language first
         if (typeof input === 'string') {
-            const normalized = this.normalizeLocusInput(input);
-            await this.parseGotoInput(normalized);
+            const { xLocus, yLocus } = await this.resolveGotoInput(input);
+            await this.gotoLoci(xLocus, yLocus);
             return;
         }
 
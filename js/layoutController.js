@@ -280,6 +280,8 @@ function createNavBar(browser, root) {
         `<div id="${browser.id}-contact-map-hic-nav-bar-map-container">
             <div id="${browser.id}-contact-map-hic-nav-bar-map-label"></div>
              <div class="hic-nav-bar-button-container">
+                <i class="fa fa-arrow-left fa-lg hic-nav-bar-button-disabled" title="Previous view"></i>
+                <i class="fa fa-arrow-right fa-lg hic-nav-bar-button-disabled" title="Next view"></i>
                 <i class="fa fa-bars fa-lg" title="Present menu"></i>
                 <i class="fa fa-minus-circle fa-lg" title="Delete browser panel" style="display: none;"></i>
              </div>
@@ -291,6 +293,12 @@ function createNavBar(browser, root) {
     browser.menuPresentDismiss = hicNavbarContainer.querySelector('.fa-bars');
     browser.menuPresentDismiss.addEventListener('click', e => browser.toggleMenu());
 
+    browser.viewHistoryBackButton = hicNavbarContainer.querySelector('.fa-arrow-left');
+    browser.viewHistoryBackButton.addEventListener('click', e => browser.undoView());
+
+    browser.viewHistoryForwardButton = hicNavbarContainer.querySelector('.fa-arrow-right');
+    browser.viewHistoryForwardButton.addEventListener('click', e => browser.redoView());
+
     browser.browserPanelDeleteButton = hicNavbarContainer.querySelector('.fa-minus-circle');
     browser.browserPanelDeleteButton.addEventListener('click', e => deleteBrowser(browser));
 
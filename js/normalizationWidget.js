@@ -24,6 +24,24 @@
 /**
  * Created by dat on 3/21/17.
  */
+
+// Human readable labels for normalization types found in .hic files
+const normalizationLabels = {
+    NONE: 'None',
+    VC: 'Coverage',
+    VC_SQRT: 'Coverage - Sqrt',
+    KR: 'Balanced',
+    SCALE: 'Balanced++',
+    INTER_VC: 'Interchromosomal Coverage',
+    INTER_VC_SQRT: 'Interchromosomal Coverage - Sqrt',
+    INTER_KR: 'Interchromosomal Balanced',
+    INTER_SCALE: 'Interchromosomal Balanced++',
+    GW_VC: 'Genome-wide Coverage',
+    GW_VC_SQRT: 'Genome-wide Coverage - Sqrt',
+    GW_KR: 'Genome-wide Balanced',
+    GW_SCALE: 'Genome-wide Balanced++'
+};
+
 class NormalizationWidget {
 
     constructor(browser, hicNavBarContainer) {
@@ -86,19 +104,6 @@ class NormalizationWidget {
     }
 
     async updateOptions() {
-        const labels = {
-            NONE: 'None',
-            VC: 'Coverage',
-            VC_SQRT: 'Coverage - Sqrt',
-            KR: 'Balanced',
-            INTER_VC: 'Interchromosomal Coverage',
-            INTER_VC_SQRT: 'Interchromosomal Coverage - Sqrt',
-            INTER_KR: 'Interchromosomal Balanced',
-            GW_VC: 'Genome-wide Coverage',
-            GW_VC_SQRT: 'Genome-wide Coverage - Sqrt',
-            GW_KR: 'Genome-wide Balanced'
-        };
-
         const norm = this.browser.state.normalization;
         const normalizationTypes = await this.browser.getNormalizationOptions();
         if (normalizationTypes) {
@@ -106,7 +111,7 @@ class NormalizationWidget {
             normalizationTypes.forEach(normalization => {
                 const option = document.createElement('option');
                 option.value = normalization;
-                option.textContent = labels[normalization] || normalization;
+                option.textContent = normalizationLabels[normalization] || normalization;
                 if (norm === normalization) {
                     option.selected = true;
                 }
@@ -116,4 +121,6 @@ class NormalizationWidget {
     }
 }
 
+export {normalizationLabels};
+
 export default NormalizationWidget;
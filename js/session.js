@@ -2,9 +2,11 @@ import {createBrowserList, deleteAllBrowsers, getAllBrowsers, syncBrowsers} from
 import {Globals} from "./globals.js"
 import {StringUtils, BGZip} from "../node_modules/igv-utils/src/index.js";
 import {expandUrlShortcuts} from "./urlUtils.js";
+import {storyboard} from "./storyboard.js";
+import {parseSession, SESSION_VERSION} from "./sessionSchema.js";
 
 function toJSON() {
-    const jsonOBJ = {};
+    const jsonOBJ = {version: SESSION_VERSION};
     const browserJson = [];
     const allBrowsers = getAllBrowsers();
     for (let browser of allBrowsers) {
@@ -27,6 +29,10 @@ function toJSON() {
         }
     }
 
+    if (storyboard.steps.length > 0) {
+        jsonOBJ.storyboard = storyboard.toJSON();
+    }
+
     return jsonOBJ;
 }
 
@@ -38,37 +44,28 @@ function compressedSession() {
 
 async function restoreSession(container, session) {
 
+    // Migrate older session formats and validate before tearing down the current browsers
+    const {session: migrated, changes} = parseSession(session);
+    if (changes.length > 0) {
+        console.log(`Session migrated to version ${SESSION_VERSION}:\n${changes.join('\n')}`);
+    }
+    session = migrated;
+
     deleteAllBrowsers();
 
     // Expand URL shortcuts in session config for backward compatibility
     // This ensures sessions passed directly to restoreSession (not through extractConfig)
     // still work with URL shortcuts like *s3/, *enc/, etc.
-    if (session.browsers) {
-        for (let browser of session.browsers) {
-            if (browser.url) {
-                browser.url = expandUrlShortcuts(browser.url);
-            }
-            if (browser.controlUrl) {
-                browser.controlUrl = expandUrlShortcuts(browser.controlUrl);
-            }
-            if (browser.tracks) {
-                for (let track of browser.tracks) {
-                    if (track.url) {
-                        track.url = expandUrlShortcuts(track.url);
-                    }
-                }
-            }
+    // Migration has moved single browser configs into the browsers array.
+    for (let browser of session.browsers) {
+        if (browser.url) {
+            browser.url = expandUrlShortcuts(browser.url);
         }
-    } else {
-        // Single browser config (not in browsers array)
-        if (session.url) {
-            session.url = expandUrlShortcuts(session.url);
+        if (browser.controlUrl) {
+            browser.controlUrl = expandUrlShortcuts(browser.controlUrl);
         }
-        if (session.controlUrl) {
-            session.controlUrl = expandUrlShortcuts(session.controlUrl);
-        }
-        if (session.tracks) {
-            for (let track of session.tracks) {
+        if (browser.tracks) {
+            for (let track of browser.tracks) {
                 if (track.url) {
                     track.url = expandUrlShortcuts(track.url);
                 }
@@ -87,6 +84,8 @@ async function restoreSession(container, session) {
         }
     }
 
+    storyboard.fromJSON(session.storyboard);
+
     await createBrowserList(container, session);
 
     if (false !== session.syncDatasets) {
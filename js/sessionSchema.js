@@ -0,0 +1,357 @@
+/**
+ * Versioned schema for Juicebox session JSON, shared by the MCP server (load_session) and restoreSession.
+ *
+ * parseSession() first migrates sessions written in older formats to the current version, then validates
+ * the result.  Sessions without a "version" are legacy sessions: single-browser configs, state strings
+ * ("chr1,chr2,zoom,x,y,width,height,pixelSize,normalization") and color scales as written by
+ * urlUtils.decodeQuery.  Unknown properties are kept, so configs with extra browser options still load.
+ *
+ * This module must not depend on the browser (DOM, igv-utils), as the server imports it.
+ */
+
+import {z} from 'zod'
+
+const SESSION_VERSION = 1
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?'
+const COLOR_SCALE = `${NUMBER},${NUMBER},${NUMBER},${NUMBER}`
+
+const colorScaleSchema = z.string()
+    .regex(new RegExp(`^${COLOR_SCALE}$`), 'Expected a color scale "threshold,r,g,b", e.g. "2000,255,0,0"')
+
+const ratioColorScaleSchema = z.string()
+    .regex(new RegExp(`^R:${NUMBER}:${COLOR_SCALE}:${COLOR_SCALE}$`),
+        'Expected a ratio color scale "R:threshold:threshold,r,g,b:threshold,r,g,b" (positive, then negative scale)')
+
+const rgbSchema = z.string()
+    .regex(/^\d{1,3},\d{1,3},\d{1,3}$/, 'Expected a color "r,g,b", e.g. "255,255,255"')
+
+const displayModeSchema = z.enum(['A', 'B', 'AOB', 'BOA', 'AMB'])
+
+const stateSchema = z.object({
+    chr1: z.number().int().nonnegative(),
+    chr2: z.number().int().nonnegative(),
+    zoom: z.number().int().nonnegative(),
+    x: z.number(),
+    y: z.number(),
+    pixelSize: z.number().positive(),
+    normalization: z.string().optional()
+}).passthrough()
+
+const trackSchema = z.object({
+    url: z.string().min(1).optional(),
+    type: z.string().optional(),
+    format: z.string().optional(),
+    name: z.string().optional(),
+    color: z.string().optional(),
+    min: z.number().optional(),
+    max: z.number().optional()
+}).passthrough()
+    .refine(track => track.url !== undefined || track.type === 'sequence',
+        'A track needs a "url" (only sequence tracks have none)')
+
+const browserSchema = z.object({
+    url: z.string().min(1).optional(),
+    name: z.string().optional(),
+    locus: z.string().optional(),
+    state: stateSchema.optional(),
+    nvi: z.string().optional(),
+    backgroundColor: rgbSchema.optional(),
+    colorScale: colorScaleSchema.optional(),
+    ratioColorScale: ratioColorScaleSchema.optional(),
+    controlUrl: z.string().min(1).optional(),
+    controlName: z.string().optional(),
+    controlNvi: z.string().optional(),
+    displayMode: displayModeSchema.optional(),
+    cycle: z.boolean().optional(),
+    selectedGene: z.string().optional(),
+    tracks: z.array(trackSchema).optional()
+}).passthrough()
+    .superRefine((browser, ctx) => {
+        if (browser.controlUrl && !browser.url) {
+            ctx.addIssue({code: z.ZodIssueCode.custom, path: ['url'], message: 'A control map needs a contact map "url"'})
+        }
+        if (browser.displayMode && browser.displayMode !== 'A' && !browser.controlUrl) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: ['displayMode'],
+                message: `Display mode ${browser.displayMode} needs a control map ("controlUrl")`
+            })
+        }
+    })
+
+const storyboardStepSchema = z.object({
+    caption: z.string().optional(),
+    locus: z.string().min(1),
+    resolution: z.number().int().positive().optional(),
+    displayMode: displayModeSchema.optional(),
+    state: stateSchema.optional()
+}).passthrough()
+
+const sessionSchema = z.object({
+    version: z.literal(SESSION_VERSION),
+    browsers: z.array(browserSchema).min(1, 'A session needs at least one browser'),
+    selectedGene: z.string().optional(),
+    caption: z.string().optional(),
+    syncDatasets: z.boolean().optional(),
+    storyboard: z.object({steps: z.array(storyboardStepSchema)}).optional()
+}).passthrough()
+
+/**
+ * Migrations from each version to the next.  migrate(session, changes) updates the session in place and
+ * appends a description of each change made to changes.
+ */
+const migrations = [
+    {from: undefined, to: 1, migrate: migrateLegacySession}
+]
+
+class SessionValidationError extends Error {
+
+    /**
+     * @param {string[]} issues - One line per problem, prefixed with the path of the offending property
+     */
+    constructor(issues) {
+        super(`Invalid session:\n${issues.map(issue => `- ${issue}`).join('\n')}`)
+        this.name = 'SessionValidationError'
+        this.issues = issues
+    }
+}
+
+/**
+ * Migrate a session to the current version and validate it.
+ *
+ * @param {Object} json - Parsed session JSON.  Not modified.
+ * @returns {{session: Object, changes: string[]}} - The current-version session, and the migrations applied
+ * @throws {SessionValidationError}
+ */
+function parseSession(json) {
+
+    if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new SessionValidationError(['Expected a session object'])
+    }
+
+    const {session, changes} = migrateSession(json)
+
+    const result = sessionSchema.safeParse(session)
+    if (!result.success) {
+        throw new SessionValidationError(result.error.issues.map(formatIssue))
+    }
+
+    return {session: result.data, changes}
+}
+
+/**
+ * @param {Object} json - Parsed session JSON.  Not modified.
+ * @returns {{session: Object, changes: string[]}}
+ */
+function migrateSession(json) {
+
+    if (typeof json.version === 'number' && json.version > SESSION_VERSION) {
+        throw new SessionValidationError([`version: Session version ${json.version} is newer than this version of Juicebox supports (${SESSION_VERSION})`])
+    }
+
+    const session = clone(json)
+    const changes = []
+    for (const {from, to, migrate} of migrations) {
+        if (session.version === from) {
+            migrate(session, changes)
+            session.version = to
+        }
+    }
+    return {session, changes}
+}
+
+function migrateLegacySession(session, changes) {
+
+    // Single-browser configs have the browser properties at the top level.  A config without a map
+    // (e.g. just a background color) is an empty browser.
+    if (!Array.isArray(session.browsers)) {
+        const browser = {}
+        for (const key of Object.keys(session)) {
+            if (!['caption', 'syncDatasets', 'storyboard', 'version'].includes(key)) {
+                browser[key] = session[key]
+                if (key !== 'selectedGene') {
+                    delete session[key]
+                }
+            }
+        }
+        session.browsers = [browser]
+        changes.push('Moved the single-browser config into "browsers"')
+    }
+
+    if (!Array.isArray(session.browsers)) {
+        return
+    }
+
+    session.browsers = session.browsers.map((browser, i) => {
+
+        // HICBrowser.toJSON() used to write "{}" for a browser without a map
+        if (browser === '{}') {
+            changes.push(`browsers[${i}]: Replaced the empty browser "{}" with an object`)
+            return {}
+        }
+        if (browser === null || typeof browser !== 'object') {
+            return browser
+        }
+
+        const path = `browsers[${i}]`
+
+        if (browser.url === undefined && typeof browser.hicUrl === 'string') {
+            browser.url = browser.hicUrl
+            delete browser.hicUrl
+            changes.push(`${path}.hicUrl: Renamed to "url"`)
+        }
+
+        if (typeof browser.state === 'string') {
+            const state = parseStateString(browser.state)
+            if (state) {
+                browser.state = state
+                changes.push(`${path}.state: Converted the state string to an object`)
+            }
+        }
+
+        // decodeQuery parses color scales to ColorScale or RatioColorScale objects
+        if (isRatioColorScale(browser.colorScale)) {
+            const {threshold, positiveScale, negativeScale} = browser.colorScale
+            browser.colorScale = `R:${threshold}:${migrateColorScale(positiveScale)}:${migrateColorScale(negativeScale)}`
+        }
+
+        if (typeof browser.colorScale === 'string' && browser.colorScale.startsWith('R:')) {
+            // A ratio color scale is kept in ratioColorScale; colorScale is the foreground color scale
+            if (browser.ratioColorScale === undefined) {
+                browser.ratioColorScale = browser.colorScale
+            }
+            delete browser.colorScale
+            changes.push(`${path}.colorScale: Moved the ratio color scale to "ratioColorScale"`)
+        } else if (browser.colorScale !== undefined) {
+            const colorScale = migrateColorScale(browser.colorScale)
+            if (colorScale !== undefined && colorScale !== browser.colorScale) {
+                browser.colorScale = colorScale
+                changes.push(`${path}.colorScale: Converted to "threshold,r,g,b"`)
+            }
+        }
+
+        if (isRGB(browser.backgroundColor)) {
+            const {r, g, b} = browser.backgroundColor
+            browser.backgroundColor = `${r},${g},${b}`
+            changes.push(`${path}.backgroundColor: Converted to "r,g,b"`)
+        }
+
+        // decodeQuery copies the "cycle" query parameter as it is, a string
+        if (typeof browser.cycle === 'string' && ['true', 'false'].includes(browser.cycle.trim().toLowerCase())) {
+            browser.cycle = browser.cycle.trim().toLowerCase() === 'true'
+            changes.push(`${path}.cycle: Converted to a boolean`)
+        }
+
+        if (Array.isArray(browser.tracks)) {
+            browser.tracks.forEach((track, j) => migrateTrackRange(track, `${path}.tracks[${j}]`, changes))
+        }
+
+        return browser
+    })
+}
+
+/**
+ * Convert the data range of a track to numbers.  Ranges in legacy URLs are parsed with parseFloat, which
+ * gives NaN for a missing value (null once written to JSON), and hand-written sessions may have strings.
+ */
+function migrateTrackRange(track, path, changes) {
+    if (track === null || typeof track !== 'object') {
+        return
+    }
+
+    for (const key of ['min', 'max']) {
+        const value = track[key]
+        if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            track[key] = Number(value)
+            changes.push(`${path}.${key}: Converted to a number`)
+        } else if (value === null || Number.isNaN(value) || (typeof value === 'string' && value.trim() === '')) {
+            delete track[key]
+            changes.push(`${path}.${key}: Removed the missing value`)
+        }
+    }
+}
+
+/**
+ * Parse a state string, as written by State.stringify() or found in legacy URLs.  Mirrors State.parse().
+ *
+ * @returns {Object|undefined} - undefined if the string is not a state
+ */
+function parseStateString(string) {
+    const tokens = string.split(',')
+    if (tokens.length < 6) {
+        return undefined
+    }
+
+    // Strings with 7 or fewer tokens predate the width and height fields
+    const legacy = tokens.length <= 7
+    const pixelSizeIndex = legacy ? 5 : 7
+    const normalizationIndex = legacy ? 6 : 8
+
+    const state = {
+        chr1: parseInt(tokens[0]),
+        chr2: parseInt(tokens[1]),
+        zoom: parseFloat(tokens[2]),
+        x: parseFloat(tokens[3]),
+        y: parseFloat(tokens[4]),
+        pixelSize: parseFloat(tokens[pixelSizeIndex]),
+        normalization: tokens.length > normalizationIndex ? tokens[normalizationIndex] : 'NONE'
+    }
+
+    return Object.values(state).some(value => Number.isNaN(value)) ? undefined : state
+}
+
+// Default color of a legacy threshold-only color scale (defaultColorScaleConfig in colorScale.js)
+const DEFAULT_COLOR = '255,0,0'
+
+/**
+ * @param {string|Object} colorScale - "threshold,r,g,b", "threshold", or a serialized ColorScale object
+ * @returns {string|undefined} - "threshold,r,g,b", undefined if not recognized
+ */
+function migrateColorScale(colorScale) {
+    if (typeof colorScale === 'number') {
+        return `${colorScale},${DEFAULT_COLOR}`
+    }
+    if (typeof colorScale === 'string') {
+        const tokens = colorScale.split(',').map(token => token.trim())
+        if (tokens.length === 1 && tokens[0] !== '') {
+            return `${tokens[0]},${DEFAULT_COLOR}`
+        }
+        return tokens.join(',')
+    }
+    if (colorScale && typeof colorScale === 'object' && colorScale.threshold !== undefined) {
+        const {threshold, r = 255, g = 0, b = 0} = colorScale
+        return `${threshold},${r},${g},${b}`
+    }
+    return undefined
+}
+
+function isRatioColorScale(value) {
+    return value !== null && typeof value === 'object' && value.positiveScale !== undefined && value.negativeScale !== undefined
+}
+
+function isRGB(value) {
+    return value !== null && typeof value === 'object' && ['r', 'g', 'b'].every(key => value[key] !== undefined)
+}
+
+// Copy plain objects and arrays so that migrations don't modify the caller's session.  Other objects
+// (State and ColorScale instances from decodeQuery, File objects) are shared; migrations replace them.
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone)
+    }
+    if (value !== null && typeof value === 'object' &&
+        [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]))
+    }
+    return value
+}
+
+// e.g. "browsers[0].state.zoom: Expected number, received string"
+function formatIssue(issue) {
+    const path = issue.path.reduce((path, key) =>
+        typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key), '')
+    return path ? `${path}: ${issue.message}` : issue.message
+}
+
+export {SESSION_VERSION, SessionValidationError, parseSession, migrateSession, sessionSchema}
@@ -20,6 +20,8 @@
  * THE SOFTWARE.
  */
 
+import ViewHistory from "./viewHistory.js";
+
 /**
  * StateManager handles all state management responsibilities for HICBrowser.
  * Extracted from HICBrowser to separate state management concerns.
@@ -29,6 +31,7 @@
  * - State transitions and validation
  * - Cross-browser synchronization state
  * - State normalization and pixel size adjustments
+ * - Back/forward view history
  */
 class StateManager {
 
@@ -42,6 +45,8 @@ class StateManager {
         this.activeDataset = undefined;
         this.activeState = undefined;
         this.controlDataset = undefined;
+
+        this.viewHistory = new ViewHistory();
     }
 
     /**
@@ -140,6 +145,35 @@ class StateManager {
         this.activeDataset = undefined;
         this.activeState = undefined;
         this.controlDataset = undefined;
+        this.viewHistory.clear();
+    }
+
+    /**
+     * Record the active state in the view history.
+     *
+     * @returns {boolean} - true if the view differs from the current history entry and was added
+     */
+    recordView() {
+        return this.viewHistory.record(this.activeState);
+    }
+
+    /**
+     * Step back or forward in the view history.  The returned state keeps the active normalization,
+     * which is a display setting rather than part of the view.
+     *
+     * @param {number} steps - negative to go back, positive to go forward
+     * @returns {State|undefined} - The state to restore, undefined if there is no history in that direction
+     */
+    stepViewHistory(steps) {
+        const state = steps < 0 ? this.viewHistory.undo(-steps) : this.viewHistory.redo(steps);
+        if (state) {
+            // Derive the locus again, the viewport may have been resized since the view was recorded
+            state.locus = undefined;
+            if (this.activeState) {
+                state.normalization = this.activeState.normalization;
+            }
+        }
+        return state;
     }
 
     /**
@@ -0,0 +1,194 @@
+import {getCurrentBrowser} from "./createBrowser.js"
+import EventBus from "./eventBus.js"
+import HICEvent from "./hicEvent.js"
+import State from "./hicState.js"
+
+const MIN_PLAY_INTERVAL = 1000
+
+/**
+ * A storyboard is an ordered list of views with captions, played back in the current browser -- a guided
+ * tour of a map.  It is saved in the session JSON.
+ *
+ * A step is {caption, locus, resolution, displayMode, state}.  Steps recorded from the view on screen
+ * carry the browser State, which restores the view exactly; otherwise the view is reached by going to the
+ * locus (any input accepted by the locus box, e.g. a gene name) and then setting the resolution (a bin size).
+ * The caption is shown in the page's "hic-caption" element.
+ *
+ * Changes post a "StoryboardChange" event on the global event bus.
+ */
+class Storyboard {
+
+    constructor() {
+        this.steps = []
+        this.index = -1
+        this.timer = undefined
+    }
+
+    get playing() {
+        return this.timer !== undefined
+    }
+
+    /**
+     * @param {Object} step
+     * @param {number} index - Position to insert the step at, appended if undefined
+     * @returns {number} - index of the step
+     */
+    addStep(step, index) {
+        if (index === undefined || index >= this.steps.length) {
+            index = this.steps.length
+        } else if (index < 0) {
+            throw new Error(`Invalid step position: ${index + 1}`)
+        }
+
+        this.steps.splice(index, 0, step)
+        if (index <= this.index) {
+            this.index++
+        }
+        this.notify()
+        return index
+    }
+
+    removeStep(index) {
+        this.checkIndex(index)
+
+        const [step] = this.steps.splice(index, 1)
+        if (index < this.index || this.index === this.steps.length) {
+            this.index--
+        }
+        if (this.steps.length === 0) {
+            this.stop()
+        }
+        this.notify()
+        return step
+    }
+
+    clear() {
+        this.stop()
+        this.steps = []
+        this.index = -1
+        this.notify()
+    }
+
+    /**
+     * Show a step in the current browser.
+     *
+     * @param {number} index
+     * @returns {Promise<Object>} - the step
+     */
+    async show(index) {
+        this.checkIndex(index)
+
+        const browser = getCurrentBrowser()
+        if (!browser || !browser.dataset) {
+            throw new Error('No map loaded')
+        }
+
+        const step = this.steps[index]
+        if (step.state) {
+            await browser.setState(State.fromJSON(step.state))
+        } else {
+            await browser.parseLocusInputFlexible(step.locus)
+            if (step.resolution) {
+                const zoom = browser.dataset.getZoomIndexForBinSize(step.resolution, 'BP')
+                if (zoom >= 0 && zoom !== browser.state.zoom) {
+                    await browser.setZoom(zoom)
+                }
+            }
+        }
+
+        // Comparison modes need a control map; without one the step is shown as the contact map
+        if (step.displayMode && (step.displayMode === 'A' || browser.controlDataset)) {
+            await browser.setDisplayMode(step.displayMode)
+        }
+
+        setCaption(step.caption)
+
+        this.index = index
+        this.notify()
+        return step
+    }
+
+    async next() {
+        return this.show(Math.min(this.index + 1, this.steps.length - 1))
+    }
+
+    async previous() {
+        return this.show(Math.max(this.index - 1, 0))
+    }
+
+    /**
+     * Advance through the steps automatically, from the current step to the last one.
+     *
+     * @param {number} interval - milliseconds per step
+     */
+    async play(interval) {
+        this.stop()
+        if (this.steps.length === 0) {
+            throw new Error('The storyboard is empty')
+        }
+
+        if (this.index < 0 || this.index >= this.steps.length - 1) {
+            await this.show(0)
+        }
+
+        this.timer = setInterval(async () => {
+            if (this.index >= this.steps.length - 1) {
+                this.stop()
+                return
+            }
+            try {
+                await this.next()
+            } catch (e) {
+                console.error(`Storyboard playback stopped: ${e.message}`)
+                this.stop()
+            }
+        }, Math.max(interval, MIN_PLAY_INTERVAL))
+        this.notify()
+    }
+
+    stop() {
+        if (this.timer !== undefined) {
+            clearInterval(this.timer)
+            this.timer = undefined
+            this.notify()
+        }
+    }
+
+    checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.steps.length) {
+            throw new Error(this.steps.length === 0 ?
+                'The storyboard is empty' :
+                `No step ${index + 1}; the storyboard has ${this.steps.length} step${this.steps.length === 1 ? '' : 's'}`)
+        }
+    }
+
+    notify() {
+        EventBus.globalBus.post(HICEvent("StoryboardChange", this))
+    }
+
+    toJSON() {
+        return {steps: this.steps}
+    }
+
+    /**
+     * Replace the steps with those of a session.  An absent storyboard clears the steps.
+     */
+    fromJSON(json) {
+        this.stop()
+        this.steps = json && Array.isArray(json.steps) ? json.steps : []
+        this.index = -1
+        this.notify()
+    }
+}
+
+function setCaption(text) {
+    const captionDiv = document.getElementById('hic-caption')
+    if (captionDiv) {
+        captionDiv.textContent = text || ''
+    }
+}
+
+// The storyboard belongs to the session, shared by all browser panels
+const storyboard = new Storyboard()
+
+export {Storyboard, storyboard}
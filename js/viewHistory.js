@@ -0,0 +1,95 @@
+/**
+ * Back/forward history of the views (chromosomes, resolution, position and pixel size) visited in a browser.
+ *
+ * Entries are State clones.  Recording a view after going back discards the forward entries, as in a
+ * web browser.  Normalization is not part of a view: it is a display setting, and is left alone on undo/redo.
+ */
+class ViewHistory {
+
+    /**
+     * @param {number} maxLength - Oldest entries are dropped beyond this length
+     */
+    constructor(maxLength = 100) {
+        this.maxLength = maxLength;
+        this.clear();
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Record a view.  Ignored if it is the current view, which is the case when a view restored by
+     * undo() or redo() is applied.
+     *
+     * @param {State} state
+     * @returns {boolean} - true if an entry was added
+     */
+    record(state) {
+        if (!state || sameView(state, this.current())) {
+            return false;
+        }
+
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push(state.clone());
+        if (this.entries.length > this.maxLength) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return true;
+    }
+
+    current() {
+        return this.entries[this.index];
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back, at most to the first entry.
+     *
+     * @param {number} steps
+     * @returns {State|undefined} - a clone of the view to restore, undefined if there is nothing to undo
+     */
+    undo(steps = 1) {
+        return this._move(-steps);
+    }
+
+    /**
+     * Step forward, at most to the last entry.
+     *
+     * @param {number} steps
+     * @returns {State|undefined} - a clone of the view to restore, undefined if there is nothing to redo
+     */
+    redo(steps = 1) {
+        return this._move(steps);
+    }
+
+    _move(delta) {
+        const index = Math.max(0, Math.min(this.entries.length - 1, this.index + delta));
+        if (this.entries.length === 0 || index === this.index) {
+            return undefined;
+        }
+        this.index = index;
+        return this.entries[index].clone();
+    }
+}
+
+function sameView(s1, s2) {
+    return s1 !== undefined && s2 !== undefined &&
+        s1.chr1 === s2.chr1 &&
+        s1.chr2 === s2.chr2 &&
+        s1.zoom === s2.zoom &&
+        s1.x === s2.x &&
+        s1.y === s2.y &&
+        s1.pixelSize === s2.pixelSize;
+}
+
+export default ViewHistory;
@@ -0,0 +1,65 @@
+/**
+ * Helpers for panning the view by an amount in base pairs, bins or fractions of the view, as the pan_view
+ * tool does.  State positions (x, y) are in bins; a bin is pixelSize screen pixels wide.
+ */
+
+// Direction of a pan along the x and y axes.  Backward and forward move along the diagonal.
+const DIRECTIONS = {
+    left: [-1, 0],
+    right: [1, 0],
+    up: [0, -1],
+    down: [0, 1],
+    backward: [-1, -1],
+    forward: [1, 1]
+};
+
+/**
+ * The shift of a pan, in screen pixels.
+ *
+ * @param {{direction: string, amount: number, unit: string}} pan - unit is "bp" (the default), "bins" or "fraction"
+ * @param {{width: number, height: number, binSize: number, pixelSize: number}} view - Size of the view in pixels,
+ *        bin size in base pairs and pixels per bin
+ * @returns {{dx: number, dy: number}}
+ * @throws {Error} If the direction is unknown
+ */
+function panPixels({direction, amount, unit}, {width, height, binSize, pixelSize}) {
+    const [x, y] = DIRECTIONS[direction] || [];
+    if (x === undefined) {
+        throw new Error(`Unknown direction: ${direction}`);
+    }
+
+    const toPixels = (viewPixels) => {
+        switch (unit) {
+            case 'bins':
+                return amount * pixelSize;
+            case 'fraction':
+                return amount * viewPixels;
+            default:
+                return (amount / binSize) * pixelSize;
+        }
+    };
+
+    return {dx: x * toPixels(width), dy: y * toPixels(height)};
+}
+
+/**
+ * How far a pan moved the view.  The view stops at the chromosome ends, so it can move less than asked.
+ *
+ * @param {{dx: number, dy: number}} shift - Shift asked for, from panPixels()
+ * @param {{x: number, y: number}} before - Position before the pan, in bins
+ * @param {{x: number, y: number}} after - Position after the pan, in bins
+ * @param {{binSize: number, pixelSize: number}} view
+ * @returns {{shiftedBP: {x: number, y: number}, clamped: boolean}}
+ */
+function panResult({dx, dy}, before, after, {binSize, pixelSize}) {
+    const shiftedX = after.x - before.x;
+    const shiftedY = after.y - before.y;
+    const clamped = Math.abs(shiftedX - dx / pixelSize) > 1e-6 || Math.abs(shiftedY - dy / pixelSize) > 1e-6;
+
+    return {
+        shiftedBP: {x: Math.round(shiftedX * binSize), y: Math.round(shiftedY * binSize)},
+        clamped
+    };
+}
+
+export {panPixels, panResult};
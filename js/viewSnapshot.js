@@ -0,0 +1,57 @@
+/**
+ * Composite the canvases that make up a browser's view -- contact matrix (including 2D tracks),
+ * rulers and, optionally, 1D tracks -- into a single canvas, laid out as they appear on screen.
+ */
+
+/**
+ * @param {HICBrowser} browser
+ * @param {Object} options
+ * @param {boolean} options.includeTracks - include 1D track canvases (default true)
+ * @returns {HTMLCanvasElement}
+ */
+function captureViewCanvas(browser, {includeTracks = true} = {}) {
+
+    const {contactMatrixView, layoutController} = browser
+
+    const canvases = [
+        contactMatrixView.canvasElement,
+        layoutController.xAxisRuler.canvasElement,
+        layoutController.yAxisRuler.canvasElement
+    ]
+
+    if (includeTracks) {
+        for (const trackPair of browser.trackPairs) {
+            canvases.push(trackPair.x.canvasElement, trackPair.y.canvasElement)
+        }
+    }
+
+    // Hidden canvases (e.g. rulers in whole genome view) have an empty bounding box
+    const placed = canvases
+        .map(canvas => ({canvas, rect: canvas.getBoundingClientRect()}))
+        .filter(({canvas, rect}) => rect.width > 0 && rect.height > 0 && canvas.width > 0 && canvas.height > 0)
+
+    if (placed.length === 0) {
+        throw new Error('Nothing to capture: the contact map is not visible')
+    }
+
+    const left = Math.min(...placed.map(({rect}) => rect.left))
+    const top = Math.min(...placed.map(({rect}) => rect.top))
+    const right = Math.max(...placed.map(({rect}) => rect.right))
+    const bottom = Math.max(...placed.map(({rect}) => rect.bottom))
+
+    const snapshot = document.createElement('canvas')
+    snapshot.width = Math.round(right - left)
+    snapshot.height = Math.round(bottom - top)
+
+    const ctx = snapshot.getContext('2d')
+    ctx.fillStyle = 'white'
+    ctx.fillRect(0, 0, snapshot.width, snapshot.height)
+
+    for (const {canvas, rect} of placed) {
+        ctx.drawImage(canvas, Math.round(rect.left - left), Math.round(rect.top - top), rect.width, rect.height)
+    }
+
+    return snapshot
+}
+
+export {captureViewCanvas}
@@ -2,7 +2,7 @@
 // This is only used when running server.js directly (not in bundled .mcpb)
 import 'dotenv/config';
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
@@ -13,15 +13,23 @@ import { randomUUID } from 'node:crypto';
 import { AsyncLocalStorage } from 'node:async_hooks';
 import { z } from 'zod';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
+import { basename, dirname, join } from 'node:path';
 import { existsSync, appendFileSync, mkdirSync, writeFileSync } from 'node:fs';
 import { promises as fsPromises } from 'node:fs';
 import { tmpdir, homedir, platform } from 'node:os';
-import { DATA_SOURCES, getDataSource, getAllSourceIds, isValidSource } from './src/dataSourceConfigs.js';
-import { parseDataSource } from './src/dataParsers.js';
-import { filterMaps } from './src/mapFilter.js';
-import { formatSearchResults, formatSearchResultsJSON } from './src/resultFormatter.js';
+import { DATA_SOURCES, CATALOG_PARSER_TYPES, getDataSource, getAllSourceIds, isValidSource, isUserDefinedSource, registerLocalDataSource, registerDataSource, validateDataSource } from './src/dataSourceConfigs.js';
+import { parseDataSource, readCatalog, clearCache, configureCatalogs, getCatalogStatus, getSearchIndex, refreshDataSource } from './src/dataParsers.js';
+import { filterMaps, filtersToQuery, sortMaps, SORT_KEYS } from './src/mapFilter.js';
+import { formatSearchResults, formatSearchResultsJSON, formatFacets } from './src/resultFormatter.js';
+import { FACET_NAMES, countFacets, selectFacets } from './src/searchFacets.js';
+import { SearchResultSets, resultHandle, encodeSearchCursor, decodeSearchCursor } from './src/searchResults.js';
 import { tinyURLShortener } from './src/urlShortener.js';
+import { BookmarkStore } from './src/bookmarkStore.js';
+import { DataSourceStore } from './src/dataSourceStore.js';
+import { parseSession } from './js/sessionSchema.js';
+import { HicReader } from './src/hicReader.js';
+import { CommandChannel } from './src/commandChannel.js';
+import { LocalFiles, FILES_ROUTE, filesCorsOptions, isLocalPath, toPath } from './src/localFiles.js';
 
 // Parse command line arguments
 function parseCommandLineArgs() {
@@ -47,12 +55,25 @@ Options:
 Environment Variables:
   BROWSER_URL                Browser URL (used if --browser-url not provided)
   MCP_PORT                   MCP server port (default: 3010)
+  MCP_HOST                   Interface the MCP server listens on (default: 127.0.0.1). Local files are
+                             served on it too, so only listen on other interfaces on a trusted network
   WS_PORT                    WebSocket server port (default: 3011)
   MCP_TRANSPORT              Set to "http" or "sse" to force HTTP mode
   FORCE_HTTP_MODE            Set to "true" to force HTTP mode
   TINYURL_API_KEY            TinyURL API key for URL shortening (optional)
   TINYURL_DOMAIN             TinyURL custom domain (optional, default: t.3dg.io)
   TINYURL_ENDPOINT           TinyURL API endpoint (optional, default: https://api.tinyurl.com/create)
+  COMMAND_TIMEOUT_MS         How long tools wait for the browser to acknowledge a command (default: 60000)
+  JUICEBOX_MCP_BOOKMARKS_FILE  Bookmarks file (default: ~/.juicebox-mcp/bookmarks.json)
+  JUICEBOX_MCP_CONFIG        Config file with user-defined data sources (default: ~/.juicebox-mcp/config.json)
+  JUICEBOX_MCP_CACHE_DIR     Directory where data source catalogs are cached (default: ~/.juicebox-mcp/cache)
+  JUICEBOX_MCP_CATALOG_TTL_HOURS  How long a cached catalog is used before checking for a new version (default: 24)
+  JUICEBOX_MCP_OFFLINE       Set to "true" to only search cached catalogs, without fetching them
+  JUICEBOX_MCP_FILE_ROOTS    Directories whose files may be loaded by path and served to the browser,
+                             separated by ":" (";" on Windows). Default: none, local files are not served
+  JUICEBOX_MCP_LOCAL_DIRS    Directories scanned for the "local" data source (maps and tracks searchable
+                             with search_maps), separated like JUICEBOX_MCP_FILE_ROOTS.
+                             Default: JUICEBOX_MCP_FILE_ROOTS
 
 Configuration Priority:
   1. Command line argument (--browser-url)
@@ -73,7 +94,11 @@ Examples:
 const cliArgs = parseCommandLineArgs();
 
 const MCP_PORT = process.env.MCP_PORT ? parseInt(process.env.MCP_PORT, 10) : 3010;
+// The HTTP server serves local files, so it only listens on the loopback interface unless told otherwise
+const MCP_HOST = process.env.MCP_HOST || '127.0.0.1';
 const WS_PORT = process.env.WS_PORT ? parseInt(process.env.WS_PORT, 10) : 3011;
+// How long a tool waits for the browser to report the outcome of a command
+const COMMAND_TIMEOUT_MS = process.env.COMMAND_TIMEOUT_MS ? parseInt(process.env.COMMAND_TIMEOUT_MS, 10) : 60000;
 // Browser URL for the Juicebox app
 // Priority: 1) Command line argument (--browser-url), 2) Environment variable (BROWSER_URL), 
 //           3) Default (localhost)
@@ -91,6 +116,32 @@ const shortenURL = tinyURLShortener({
   domain: TINYURL_DOMAIN
 });
 
+// Bookmarks are kept in the user's home directory so they persist across server restarts
+const BOOKMARKS_FILE = process.env.JUICEBOX_MCP_BOOKMARKS_FILE || join(homedir(), '.juicebox-mcp', 'bookmarks.json');
+const bookmarkStore = new BookmarkStore(BOOKMARKS_FILE);
+
+// User-defined data sources (catalogs of collaborating consortia) are kept in the config file
+const CONFIG_FILE = process.env.JUICEBOX_MCP_CONFIG || join(homedir(), '.juicebox-mcp', 'config.json');
+const dataSourceStore = new DataSourceStore(CONFIG_FILE);
+
+// Catalogs are cached on disk, so they aren't downloaded on every start and can be searched offline
+configureCatalogs({
+  cacheDirectory: process.env.JUICEBOX_MCP_CACHE_DIR || join(homedir(), '.juicebox-mcp', 'cache'),
+  ttl: (process.env.JUICEBOX_MCP_CATALOG_TTL_HOURS ? parseFloat(process.env.JUICEBOX_MCP_CATALOG_TTL_HOURS) : 24) * 60 * 60 * 1000,
+  offline: process.env.JUICEBOX_MCP_OFFLINE === 'true'
+});
+
+// Local .hic and track files are served to the browser by the HTTP server, from these directories only
+const FILE_ROOTS = LocalFiles.parseRoots(process.env.JUICEBOX_MCP_FILE_ROOTS);
+const localFiles = new LocalFiles(FILE_ROOTS, `http://localhost:${MCP_PORT}`);
+
+// The lab's own maps are searchable like the 4DN and ENCODE catalogs.  They are loaded by path, so the
+// directories should be among the file roots.
+const LOCAL_DIRS = process.env.JUICEBOX_MCP_LOCAL_DIRS !== undefined
+  ? LocalFiles.parseRoots(process.env.JUICEBOX_MCP_LOCAL_DIRS)
+  : FILE_ROOTS;
+registerLocalDataSource(LOCAL_DIRS);
+
 // Force HTTP mode if requested via command line
 if (cliArgs.httpMode) {
   process.env.MCP_TRANSPORT = 'http';
@@ -137,8 +188,8 @@ function logInfo(...args) {
 // Map<sessionId, WebSocket>
 const wsClients = new Map();
 
-// Map to store pending session data requests (requestId -> { resolve, reject, timeout })
-const pendingSessionRequests = new Map();
+// Commands sent to the browser, awaiting its reply
+const commandChannel = new CommandChannel(routeToCurrentSession, randomUUID, COMMAND_TIMEOUT_MS);
 
 // State management removed - commands will simply update Juicebox without querying state
 
@@ -209,45 +260,15 @@ wss.on('connection', (ws) => {
           type: 'sessionRegistered',
           sessionId: sessionId
         }));
-      } else if (data.type === 'sessionData' && data.requestId) {
-        // Handle session data response
-        const request = pendingSessionRequests.get(data.requestId);
-        if (request) {
-          clearTimeout(request.timeout);
-          pendingSessionRequests.delete(data.requestId);
-          request.resolve(data.sessionData);
-          logInfo(`Received session data for request ${data.requestId}`);
-        } else {
-          logWarn(`Received session data for unknown request ID: ${data.requestId}`);
-        }
-      } else if (data.type === 'sessionDataError' && data.requestId) {
-        // Handle session data error response
-        const request = pendingSessionRequests.get(data.requestId);
-        if (request) {
-          clearTimeout(request.timeout);
-          pendingSessionRequests.delete(data.requestId);
-          request.reject(new Error(data.error || 'Failed to get session data'));
-          logError(`Session data error for request ${data.requestId}:`, data.error);
-        }
-      } else if (data.type === 'compressedSessionData' && data.requestId) {
-        // Handle compressed session data response
-        const request = pendingSessionRequests.get(data.requestId);
-        if (request) {
-          clearTimeout(request.timeout);
-          pendingSessionRequests.delete(data.requestId);
-          request.resolve(data.compressedSession);
-          logInfo(`Received compressed session data for request ${data.requestId}`);
+      } else if ((data.type === 'commandResult' || data.type === 'commandError') && data.requestId) {
+        // Browser finished executing a command
+        const failed = data.type === 'commandError';
+        if (!commandChannel.handleReply(data)) {
+          logWarn(`Received ${failed ? 'error' : 'result'} for unknown request ID: ${data.requestId}`);
+        } else if (failed) {
+          logError(`Command ${data.requestId} failed:`, data.error);
         } else {
-          logWarn(`Received compressed session data for unknown request ID: ${data.requestId}`);
-        }
-      } else if (data.type === 'compressedSessionDataError' && data.requestId) {
-        // Handle compressed session data error response
-        const request = pendingSessionRequests.get(data.requestId);
-        if (request) {
-          clearTimeout(request.timeout);
-          pendingSessionRequests.delete(data.requestId);
-          request.reject(new Error(data.error || 'Failed to get compressed session data'));
-          logError(`Compressed session data error for request ${data.requestId}:`, data.error);
+          logInfo(`Command ${data.requestId} succeeded`);
         }
       } else if (sessionId) {
         // Handle other messages (for testing/debugging)
@@ -300,48 +321,52 @@ function sendToSession(sessionId, command) {
 // This maintains context across async operations
 const sessionContext = new AsyncLocalStorage();
 
-// Helper function for tool handlers to route commands to the current request's session
+// Helper function for tool handlers to route commands to the current request's session.
+// Returns true if the command was delivered to at least one browser client.
 function routeToCurrentSession(command) {
-  const sessionId = sessionContext.getStore();
+  const sessionId = sessionContext.getStore() || (isStdioMode ? STDIO_SESSION_ID : null);
   if (sessionId) {
-    const sent = sendToSession(sessionId, command);
-    if (!sent && wsClients.size > 0) {
+    if (sendToSession(sessionId, command)) {
+      return true;
+    }
+    if (wsClients.size > 0) {
       // Fallback: if specific session not found, broadcast to all clients
       logWarn(`Session ${sessionId} not found, broadcasting to all ${wsClients.size} client(s)`);
-      broadcastToClients(command);
+      return broadcastToClients(command);
     }
+    logWarn(`No WebSocket clients connected. Command not routed: ${command.type}`);
+    return false;
   } else if (isStdioMode) {
-    // In STDIO mode, route to the unique STDIO session ID
-    if (STDIO_SESSION_ID) {
-      const sent = sendToSession(STDIO_SESSION_ID, command);
-      if (!sent && wsClients.size > 0) {
-        // Fallback: if STDIO session not found, broadcast to all clients
-        logWarn(`STDIO session ${STDIO_SESSION_ID} not found, broadcasting to all ${wsClients.size} client(s)`);
-        broadcastToClients(command);
-      } else if (!sent) {
-        logWarn(`No WebSocket clients connected. Command not routed: ${command.type}`);
-      }
-    } else {
-      logWarn('Routing command in STDIO mode - no session ID available, broadcasting to all clients');
-      if (wsClients.size > 0) {
-        broadcastToClients(command);
-      } else {
-        logWarn(`No WebSocket clients connected. Command not routed: ${command.type}`);
-      }
+    logWarn('Routing command in STDIO mode - no session ID available, broadcasting to all clients');
+    if (wsClients.size > 0) {
+      return broadcastToClients(command);
     }
+    logWarn(`No WebSocket clients connected. Command not routed: ${command.type}`);
+    return false;
   } else {
     logWarn('Tool handler called but no session context available. Command not routed.');
+    return false;
   }
 }
 
+// Send a command to the current session's browser and wait for it to report the outcome.
+// Resolves with the command's result, or rejects with the error raised in the browser,
+// when no browser is connected, or when no reply arrives within timeoutMs.
+function sendCommandAndWait(command, timeoutMs = COMMAND_TIMEOUT_MS) {
+  return commandChannel.send(command, timeoutMs);
+}
+
 // Broadcast command to all connected browser clients (kept for backward compatibility if needed)
 function broadcastToClients(command) {
   const message = JSON.stringify(command);
+  let delivered = false;
   wsClients.forEach((client, sessionId) => {
     if (client.readyState === 1) { // WebSocket.OPEN
       client.send(message);
+      delivered = true;
     }
   });
+  return delivered;
 }
 
 // Create MCP server
@@ -350,52 +375,62 @@ const mcpServer = new McpServer({
   version: '1.1.0'
 });
 
-// Register MCP resources for data source configurations
-mcpServer.setResourceRequestHandlers({
-  list: async () => {
-    return {
-      resources: [
-        {
-          uri: 'juicebox://datasource/4dn',
-          name: '4DN Contact Map Data Source',
-          description: '4DN Hi-C contact map data source configuration',
-          mimeType: 'application/json'
-        },
-        {
-          uri: 'juicebox://datasource/encode',
-          name: 'ENCODE Contact Map Data Source',
-          description: 'ENCODE Hi-C contact map data source configuration',
-          mimeType: 'application/json'
-        }
-      ]
-    };
-  },
-  read: async (request) => {
-    const { uri } = request.params;
-    
-    if (uri === 'juicebox://datasource/4dn') {
-      const config = getDataSource('4dn');
-      return {
-        contents: [{
-          uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(config, null, 2)
-        }]
-      };
-    } else if (uri === 'juicebox://datasource/encode') {
-      const config = getDataSource('encode');
+// Register the user-defined data sources of the config file.  Tools using data sources wait for this.
+const userDataSourcesLoaded = (async () => {
+  let dataSources = [];
+  try {
+    dataSources = await dataSourceStore.list();
+  } catch (error) {
+    logWarn(`Could not read data sources from ${CONFIG_FILE}:`, error.message);
+  }
+  for (const dataSource of dataSources) {
+    try {
+      registerDataSource(dataSource);
+    } catch (error) {
+      logWarn(`Skipping data source in ${CONFIG_FILE}:`, error.message);
+    }
+  }
+})();
+
+// Register MCP resources for data source configurations, juicebox://datasource/<id>
+const DATA_SOURCE_RESOURCE_PREFIX = 'juicebox://datasource/';
+mcpServer.registerResource(
+  'datasource',
+  new ResourceTemplate(`${DATA_SOURCE_RESOURCE_PREFIX}{sourceId}`, {
+    list: async () => {
+      await userDataSourcesLoaded;
       return {
-        contents: [{
-          uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(config, null, 2)
-        }]
+        resources: getAllSourceIds().map(sourceId => {
+          const config = getDataSource(sourceId);
+          return {
+            uri: `${DATA_SOURCE_RESOURCE_PREFIX}${sourceId}`,
+            name: `${config.name} Contact Map Data Source`,
+            description: `${config.name} Hi-C contact map data source configuration`,
+            mimeType: 'application/json'
+          };
+        })
       };
     }
-    
-    throw new Error(`Unknown resource URI: ${uri}`);
+  }),
+  {
+    description: 'Hi-C contact map data source configuration',
+    mimeType: 'application/json'
+  },
+  async (uri, { sourceId }) => {
+    await userDataSourcesLoaded;
+    const config = getDataSource(sourceId);
+    if (!config) {
+      throw new Error(`Unknown resource URI: ${uri.href}`);
+    }
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(config, null, 2)
+      }]
+    };
   }
-});
+);
 
 // Helper function to convert hex color to RGB
 function hexToRgb(hex) {
@@ -407,40 +442,87 @@ function hexToRgb(hex) {
   } : null;
 }
 
+// Helper function to convert a bin size like 5000, "5kb", "5 KB" or "1mb" to base pairs
+function parseBinSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(bp|kb|k|mb|m)?\s*$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const multipliers = { bp: 1, k: 1e3, kb: 1e3, m: 1e6, mb: 1e6 };
+  const unit = (match[2] || 'bp').toLowerCase();
+  return Math.round(parseFloat(match[1]) * multipliers[unit]);
+}
+
+// Maps and tracks are given by URL, or by absolute path for local files, which the browser loads from
+// the server.  Returns the URL for the browser.
+async function resolveDataUrl(location) {
+  if (isLocalPath(location)) {
+    return localFiles.toUrl(location);
+  }
+  if (!URL.canParse(location)) {
+    throw new Error(`Expected a URL or an absolute file path: ${location}`);
+  }
+  return location;
+}
+
 // Zod schema for color input - accepts hex codes
 const colorSchema = z.string().regex(/^#[0-9A-Fa-f]{6}$/, 'Must be a hex color code (e.g., "#ff0000")')
   .describe('Hex color code (e.g., "#ff0000")');
 
+const panelSchema = z.union([z.number().int().nonnegative(), z.string()]).optional()
+  .describe('Optional: browser panel to act on, by index or id (see list_panels); the current panel is unchanged. Default: the current panel');
+
 // Register tool: load_map
 mcpServer.registerTool(
   'load_map',
   {
     title: 'Load Map',
-    description: 'Load a Hi-C contact map (.hic file) into Juicebox',
+    description: 'Load a Hi-C contact map (.hic file) into Juicebox, from a URL or a local file path',
     inputSchema: {
-      url: z.string().url().describe('URL to the .hic file'),
+      url: z.string().describe('URL to the .hic file, or absolute path of a local .hic file (served to the browser by the MCP server)'),
       name: z.string().optional().describe('Optional name for the map'),
-      normalization: z.string().optional().describe('Normalization method (e.g., "VC", "VC_SQRT", "KR", "NONE")'),
-      locus: z.string().optional().describe('Optional genomic locus (e.g., "1:1000000-2000000 1:1000000-2000000")')
+      normalization: z.string().optional().describe('Normalization method (e.g., "VC", "VC_SQRT", "KR", "NONE"). Use list_normalizations after loading to see what the file contains'),
+      locus: z.string().optional().describe('Optional genomic locus (e.g., "1:1000000-2000000 1:1000000-2000000")'),
+      panel: panelSchema
     }
   },
-  async ({ url, name, normalization, locus }) => {
-    routeToCurrentSession({
-      type: 'loadMap',
-      url: url,
-      name: name,
-      normalization: normalization,
-      locus: locus
-    });
+  async ({ url, name, normalization, locus, panel }) => {
+    try {
+      const mapUrl = await resolveDataUrl(url);
+      const result = await sendCommandAndWait({
+        type: 'loadMap',
+        url: mapUrl,
+        name: name || (mapUrl !== url ? basename(toPath(url)) : undefined),
+        normalization: normalization,
+        locus: locus,
+        panel: panel
+      });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Loading map from ${url}${name ? ` (${name})` : ''}`
-        }
-      ]
-    };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Loaded map from ${url}${name ? ` (${name})` : ''}` +
+              `${result?.genome ? `\nGenome: ${result.genome}` : ''}` +
+              `${result?.locus ? `\nLocus: ${result.locus}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error loading map:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error loading map from ${url}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 );
 
@@ -449,29 +531,46 @@ mcpServer.registerTool(
   'load_control_map',
   {
     title: 'Load Control Map',
-    description: 'Load a control map (.hic file) for comparison',
+    description: 'Load a control map (.hic file) for comparison, from a URL or a local file path',
     inputSchema: {
-      url: z.string().url().describe('URL to the control .hic file'),
+      url: z.string().describe('URL to the control .hic file, or absolute path of a local .hic file'),
       name: z.string().optional().describe('Optional name for the control map'),
-      normalization: z.string().optional().describe('Normalization method (e.g., "VC", "VC_SQRT", "KR", "NONE")')
+      normalization: z.string().optional().describe('Normalization method (e.g., "VC", "VC_SQRT", "KR", "NONE")'),
+      panel: panelSchema
     }
   },
-  async ({ url, name, normalization }) => {
-    routeToCurrentSession({
-      type: 'loadControlMap',
-      url: url,
-      name: name,
-      normalization: normalization
-    });
+  async ({ url, name, normalization, panel }) => {
+    try {
+      const mapUrl = await resolveDataUrl(url);
+      const result = await sendCommandAndWait({
+        type: 'loadControlMap',
+        url: mapUrl,
+        name: name || (mapUrl !== url ? basename(toPath(url)) : undefined),
+        normalization: normalization,
+        panel: panel
+      });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Loading control map from ${url}${name ? ` (${name})` : ''}`
-        }
-      ]
-    };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Loaded control map from ${url}${name ? ` (${name})` : ''}` +
+              `${result?.displayMode ? `\nDisplay mode: ${result.displayMode}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error loading control map:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error loading control map from ${url}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 );
 
@@ -538,22 +637,26 @@ mcpServer.registerTool(
         throw new Error('No session data provided. Provide sessionData (for pasted JSON), sessionUrl (for remote URLs like Dropbox/AWS), or attach a file.');
       }
       
-      // Validate session structure
-      if (!parsedSession.browsers && !parsedSession.url) {
-        throw new Error('Invalid session format: must contain "browsers" array or browser config');
+      // Migrate older session formats and validate; errors list each offending property
+      const { session, changes } = parseSession(parsedSession);
+      if (!session.browsers.some(browser => browser.url)) {
+        throw new Error('Invalid session: no browser has a map "url"');
       }
       
-      // Route to browser
-      routeToCurrentSession({
+      // Route to browser and wait for the session to be restored
+      const result = await sendCommandAndWait({
         type: 'loadSession',
-        sessionData: parsedSession
+        sessionData: session
       });
       
-      const browserCount = parsedSession.browsers ? parsedSession.browsers.length : 1;
+      const browserCount = result?.browserCount ?? session.browsers.length;
+      const migrated = changes.length > 0 ?
+        `\n\nThe session was written in an older format and was migrated:\n${changes.map(change => `- ${change}`).join('\n')}` :
+        '';
       return {
         content: [{
           type: 'text',
-          text: `Session loaded successfully. Restored ${browserCount} browser(s).`
+          text: `Session loaded successfully. Restored ${browserCount} browser(s).${migrated}`
         }]
       };
     } catch (error) {
@@ -580,24 +683,39 @@ mcpServer.registerTool(
     description: 'Zoom in on the contact map',
     inputSchema: {
       centerX: z.number().optional().describe('Optional X coordinate for zoom center (pixels)'),
-      centerY: z.number().optional().describe('Optional Y coordinate for zoom center (pixels)')
+      centerY: z.number().optional().describe('Optional Y coordinate for zoom center (pixels)'),
+      panel: panelSchema
     }
   },
-  async ({ centerX, centerY }) => {
-    routeToCurrentSession({
-      type: 'zoomIn',
-      centerX: centerX,
-      centerY: centerY
-    });
+  async ({ centerX, centerY, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'zoomIn',
+        centerX: centerX,
+        centerY: centerY,
+        panel: panel
+      });
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: 'Zooming in'
-        }
-      ]
-    };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Zoomed in${result?.locus ? ` to ${result.locus}` : ''}${result?.resolution ? ` (resolution ${result.resolution} bp)` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error zooming in:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error zooming in: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 );
 
@@ -609,193 +727,179 @@ mcpServer.registerTool(
     description: 'Zoom out on the contact map',
     inputSchema: {
       centerX: z.number().optional().describe('Optional X coordinate for zoom center (pixels)'),
-      centerY: z.number().optional().describe('Optional Y coordinate for zoom center (pixels)')
+      centerY: z.number().optional().describe('Optional Y coordinate for zoom center (pixels)'),
+      panel: panelSchema
     }
   },
-  async ({ centerX, centerY }) => {
-    routeToCurrentSession({
-      type: 'zoomOut',
-      centerX: centerX,
-      centerY: centerY
-    });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: 'Zooming out'
-        }
-      ]
-    };
-  }
-);
+  async ({ centerX, centerY, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'zoomOut',
+        centerX: centerX,
+        centerY: centerY,
+        panel: panel
+      });
 
-// Register tool: set_map_foreground_color
-mcpServer.registerTool(
-  'set_map_foreground_color',
-  {
-    title: 'Set Map Foreground Color',
-    description: 'Set the foreground color scale for the contact map',
-    inputSchema: {
-      color: colorSchema,
-      threshold: z.number().positive().optional().describe('Optional threshold value for the color scale')
-    }
-  },
-  async ({ color, threshold }) => {
-    const rgb = hexToRgb(color);
-    if (!rgb) {
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ff0000")`
+            text: `Zoomed out${result?.locus ? ` to ${result.locus}` : ''}${result?.resolution ? ` (resolution ${result.resolution} bp)` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error zooming out:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error zooming out: ${error.message}`
           }
         ],
         isError: true
       };
     }
-
-    routeToCurrentSession({
-      type: 'setForegroundColor',
-      color: rgb,
-      threshold: threshold
-    });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Map foreground color set to ${color}${threshold ? ` with threshold ${threshold}` : ''}`
-        }
-      ]
-    };
   }
 );
 
-// Register tool: set_map_background_color
+// Register tool: list_resolutions
 mcpServer.registerTool(
-  'set_map_background_color',
+  'list_resolutions',
   {
-    title: 'Set Map Background Color',
-    description: 'Set the background color of the contact map',
+    title: 'List Resolutions',
+    description: 'List the resolutions (bin sizes) available for the loaded map, the current resolution, and whether the resolution is locked. When a control map is loaded, only bin sizes present in both maps are listed. Fragment resolutions are included when available.',
     inputSchema: {
-      color: colorSchema
+      panel: panelSchema
     }
   },
-  async ({ color }) => {
-    const rgb = hexToRgb(color);
-    if (!rgb) {
+  async ({ panel }) => {
+    try {
+      const result = await sendCommandAndWait({ type: 'listResolutions', panel: panel });
+
+      const formatted = result.bpResolutions.map(({ binSize }) =>
+        binSize === result.current ? `${binSize} [current]` : `${binSize}`
+      );
+
       return {
         content: [
           {
             type: 'text',
-            text: `Invalid color: ${color}. Please use a hex code (e.g., "#000000")`
+            text: `Current resolution: ${result.current} bp${result.locked ? ' (locked)' : ''}${result.wholeGenome ? ' (whole genome view)' : ''}\n` +
+              `Available bin sizes (bp): ${formatted.join(', ')}` +
+              `${result.fragResolutions.length > 0 ? `\nFragment resolutions: ${result.fragResolutions.join(', ')}` : ''}` +
+              `\n\n[Structured data for programmatic access]\n${JSON.stringify(result, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error listing resolutions:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing resolutions: ${error.message}`
           }
         ],
         isError: true
       };
     }
-
-    routeToCurrentSession({
-      type: 'setBackgroundColor',
-      color: rgb
-    });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Map background color set to ${color}`
-        }
-      ]
-    };
   }
 );
 
-// Register tool: create_shareable_url
+// Register tool: set_resolution
 mcpServer.registerTool(
-  'create_shareable_url',
+  'set_resolution',
   {
-    title: 'Create Shareable URL',
-    description: 'Create a shareable URL for the current Juicebox session',
-    inputSchema: {}
+    title: 'Set Resolution',
+    description: 'Set the contact map resolution by bin size, keeping the view centered (e.g., "show me 5 kb" -> binSize "5kb"). The bin size must be one of those reported by list_resolutions. Optionally lock the resolution so later navigation keeps this bin size.',
+    inputSchema: {
+      binSize: z.union([z.number().int().positive(), z.string()])
+        .describe('Bin size in base pairs (e.g., 5000) or with a unit (e.g., "5kb", "1mb")'),
+      lock: z.boolean().optional().describe('Optional: lock (true) or unlock (false) the resolution after setting it'),
+      panel: panelSchema
+    }
   },
-  async () => {
-    const sessionId = getCurrentSessionId();
-    if (!sessionId) {
+  async ({ binSize, lock, panel }) => {
+    const bp = parseBinSize(binSize);
+    if (!bp) {
       return {
         content: [
           {
             type: 'text',
-            text: 'Error: No active session found.'
+            text: `Invalid bin size: ${binSize}. Use base pairs (e.g., 5000) or a value with a unit (e.g., "5kb", "1mb")`
           }
         ],
         isError: true
       };
     }
 
-    // Check if browser is connected
-    const hasConnection = sessionId 
-      ? (wsClients.has(sessionId) && wsClients.get(sessionId).readyState === 1)
-      : (isStdioMode && STDIO_SESSION_ID && wsClients.has(STDIO_SESSION_ID));
-    
-    if (!hasConnection) {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setResolution',
+        binSize: bp,
+        lock: lock,
+        panel: panel
+      });
+
       return {
         content: [
           {
             type: 'text',
-            text: 'Error: No active browser connection found. Please ensure the Juicebox browser is open and connected.'
+            text: `Resolution set to ${result.resolution} bp (was ${result.previous} bp)${result.locked ? ', locked' : ''}` +
+              `${result.locus ? `\nCurrent view: ${result.locus}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting resolution:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting resolution: ${error.message}`
           }
         ],
         isError: true
       };
     }
+  }
+);
 
+// Register tool: set_resolution_lock
+mcpServer.registerTool(
+  'set_resolution_lock',
+  {
+    title: 'Set Resolution Lock',
+    description: 'Lock or unlock the current resolution (same as the lock icon next to the resolution selector). While locked, navigation and zooming keep the current bin size.',
+    inputSchema: {
+      locked: z.boolean().describe('true to lock the resolution, false to unlock it'),
+      panel: panelSchema
+    }
+  },
+  async ({ locked, panel }) => {
     try {
-      // Request compressed session data from browser
-      logInfo('Requesting compressed session data from browser...');
-      const compressedSessionString = await requestCompressedSessionData(sessionId || STDIO_SESSION_ID);
-      
-      // Build URL with compressed session (format: base?session=blob:compressedData)
-      // Note: We intentionally do NOT include sessionId in shareable URLs because:
-      // 1. The compressed session data is self-contained and includes all state
-      // 2. sessionId is only for WebSocket connection back to Claude Desktop
-      // 3. When shared, recipients don't need Claude Desktop connection - just the visualization
-      // Strip any existing query parameters from BROWSER_URL to ensure clean shareable URLs
-      const baseUrl = BROWSER_URL.split('?')[0].split('#')[0];
-      const shareableUrl = `${baseUrl}?${compressedSessionString}`;
-      
-      // Shorten the URL
-      let shortenedUrl;
-      try {
-        shortenedUrl = await shortenURL(shareableUrl);
-      } catch (error) {
-        logWarn('Failed to shorten URL:', error.message);
-        shortenedUrl = shareableUrl; // Fallback to original URL
-      }
-      
-      // Include connection status
-      const registeredSessions = Array.from(wsClients.keys());
-      const isConnected = registeredSessions.includes(sessionId);
-      const connectionStatus = isConnected 
-        ? `✅ WebSocket client connected and registered`
-        : `⚠️  WebSocket client NOT connected (registered sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'})`;
-      
+      const result = await sendCommandAndWait({
+        type: 'setResolutionLock',
+        locked: locked,
+        panel: panel
+      });
+
       return {
         content: [
           {
             type: 'text',
-            text: `Shareable URL for this session:\n\n${shortenedUrl}\n\n${connectionStatus}\n\nCopy and paste this URL to share the current Juicebox session.`
+            text: `Resolution ${result.locked ? 'locked' : 'unlocked'}`
           }
         ]
       };
     } catch (error) {
-      logError('Error creating shareable URL:', error);
+      logError('Error setting resolution lock:', error.message);
       return {
         content: [
           {
             type: 'text',
-            text: `Error creating shareable URL: ${error.message}`
+            text: `Error setting resolution lock: ${error.message}`
           }
         ],
         isError: true
@@ -804,438 +908,2845 @@ mcpServer.registerTool(
   }
 );
 
-// Register tool: get_server_status
+// Register tool: set_map_foreground_color
 mcpServer.registerTool(
-  'get_server_status',
+  'set_map_foreground_color',
   {
-    title: 'Get Server Status',
-    description: 'Get diagnostic information about the MCP server, WebSocket connections, and session status. Use this for debugging connection issues.',
-    inputSchema: {}
+    title: 'Set Map Foreground Color',
+    description: 'Set the foreground color scale for the contact map',
+    inputSchema: {
+      color: colorSchema,
+      threshold: z.number().positive().optional().describe('Optional threshold value for the color scale'),
+      panel: panelSchema
+    }
   },
-  async () => {
-    const sessionId = getCurrentSessionId();
-    const registeredSessions = Array.from(wsClients.keys());
-    const isConnected = sessionId && registeredSessions.includes(sessionId);
-    
-    // Check WebSocket connection states
-    const wsConnectionStates = {};
-    wsClients.forEach((ws, sid) => {
-      wsConnectionStates[sid] = {
-        readyState: ws.readyState,
-        readyStateName: ws.readyState === 0 ? 'CONNECTING' : ws.readyState === 1 ? 'OPEN' : ws.readyState === 2 ? 'CLOSING' : 'CLOSED'
+  async ({ color, threshold, panel }) => {
+    const rgb = hexToRgb(color);
+    if (!rgb) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid color: ${color}. Please use a hex code (e.g., "#ff0000")`
+          }
+        ],
+        isError: true
       };
-    });
-    
-    const statusInfo = {
-      mode: isStdioMode ? 'STDIO' : 'HTTP/SSE',
-      currentSessionId: sessionId || 'none',
-      stdioSessionId: STDIO_SESSION_ID || 'not set',
-      webSocketServerPort: WS_PORT,
-      webSocketClientsConnected: wsClients.size,
-      registeredSessionIds: registeredSessions,
-      currentSessionConnected: isConnected,
-      webSocketConnectionStates: wsConnectionStates,
-      browserUrl: BROWSER_URL
-    };
-    
+    }
+
+    try {
+      await sendCommandAndWait({
+        type: 'setForegroundColor',
+        color: rgb,
+        threshold: threshold,
+        panel: panel
+      });
+    } catch (error) {
+      logError('Error setting foreground color:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting map foreground color: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Server Status:\n\n` +
-            `Mode: ${statusInfo.mode}\n` +
-            `Current Session ID: ${statusInfo.currentSessionId}\n` +
-            `STDIO Session ID: ${statusInfo.stdioSessionId}\n` +
-            `WebSocket Server Port: ${statusInfo.webSocketServerPort}\n` +
-            `WebSocket Clients Connected: ${statusInfo.webSocketClientsConnected}\n` +
-            `Registered Session IDs: ${statusInfo.registeredSessionIds.length > 0 ? statusInfo.registeredSessionIds.join(', ') : 'none'}\n` +
-            `Current Session Connected: ${statusInfo.currentSessionConnected ? '✅ Yes' : '❌ No'}\n` +
-            `Browser URL: ${statusInfo.browserUrl}\n\n` +
-            (Object.keys(wsConnectionStates).length > 0 
-              ? `WebSocket Connection States:\n${Object.entries(wsConnectionStates).map(([sid, state]) => `  ${sid}: ${state.readyStateName} (${state.readyState})`).join('\n')}\n`
-              : 'No WebSocket connections')
+          text: `Map foreground color set to ${color}${threshold ? ` with threshold ${threshold}` : ''}`
         }
       ]
     };
   }
 );
 
-// Register tool: get_juicebox_url
+// Register tool: set_map_background_color
 mcpServer.registerTool(
-  'get_juicebox_url',
+  'set_map_background_color',
   {
-    title: 'Get Juicebox URL',
-    description: 'Get the URL to open in your browser to connect the Juicebox visualization app. Use this when users ask how to connect, how to open the Juicebox app, or say things like "Hello juicebox", "Open juicebox", "Show me juicebox", "Launch juicebox", etc.',
-    inputSchema: {}
+    title: 'Set Map Background Color',
+    description: 'Set the background color of the contact map',
+    inputSchema: {
+      color: colorSchema,
+      panel: panelSchema
+    }
   },
-  async () => {
-    // In STDIO mode, use the unique STDIO session ID generated at startup
-    // In HTTP mode, get session ID from context
-    const sessionId = getCurrentSessionId();
-    
-    if (!sessionId) {
+  async ({ color, panel }) => {
+    const rgb = hexToRgb(color);
+    if (!rgb) {
       return {
         content: [
           {
             type: 'text',
-            text: 'Error: No active session found. Please ensure the MCP connection is properly initialized.'
+            text: `Invalid color: ${color}. Please use a hex code (e.g., "#000000")`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      await sendCommandAndWait({
+        type: 'setBackgroundColor',
+        color: rgb,
+        panel: panel
+      });
+    } catch (error) {
+      logError('Error setting background color:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting map background color: ${error.message}`
           }
         ],
         isError: true
       };
     }
 
-    const connectionUrl = `${BROWSER_URL}?sessionId=${sessionId}`;
-    
-    // Include diagnostic info for debugging
-    const registeredSessions = Array.from(wsClients.keys());
-    const isConnected = registeredSessions.includes(sessionId);
-    const connectionStatus = isConnected 
-      ? `✅ WebSocket client connected and registered`
-      : `⚠️  WebSocket client NOT connected`;
-    
-    const diagnosticInfo = isStdioMode 
-      ? `\n\n[Debug Info]\nMode: STDIO\nSTDIO Session ID: ${STDIO_SESSION_ID || 'not set'}\n${connectionStatus}\nRegistered WebSocket Sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'}\nWebSocket Server Port: ${WS_PORT}`
-      : `\n\n[Debug Info]\nMode: HTTP/SSE\nCurrent Session ID: ${sessionId}\n${connectionStatus}\nRegistered WebSocket Sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'}\nWebSocket Server Port: ${WS_PORT}`;
-    
     return {
       content: [
         {
           type: 'text',
-          text: `Open this URL ${connectionUrl}\n\nto launch the Juicebox visualization app.${diagnosticInfo}`
+          text: `Map background color set to ${color}`
         }
       ]
     };
   }
 );
 
-// Register tool: juicebox_help
+// Register tool: set_display_mode
 mcpServer.registerTool(
-  'juicebox_help',
+  'set_display_mode',
   {
-    title: 'Juicebox Help Guide',
-    description: 'Provides a quick-start guide with common phrases and examples for using Juicebox via natural language. Use this ONLY when users explicitly ask about Juicebox, such as "how to use Juicebox", "Juicebox help", "how do I use Juicebox", "what can I do with Juicebox", "get started with Juicebox", "Juicebox examples", "how does Juicebox work", or similar questions specifically about the Juicebox tool. Do NOT use this for general "how to" questions unrelated to Juicebox.',
-    inputSchema: {}
+    title: 'Set Display Mode',
+    description: 'Choose how the contact map (A) and control map (B) are displayed: "A" (contact map), "B" (control map), "AOB" (ratio A/B), "BOA" (ratio B/A) or "AMB" (difference A-B). Modes other than "A" require a control map (load_control_map). Stops display mode cycling.',
+    inputSchema: {
+      mode: z.enum(['A', 'B', 'AOB', 'BOA', 'AMB']).describe('Display mode: "A", "B", "AOB", "BOA" or "AMB"'),
+      panel: panelSchema
+    }
   },
-  async () => {
-    const guide = `# How to Use Juicebox with Claude
-
-Welcome! You can interact with Juicebox using natural language. Just tell me what you want to do, and I'll help you explore Hi-C contact maps and genomic data.
-
-## Getting Started
-
-**First, connect your browser:**
-- Say: "Open Juicebox" or "Show me Juicebox" or "Get the Juicebox URL"
-- I'll give you a URL to open in your browser
-
-## Common Things You Can Ask
+  async ({ mode, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setDisplayMode',
+        mode: mode,
+        panel: panel
+      });
 
-### Finding and Loading Data
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Display mode set to ${result.displayMode} (was ${result.previous})`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting display mode:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting display mode: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-**Search for Hi-C maps:**
-- "Find human hg38 contact maps"
-- "Show me K562 cell line maps"
-- "Search for mouse heart tissue Hi-C data"
-- "What maps are available from ENCODE?"
+// Register tool: set_display_mode_cycle
+mcpServer.registerTool(
+  'set_display_mode_cycle',
+  {
+    title: 'Set Display Mode Cycle',
+    description: 'Start or stop automatically cycling between the contact map and control map every few seconds (A <-> B, or A/B <-> B/A in ratio mode). Requires a control map.',
+    inputSchema: {
+      enabled: z.boolean().describe('true to start cycling, false to stop'),
+      panel: panelSchema
+    }
+  },
+  async ({ enabled, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setDisplayModeCycle',
+        enabled: enabled,
+        panel: panel
+      });
 
-**Load a specific map:**
-- "Load this map" (after searching)
-- "Load the first result"
-- "Load map number 3"
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.cycling
+              ? `Display mode cycling started (current mode: ${result.displayMode})`
+              : `Display mode cycling stopped (current mode: ${result.displayMode})`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting display mode cycle:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting display mode cycle: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-**Load from a URL:**
-- "Load this Hi-C file: [URL]"
-- "Load a map from [URL] with KR normalization"
+// Register tool: set_comparison_color_scale
+mcpServer.registerTool(
+  'set_comparison_color_scale',
+  {
+    title: 'Set Comparison Color Scale',
+    description: 'Configure the color scale used when comparing maps: the ratio scale (AOB/BOA modes) or the difference scale (AMB mode). Sets the threshold and/or the colors for positive (enriched, A > B) and negative (depleted, A < B) values.',
+    inputSchema: {
+      scale: z.enum(['ratio', 'diff']).optional().default('ratio').describe('Which scale to configure: "ratio" (AOB/BOA) or "diff" (AMB). Default: "ratio"'),
+      threshold: z.number().positive().optional().describe('Optional threshold. For the ratio scale this is the fold change at which colors saturate (e.g., 5)'),
+      positiveColor: colorSchema.optional().describe('Optional hex color for positive values (e.g., "#ff0000")'),
+      negativeColor: colorSchema.optional().describe('Optional hex color for negative values (e.g., "#0000ff")'),
+      panel: panelSchema
+    }
+  },
+  async ({ scale, threshold, positiveColor, negativeColor, panel }) => {
+    if (threshold === undefined && !positiveColor && !negativeColor) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Provide at least one of threshold, positiveColor or negativeColor'
+          }
+        ],
+        isError: true
+      };
+    }
 
-### Exploring the Genome
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setComparisonColorScale',
+        scale: scale,
+        threshold: threshold,
+        positiveColor: positiveColor ? hexToRgb(positiveColor) : undefined,
+        negativeColor: negativeColor ? hexToRgb(negativeColor) : undefined,
+        panel: panel
+      });
 
-**Navigate to specific locations:**
-- "Go to chromosome 1"
-- "Show me chr1:1000000-2000000"
+      const rgb = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${result.scale === 'diff' ? 'Difference' : 'Ratio'} color scale updated: threshold ${result.threshold}, ` +
+              `positive ${rgb(result.positiveColor)}, negative ${rgb(result.negativeColor)}` +
+              `${result.active ? '' : ' (applies when the matching display mode is selected)'}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting comparison color scale:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting comparison color scale: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: list_normalizations
+mcpServer.registerTool(
+  'list_normalizations',
+  {
+    title: 'List Normalizations',
+    description: 'List the normalization methods present in the loaded map (and control map, if any), and whether each one has a normalization vector at the current chromosome(s) and resolution. Use this before set_normalization so only methods actually present in the file are offered.',
+    inputSchema: {
+      panel: panelSchema
+    }
+  },
+  async ({ panel }) => {
+    try {
+      const result = await sendCommandAndWait({ type: 'listNormalizations', panel: panel });
+
+      const lines = result.normalizations.map(({ type, label, availableInView }) =>
+        `- ${type} (${label})${type === result.current ? ' [current]' : ''}${availableInView ? '' : ' - vector missing at this resolution'}`
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Normalizations for ${result.chr1}${result.chr2 !== result.chr1 ? ` x ${result.chr2}` : ''} at ${result.resolution} bp:\n${lines.join('\n')}` +
+              `\n\n[Structured data for programmatic access]\n${JSON.stringify(result, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error listing normalizations:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing normalizations: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: set_normalization
+mcpServer.registerTool(
+  'set_normalization',
+  {
+    title: 'Set Normalization',
+    description: 'Switch the normalization of the displayed contact map (e.g., "NONE", "VC", "VC_SQRT", "KR", "SCALE"). Fails and reports which methods are available if the requested normalization is not in the file or its vector is missing at the current resolution. Use list_normalizations to discover the options.',
+    inputSchema: {
+      normalization: z.string().describe('Normalization type as stored in the .hic file (e.g., "NONE", "VC", "VC_SQRT", "KR", "SCALE")'),
+      panel: panelSchema
+    }
+  },
+  async ({ normalization, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setNormalization',
+        normalization: normalization,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Normalization set to ${result.normalization} (${result.label}), was ${result.previous}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting normalization:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting normalization: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: load_tracks
+mcpServer.registerTool(
+  'load_tracks',
+  {
+    title: 'Load Tracks',
+    description: 'Load one or more annotation tracks alongside the contact map. 1D tracks (wig, bigwig, bedgraph, bed, gff, ...) are drawn along both axes; 2D tracks (bedpe, interact) such as loops or domains are drawn on the map itself. The format is inferred from the file name unless given. Requires a loaded map.',
+    inputSchema: {
+      tracks: z.array(z.object({
+        url: z.string().describe('URL of the track file, or absolute path of a local track file'),
+        name: z.string().optional().describe('Optional display name'),
+        type: z.string().optional().describe('Optional track type (e.g., "wig", "annotation")'),
+        format: z.string().optional().describe('Optional file format (e.g., "bigwig", "bed", "bedpe", "interact"). Inferred from the URL if omitted'),
+        color: colorSchema.optional().describe('Optional hex color (e.g., "#ff0000")'),
+        min: z.number().optional().describe('Optional data range minimum (1D data tracks)'),
+        max: z.number().optional().describe('Optional data range maximum (1D data tracks). Autoscales if omitted')
+      })).min(1).describe('Tracks to load'),
+      panel: panelSchema
+    }
+  },
+  async ({ tracks, panel }) => {
+    try {
+      const resolvedTracks = [];
+      for (const track of tracks) {
+        const url = await resolveDataUrl(track.url);
+        resolvedTracks.push({
+          ...track,
+          url,
+          name: track.name || (url !== track.url ? basename(toPath(track.url)) : undefined)
+        });
+      }
+
+      const result = await sendCommandAndWait({
+        type: 'loadTracks',
+        tracks: resolvedTracks,
+        panel: panel
+      });
+
+      const loaded = result.loaded.map(track => `${track.index}: ${track.name} (${track.kind})`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Loaded ${result.loaded.length} track(s): ${loaded.join(', ')}. ${result.trackCount} track(s) now loaded.`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error loading tracks:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error loading tracks: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: list_tracks
+mcpServer.registerTool(
+  'list_tracks',
+  {
+    title: 'List Tracks',
+    description: 'List the loaded 1D and 2D tracks with their index, name, URL, color, data range (1D) and display mode and visibility (2D). The index or name identifies a track for remove_track and set_track_style.',
+    inputSchema: {
+      panel: panelSchema
+    }
+  },
+  async ({ panel }) => {
+    try {
+      const result = await sendCommandAndWait({ type: 'listTracks', panel: panel });
+
+      if (result.tracks.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No tracks loaded'
+            }
+          ]
+        };
+      }
+
+      const lines = result.tracks.map(track => {
+        const details = track.kind === '1D'
+          ? (track.dataRange ? `range ${track.dataRange.min}-${track.dataRange.max}` : track.format || track.type)
+          : `${track.displayMode}${track.isVisible ? '' : ', hidden'}, ${track.featureCount} features`;
+        return `${track.index}: ${track.name} [${track.kind}] ${details || ''}`.trimEnd();
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(result, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error listing tracks:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing tracks: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: remove_track
+mcpServer.registerTool(
+  'remove_track',
+  {
+    title: 'Remove Track',
+    description: 'Remove a loaded 1D or 2D track, identified by its index or name from list_tracks.',
+    inputSchema: {
+      track: z.union([z.number().int().nonnegative(), z.string()]).describe('Track index (from list_tracks) or track name'),
+      panel: panelSchema
+    }
+  },
+  async ({ track, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'removeTrack',
+        track: track,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Removed ${result.removed.kind} track ${result.removed.name}. ${result.trackCount} track(s) remaining.`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error removing track:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error removing track: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: set_track_style
+mcpServer.registerTool(
+  'set_track_style',
+  {
+    title: 'Set Track Style',
+    description: 'Restyle a loaded track, identified by its index or name from list_tracks. Any track can be renamed and recolored. The data range (min/max) applies to 1D data tracks; displayMode ("upper", "lower" or "both" triangles of the map) and visibility apply to 2D tracks.',
+    inputSchema: {
+      track: z.union([z.number().int().nonnegative(), z.string()]).describe('Track index (from list_tracks) or track name'),
+      name: z.string().optional().describe('Optional new display name'),
+      color: colorSchema.optional().describe('Optional hex color (e.g., "#ff0000")'),
+      min: z.number().optional().describe('Optional data range minimum (1D tracks)'),
+      max: z.number().optional().describe('Optional data range maximum (1D tracks)'),
+      displayMode: z.enum(['upper', 'lower', 'both']).optional().describe('Optional part of the map to draw features on (2D tracks)'),
+      visible: z.boolean().optional().describe('Optional visibility (2D tracks)'),
+      panel: panelSchema
+    }
+  },
+  async ({ track, name, color, min, max, displayMode, visible, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setTrackStyle',
+        track: track,
+        name: name,
+        color: color,
+        min: min,
+        max: max,
+        displayMode: displayMode,
+        visible: visible,
+        panel: panel
+      });
+
+      const details = result.kind === '1D'
+        ? `color ${result.color || 'default'}${result.dataRange ? `, range ${result.dataRange.min}-${result.dataRange.max}` : ''}`
+        : `color ${result.color}, ${result.displayMode}, ${result.isVisible ? 'visible' : 'hidden'}`;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Updated ${result.kind} track ${result.index}: ${result.name} (${details})`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting track style:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting track style: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: list_panels
+mcpServer.registerTool(
+  'list_panels',
+  {
+    title: 'List Panels',
+    description: 'List the browser panels shown side by side, with their index, id, loaded map, control map, locus, and which panels they are synced with. The current panel is the default target of other tools; any tool with a panel parameter can address another panel by index or id.',
+    inputSchema: {}
+  },
+  async () => {
+    try {
+      const result = await sendCommandAndWait({ type: 'listPanels' });
+
+      const lines = result.panels.map(panel =>
+        `${panel.index}: ${panel.map || '(no map)'}${panel.controlMap ? ` vs ${panel.controlMap}` : ''}` +
+        `${panel.locus ? ` @ ${panel.locus}` : ''}` +
+        `${panel.synchedWith.length > 0 ? `, synced with ${panel.synchedWith.join(', ')}` : ''}` +
+        `${panel.current ? ' [current]' : ''} (id ${panel.id})`
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(result, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error listing panels:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing panels: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: add_panel
+mcpServer.registerTool(
+  'add_panel',
+  {
+    title: 'Add Panel',
+    description: 'Add a browser panel next to the existing ones, optionally loading a map into it, e.g. to compare replicates or cell types side by side. The new panel becomes the current panel. Panels with maps of the same genome are synced unless syncing is turned off with set_panel_sync.',
+    inputSchema: {
+      url: z.string().optional().describe('Optional URL of a .hic file to load into the new panel, or absolute path of a local .hic file'),
+      name: z.string().optional().describe('Optional name for the map'),
+      normalization: z.string().optional().describe('Optional normalization method (e.g., "KR", "SCALE")'),
+      locus: z.string().optional().describe('Optional genomic locus (e.g., "1:1000000-2000000")')
+    }
+  },
+  async ({ url, name, normalization, locus }) => {
+    try {
+      const mapUrl = url ? await resolveDataUrl(url) : undefined;
+      const result = await sendCommandAndWait({
+        type: 'addPanel',
+        url: mapUrl,
+        name: name || (mapUrl !== url ? basename(toPath(url)) : undefined),
+        normalization: normalization,
+        locus: locus
+      });
+
+      const { panel } = result;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Added panel ${panel.index} (id ${panel.id})${panel.map ? ` with ${panel.map}` : ''}` +
+              `${panel.locus ? ` @ ${panel.locus}` : ''}. ${result.panelCount} panels.`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error adding panel:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error adding panel: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: remove_panel
+mcpServer.registerTool(
+  'remove_panel',
+  {
+    title: 'Remove Panel',
+    description: 'Remove a browser panel, identified by index or id (see list_panels). The last remaining panel cannot be removed.',
+    inputSchema: {
+      panel: z.union([z.number().int().nonnegative(), z.string()]).describe('Panel index or id')
+    }
+  },
+  async ({ panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'removePanel',
+        target: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Removed panel ${result.removed.index} (id ${result.removed.id}). ${result.panelCount} panel(s) remaining; current panel: ${result.current}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error removing panel:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error removing panel: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: select_panel
+mcpServer.registerTool(
+  'select_panel',
+  {
+    title: 'Select Panel',
+    description: 'Make a browser panel the current one, identified by index or id (see list_panels). Tools called without a panel parameter act on the current panel.',
+    inputSchema: {
+      panel: z.union([z.number().int().nonnegative(), z.string()]).describe('Panel index or id')
+    }
+  },
+  async ({ panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'selectPanel',
+        target: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Panel ${result.index} (id ${result.id}) is now the current panel` +
+              `${result.map ? `: ${result.map}${result.locus ? ` @ ${result.locus}` : ''}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error selecting panel:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error selecting panel: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: set_panel_sync
+mcpServer.registerTool(
+  'set_panel_sync',
+  {
+    title: 'Set Panel Sync',
+    description: 'Turn locus syncing between browser panels on or off. While on, navigating in one panel moves the other panels with maps of the same genome to the same locus; turning it on moves them to the current panel\'s locus.',
+    inputSchema: {
+      enabled: z.boolean().describe('true to sync panels, false to let each panel navigate independently')
+    }
+  },
+  async ({ enabled }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'setPanelSync',
+        enabled: enabled
+      });
+
+      const synced = result.panels.filter(panel => panel.synchedWith.length > 0).map(panel => panel.index);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.enabled
+              ? `Panel syncing turned on${synced.length > 0 ? ` (synced panels: ${synced.join(', ')})` : ' (no panels with compatible maps to sync yet)'}`
+              : 'Panel syncing turned off'
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error setting panel sync:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error setting panel sync: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: create_shareable_url
+mcpServer.registerTool(
+  'create_shareable_url',
+  {
+    title: 'Create Shareable URL',
+    description: 'Create a shareable URL for the current Juicebox session',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    // Check if browser is connected
+    const hasConnection = sessionId 
+      ? (wsClients.has(sessionId) && wsClients.get(sessionId).readyState === 1)
+      : (isStdioMode && STDIO_SESSION_ID && wsClients.has(STDIO_SESSION_ID));
+    
+    if (!hasConnection) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active browser connection found. Please ensure the Juicebox browser is open and connected.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      // Request compressed session data from browser
+      logInfo('Requesting compressed session data from browser...');
+      const compressedSessionString = await sendCommandAndWait({ type: 'getCompressedSession' });
+      
+      // Build URL with compressed session (format: base?session=blob:compressedData)
+      // Note: We intentionally do NOT include sessionId in shareable URLs because:
+      // 1. The compressed session data is self-contained and includes all state
+      // 2. sessionId is only for WebSocket connection back to Claude Desktop
+      // 3. When shared, recipients don't need Claude Desktop connection - just the visualization
+      // Strip any existing query parameters from BROWSER_URL to ensure clean shareable URLs
+      const baseUrl = BROWSER_URL.split('?')[0].split('#')[0];
+      const shareableUrl = `${baseUrl}?${compressedSessionString}`;
+      
+      // Shorten the URL
+      let shortenedUrl;
+      try {
+        shortenedUrl = await shortenURL(shareableUrl);
+      } catch (error) {
+        logWarn('Failed to shorten URL:', error.message);
+        shortenedUrl = shareableUrl; // Fallback to original URL
+      }
+      
+      // Include connection status
+      const registeredSessions = Array.from(wsClients.keys());
+      const isConnected = registeredSessions.includes(sessionId);
+      const connectionStatus = isConnected 
+        ? `✅ WebSocket client connected and registered`
+        : `⚠️  WebSocket client NOT connected (registered sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'})`;
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Shareable URL for this session:\n\n${shortenedUrl}\n\n${connectionStatus}\n\nCopy and paste this URL to share the current Juicebox session.`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error creating shareable URL:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error creating shareable URL: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: get_server_status
+mcpServer.registerTool(
+  'get_server_status',
+  {
+    title: 'Get Server Status',
+    description: 'Get diagnostic information about the MCP server, WebSocket connections, and session status. Use this for debugging connection issues.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    const registeredSessions = Array.from(wsClients.keys());
+    const isConnected = sessionId && registeredSessions.includes(sessionId);
+    
+    // Check WebSocket connection states
+    const wsConnectionStates = {};
+    wsClients.forEach((ws, sid) => {
+      wsConnectionStates[sid] = {
+        readyState: ws.readyState,
+        readyStateName: ws.readyState === 0 ? 'CONNECTING' : ws.readyState === 1 ? 'OPEN' : ws.readyState === 2 ? 'CLOSING' : 'CLOSED'
+      };
+    });
+    
+    const statusInfo = {
+      mode: isStdioMode ? 'STDIO' : 'HTTP/SSE',
+      currentSessionId: sessionId || 'none',
+      stdioSessionId: STDIO_SESSION_ID || 'not set',
+      webSocketServerPort: WS_PORT,
+      webSocketClientsConnected: wsClients.size,
+      registeredSessionIds: registeredSessions,
+      currentSessionConnected: isConnected,
+      webSocketConnectionStates: wsConnectionStates,
+      browserUrl: BROWSER_URL
+    };
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Server Status:\n\n` +
+            `Mode: ${statusInfo.mode}\n` +
+            `Current Session ID: ${statusInfo.currentSessionId}\n` +
+            `STDIO Session ID: ${statusInfo.stdioSessionId}\n` +
+            `WebSocket Server Port: ${statusInfo.webSocketServerPort}\n` +
+            `WebSocket Clients Connected: ${statusInfo.webSocketClientsConnected}\n` +
+            `Registered Session IDs: ${statusInfo.registeredSessionIds.length > 0 ? statusInfo.registeredSessionIds.join(', ') : 'none'}\n` +
+            `Current Session Connected: ${statusInfo.currentSessionConnected ? '✅ Yes' : '❌ No'}\n` +
+            `Browser URL: ${statusInfo.browserUrl}\n\n` +
+            (Object.keys(wsConnectionStates).length > 0 
+              ? `WebSocket Connection States:\n${Object.entries(wsConnectionStates).map(([sid, state]) => `  ${sid}: ${state.readyStateName} (${state.readyState})`).join('\n')}\n`
+              : 'No WebSocket connections')
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: get_juicebox_url
+mcpServer.registerTool(
+  'get_juicebox_url',
+  {
+    title: 'Get Juicebox URL',
+    description: 'Get the URL to open in your browser to connect the Juicebox visualization app. Use this when users ask how to connect, how to open the Juicebox app, or say things like "Hello juicebox", "Open juicebox", "Show me juicebox", "Launch juicebox", etc.',
+    inputSchema: {}
+  },
+  async () => {
+    // In STDIO mode, use the unique STDIO session ID generated at startup
+    // In HTTP mode, get session ID from context
+    const sessionId = getCurrentSessionId();
+    
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found. Please ensure the MCP connection is properly initialized.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const connectionUrl = `${BROWSER_URL}?sessionId=${sessionId}`;
+    
+    // Include diagnostic info for debugging
+    const registeredSessions = Array.from(wsClients.keys());
+    const isConnected = registeredSessions.includes(sessionId);
+    const connectionStatus = isConnected 
+      ? `✅ WebSocket client connected and registered`
+      : `⚠️  WebSocket client NOT connected`;
+    
+    const diagnosticInfo = isStdioMode 
+      ? `\n\n[Debug Info]\nMode: STDIO\nSTDIO Session ID: ${STDIO_SESSION_ID || 'not set'}\n${connectionStatus}\nRegistered WebSocket Sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'}\nWebSocket Server Port: ${WS_PORT}`
+      : `\n\n[Debug Info]\nMode: HTTP/SSE\nCurrent Session ID: ${sessionId}\n${connectionStatus}\nRegistered WebSocket Sessions: ${registeredSessions.length > 0 ? registeredSessions.join(', ') : 'none'}\nWebSocket Server Port: ${WS_PORT}`;
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Open this URL ${connectionUrl}\n\nto launch the Juicebox visualization app.${diagnosticInfo}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: juicebox_help
+mcpServer.registerTool(
+  'juicebox_help',
+  {
+    title: 'Juicebox Help Guide',
+    description: 'Provides a quick-start guide with common phrases and examples for using Juicebox via natural language. Use this ONLY when users explicitly ask about Juicebox, such as "how to use Juicebox", "Juicebox help", "how do I use Juicebox", "what can I do with Juicebox", "get started with Juicebox", "Juicebox examples", "how does Juicebox work", or similar questions specifically about the Juicebox tool. Do NOT use this for general "how to" questions unrelated to Juicebox.',
+    inputSchema: {}
+  },
+  async () => {
+    const guide = `# How to Use Juicebox with Claude
+
+Welcome! You can interact with Juicebox using natural language. Just tell me what you want to do, and I'll help you explore Hi-C contact maps and genomic data.
+
+## Getting Started
+
+**First, connect your browser:**
+- Say: "Open Juicebox" or "Show me Juicebox" or "Get the Juicebox URL"
+- I'll give you a URL to open in your browser
+
+## Common Things You Can Ask
+
+### Finding and Loading Data
+
+**Search for Hi-C maps:**
+- "Find human hg38 contact maps"
+- "Show me K562 cell line maps"
+- "Search for mouse heart tissue Hi-C data"
+- "What maps are available from ENCODE?"
+
+**Load a specific map:**
+- "Load this map" (after searching)
+- "Load the first result"
+- "Load map number 3"
+- "Load 4dn:4DNFIA4WRRBI as the control map"
+- "Compare result 1 with result 4"
+
+**Load from a URL:**
+- "Load this Hi-C file: [URL]"
+- "Load a map from [URL] with KR normalization"
+
+**Load local files:**
+- "Load /Users/me/data/sample.hic"
+- "Add the loops in /Users/me/data/loops.bedpe"
+- "Search our local maps for GM12878"
+- "Which of our own maps are mm10?"
+- "Add the consortium catalog at [URL] as a data source"
+- "Are there new maps in 4DN since last time?"
+- "Find Dekker lab maps on hg38 or hg19, excluding K562"
+- "Show replicate 2 and higher of the GM12878 maps"
+- "Which assemblies and labs do the human maps come from? Keep only the hg38 ones"
+- "Show me the next page of results"
+- "Sort the human maps by lab"
+
+### Exploring the Genome
+
+**Navigate to specific locations:**
+- "Go to chromosome 1"
+- "Show me chr1:1000000-2000000"
 - "Navigate to BRCA1"
 - "Jump to the GATA4 gene"
 - "Show me chromosome 1 from position 1000 to 2000"
 
-**Zoom:**
-- "Zoom in"
-- "Zoom out"
-- "Zoom in on the center"
+**Zoom:**
+- "Zoom in"
+- "Zoom out"
+- "Zoom in on the center"
+
+**Pan:**
+- "Shift right 500 kb"
+- "Move down half a screen"
+- "Slide along the diagonal by 10 bins"
+
+**Go back and forward:**
+- "Go back to the previous view"
+- "Undo that zoom"
+- "Go forward again"
+
+**Bookmarks:**
+- "Bookmark this view as MYC enhancer loop"
+- "What bookmarks do I have?"
+- "Go to the HOXA cluster bookmark"
+
+**Storyboards (guided tours):**
+- "Add this view to the storyboard with the caption 'MYC enhancer loop'"
+- "Build a walkthrough of the loops you found"
+- "Play the storyboard, 10 seconds per step"
+- "Next step"
+
+**Check the current view:**
+- "Where am I?"
+- "What's on screen right now?"
+- "What resolution and normalization am I looking at?"
+
+**Look at the numbers:**
+- "How many contacts are there between these two regions?"
+- "Is the contact at this loop stronger in A than in B?"
+- "Without opening the browser, get the contacts for chr8:127,000,000-128,000,000 from [URL]"
+
+**Inspect a map before loading it:**
+- "Does [URL] have 1 kb resolution and SCALE normalization?"
+- "Which chromosomes and resolutions are in /data/sample.hic?"
+
+### Visualizing Data
+
+**Change colors:**
+- "Set the foreground color to red"
+- "Make the background black"
+- "Use blue (#0000ff) for the map"
+
+**Load additional tracks:**
+- "Add a gene track"
+- "Load this annotation file: [URL]"
+- "Add this bigWig track: [URL]"
+- "Overlay these loops: [bedpe URL]"
+
+**Manage tracks:**
+- "Which tracks are loaded?"
+- "Make the CTCF track red"
+- "Show the loops only in the upper triangle"
+- "Remove the gene track"
+
+### Working with Sessions
+
+**Save your work:**
+- "Save this session"
+- "Save to my Desktop"
+- "Save to [file path]"
+
+**Take a snapshot:**
+- "Show me what the map looks like"
+- "Save a picture of this view to my Desktop"
+
+**Share your visualization:**
+- "Create a shareable URL"
+- "Give me a link to share this"
+
+**Load a saved session:**
+- "Load this session: [paste JSON]"
+- "Load session from [URL]"
+- "Load this session file" (attach a .json file)
+
+### Advanced Workflows
+
+**Find complementary data:**
+- "What other experiments are available for this biosample?"
+- "Show me ChIP-seq data for this cell line"
+- "Find enhancer marks (H3K27ac) for this sample"
+
+**Compare maps:**
+- "Load a control map from [URL]"
+- "Compare this map with [another map]"
+
+**Side-by-side panels:**
+- "Open [URL] in a second panel next to this one"
+- "Go to chr3 in the second panel"
+- "Stop syncing the panels"
+
+**Get information:**
+- "What data sources are available?"
+- "Tell me about this map"
+- "What are the statistics for ENCODE data?"
+
+## Tips
+
+- **Be natural:** Just describe what you want to do in plain language
+- **I'll guide you:** If something needs clarification, I'll ask
+- **Context matters:** I remember what we've been working on
+- **Combine requests:** You can ask for multiple things at once
+
+## Example Workflow
+
+You: "I want to explore Hi-C data from heart tissue"
+
+Me: I'll search for heart-related experiments, show you options, help you select files, configure normalization, and suggest relevant annotations and complementary data.
+
+You: "Load the left ventricle map with SCALE normalization"
+
+Me: I'll load it with the recommended settings and offer to add gene tracks and annotations.
+
+## Need Help?
+
+Just ask:
+- "How do I..."
+- "What can I do?"
+- "Show me examples"
+- "Help me get started"
+
+I'm here to help you explore genomic data efficiently!`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: guide
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: list_data_sources
+mcpServer.registerTool(
+  'list_data_sources',
+  {
+    title: 'List Data Sources',
+    description: 'List available Hi-C contact map data sources (4DN, ENCODE, the local directories if configured, and user-defined catalogs) with their metadata columns. Use this when users ask what data sources are available, what maps can be searched, or want to understand the available metadata.',
+    inputSchema: {}
+  },
+  async () => {
+    await userDataSourcesLoaded;
+    const sources = getAllSourceIds().map(sourceId => {
+      const config = getDataSource(sourceId);
+      return {
+        id: config.id,
+        name: config.name,
+        description: config.description,
+        columns: config.columns,
+        url: config.url,
+        directories: config.directories,
+        userDefined: isUserDefinedSource(sourceId)
+      };
+    });
+    
+    const formatted = sources.map(source => {
+      return `${source.name} (${source.id}${source.userDefined ? ', user-defined' : ''}):\n` +
+        `  Description: ${source.description}\n` +
+        (source.directories
+          ? `  Directories: ${source.directories.join(', ')}\n`
+          : `  Data URL: ${source.url}\n`) +
+        `  Available columns: ${source.columns ? source.columns.join(', ') : 'all columns of the catalog'}`;
+    }).join('\n\n');
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Available data sources:\n\n${formatted}`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: add_data_source
+mcpServer.registerTool(
+  'add_data_source',
+  {
+    title: 'Add Data Source',
+    description: 'Register a catalog of Hi-C contact maps published by a collaborating consortium or lab, so that its maps are searchable with search_maps like 4DN and ENCODE. The catalog is a TSV, CSV or JSON Lines file at a URL, with one map per row. It is read once to check it, then saved in the juicebox-mcp config file so it is available after server restarts.',
+    inputSchema: {
+      id: z.string().describe('Data source ID used in search_maps, e.g. "my-consortium" (letters, digits, "-" and "_")'),
+      url: z.string().url().describe('URL of the catalog file'),
+      name: z.string().optional().describe('Display name, e.g. "My Consortium". Default: the ID'),
+      description: z.string().optional().describe('Description of the maps in the catalog'),
+      parserType: z.enum(CATALOG_PARSER_TYPES).optional().default('tsv').describe('Catalog format: "tsv", "csv" or "jsonl" (JSON Lines, one object per map). Default: "tsv"'),
+      columns: z.array(z.string()).optional().describe('Metadata columns (or JSON properties) to keep, e.g. ["Assembly", "Biosource", "Lab"]. Default: all of them'),
+      urlColumn: z.union([z.string(), z.number().int().nonnegative()]).optional().describe('Column name or 0-based index (property name for JSON Lines) holding the map URLs. Default: the first column ("url" for JSON Lines)'),
+      urlPrefix: z.string().optional().describe('Prefix for URLs in the catalog that are relative, e.g. "https://data.example.org"'),
+      nameColumn: z.string().optional().describe('Column used as the display name of a map. Default: the file name of its URL'),
+      overwrite: z.boolean().optional().default(false).describe('Replace a user-defined data source with the same ID (default false)')
+    }
+  },
+  async ({ overwrite, ...config }) => {
+    try {
+      await userDataSourcesLoaded;
+      const dataSource = validateDataSource(config);
+      if (isValidSource(dataSource.id) && !overwrite) {
+        throw new Error(`A data source with ID "${dataSource.id}" already exists. Set overwrite to replace it`);
+      }
+
+      // Read the catalog before saving it, so that a wrong URL or column isn't persisted
+      const maps = await readCatalog(dataSource);
+      if (maps.length === 0) {
+        throw new Error(`No maps found in ${dataSource.url}. Check the parser type and URL column`);
+      }
+
+      const { replaced } = await dataSourceStore.save(dataSource, overwrite);
+      registerDataSource(dataSource);
+      clearCache(dataSource.id);
+      mcpServer.sendResourceListChanged();
+
+      const columns = Object.keys(maps[0].metadata).filter(key => !key.startsWith('_'));
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${replaced ? 'Replaced' : 'Added'} data source "${dataSource.name}" (${dataSource.id}) with ${maps.length} maps.\n` +
+              `Columns: ${columns.join(', ')}\n` +
+              `Example: ${maps[0].name} (${maps[0].url})\n` +
+              `Saved in ${CONFIG_FILE}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error adding data source:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error adding data source: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: goto_locus
+mcpServer.registerTool(
+  'goto_locus',
+  {
+    title: 'Navigate to Locus',
+    description: 'Navigate to a specific genomic locus in the currently loaded map. Supports natural language, gene names, standard format, and structured objects. Examples: "chr1:1000-2000", "BRCA1", "chromosome 1 from 1000 to 2000", or {chr: "chr1", start: 1000, end: 2000}. When a single chromosome is specified, it applies to both axes of the Hi-C contact map.',
+    inputSchema: {
+      locus: z.union([
+        z.string().describe('Locus specification as string (natural language, standard format, or gene name). Examples: "chr1:1000-2000", "BRCA1", "chromosome 1 from 1000 to 2000"'),
+        z.object({
+          chr: z.string().describe('Chromosome name (e.g., "chr1")'),
+          start: z.number().optional().describe('Start position in base pairs (1-based)'),
+          end: z.number().optional().describe('End position in base pairs (1-based)')
+        }).describe('Locus specification as structured object')
+      ]).describe('Locus to navigate to. Can be a string (natural language or standard format) or an object with chr, start, and end properties.'),
+      panel: panelSchema
+    }
+  },
+  async ({ locus, panel }) => {
+    if (!locus) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Locus specification is required'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    // Format locus string for display
+    let locusDisplay;
+    if (typeof locus === 'string') {
+      locusDisplay = locus;
+    } else if (typeof locus === 'object' && locus.chr) {
+      if (locus.start !== undefined && locus.end !== undefined) {
+        locusDisplay = `${locus.chr}:${locus.start}-${locus.end}`;
+      } else {
+        locusDisplay = locus.chr;
+      }
+    } else {
+      locusDisplay = JSON.stringify(locus);
+    }
+
+    try {
+      const result = await sendCommandAndWait({
+        type: 'gotoLocus',
+        locus: locus,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Navigated to locus: ${locusDisplay}${result?.locus ? `\nCurrent view: ${result.locus}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error navigating to locus:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error navigating to locus ${locusDisplay}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: pan_view
+mcpServer.registerTool(
+  'pan_view',
+  {
+    title: 'Pan View',
+    description: 'Shift the current view without changing the zoom, e.g. "shift right 500 kb" or "move up half a screen". Right/left move the x axis, down/up the y axis, and forward/backward move both axes along the diagonal. The amount is in base pairs (a number or a value like "500kb"), bins at the current resolution, or a fraction of the view. Panning stops at chromosome ends. Returns the resulting locus.',
+    inputSchema: {
+      direction: z.enum(['left', 'right', 'up', 'down', 'forward', 'backward']).describe('Direction to pan: "left", "right", "up", "down", or "forward"/"backward" along the diagonal'),
+      amount: z.union([z.number().positive(), z.string()]).describe('How far to pan, e.g. 500000, "500kb" or "1mb" (base pairs), 10 (bins) or 0.5 (fraction of the view)'),
+      unit: z.enum(['bp', 'bins', 'fraction']).optional().default('bp').describe('Unit of amount: "bp" (default), "bins" or "fraction" of the view'),
+      panel: panelSchema
+    }
+  },
+  async ({ direction, amount, unit, panel }) => {
+    // Amounts with a unit suffix ("500kb") are always base pairs
+    const value = typeof amount === 'string' ? parseBinSize(amount) : amount;
+    if (!value || (typeof amount === 'string' && unit !== 'bp')) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid amount: ${amount}. Use a positive number, or base pairs with a unit (e.g., "500kb", "1mb")`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const result = await sendCommandAndWait({
+        type: 'panView',
+        direction: direction,
+        amount: value,
+        unit: unit,
+        panel: panel
+      });
+
+      const shifted = [result.shiftedBP.x, result.shiftedBP.y]
+        .map((bp, i) => (bp !== 0 ? `${i === 0 ? 'x' : 'y'} ${bp > 0 ? '+' : ''}${bp} bp` : null))
+        .filter(Boolean);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Panned ${direction}${shifted.length > 0 ? ` (${shifted.join(', ')})` : ' (no movement)'}` +
+              `${result.clamped ? ', stopped at the chromosome end' : ''}` +
+              `\nCurrent view: ${result.locus}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error panning view:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error panning view: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: undo_view
+mcpServer.registerTool(
+  'undo_view',
+  {
+    title: 'Undo View',
+    description: 'Go back to the previous view, like a web browser back button, e.g. "go back" or "undo that zoom". Every navigation (goto, zoom, pan, sweep zoom, chromosome selection) is recorded in a per-panel view history; loading a map starts a new history. Normalization and colors are not part of the history. Returns the restored locus.',
+    inputSchema: {
+      steps: z.number().int().positive().optional().default(1).describe('Number of views to go back (default 1)'),
+      panel: panelSchema
+    }
+  },
+  async ({ steps, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'undoView',
+        steps: steps,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Current view: ${result.locus}` +
+              `\nCan go back: ${result.canUndo ? 'yes' : 'no'}, can go forward: ${result.canRedo ? 'yes' : 'no'}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error restoring previous view:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error restoring previous view: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: redo_view
+mcpServer.registerTool(
+  'redo_view',
+  {
+    title: 'Redo View',
+    description: 'Go forward again to a view left by undo_view, like a web browser forward button, e.g. "go forward" or "redo". Navigating to a new view after going back discards the forward views. Returns the restored locus.',
+    inputSchema: {
+      steps: z.number().int().positive().optional().default(1).describe('Number of views to go forward (default 1)'),
+      panel: panelSchema
+    }
+  },
+  async ({ steps, panel }) => {
+    try {
+      const result = await sendCommandAndWait({
+        type: 'redoView',
+        steps: steps,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Current view: ${result.locus}` +
+              `\nCan go back: ${result.canUndo ? 'yes' : 'no'}, can go forward: ${result.canRedo ? 'yes' : 'no'}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error restoring next view:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error restoring next view: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: get_view_state
+mcpServer.registerTool(
+  'get_view_state',
+  {
+    title: 'Get View State',
+    description: 'Read back what is currently displayed in the Juicebox browser: loaded map and control map (names and URLs), chromosomes, base-pair ranges on both axes, current resolution, normalization, display mode, color scale thresholds, and loaded 1D/2D tracks. Use this before follow-up requests that refer to the current view (e.g., "zoom into the loop you just showed me").',
+    inputSchema: {
+      panel: panelSchema
+    }
+  },
+  async ({ panel }) => {
+    try {
+      const viewState = await sendCommandAndWait({ type: 'getViewState', panel: panel });
+
+      let summary;
+      if (!viewState?.map) {
+        summary = 'No map is loaded.';
+      } else {
+        summary = [
+          `Map: ${viewState.map.name}${viewState.map.genome ? ` (${viewState.map.genome})` : ''}`,
+          viewState.controlMap ? `Control map: ${viewState.controlMap.name}` : null,
+          `Locus: ${viewState.locus}`,
+          `Resolution: ${viewState.resolution} bp`,
+          `Normalization: ${viewState.normalization}`,
+          `Display mode: ${viewState.displayMode}`,
+          `Tracks: ${viewState.tracks.length} 1D, ${viewState.tracks2D.length} 2D`
+        ].filter(line => line !== null).join('\n');
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${summary}\n\n[Structured data for programmatic access]\n${JSON.stringify(viewState, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error getting view state:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting view state: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Reads .hic files in the server, for tools that work without a connected browser
+const hicReader = new HicReader(localFiles);
+
+// Results of search_maps in each MCP session, for load_search_result and compare_search_results
+const searchResults = new SearchResultSets();
+const DEFAULT_RESULT_SESSION = 'default';
+
+// Normalizations to load a search result with, the first one the file has
+const PREFERRED_NORMALIZATIONS = ['SCALE', 'KR', 'VC_SQRT', 'VC'];
+
+// .hic attributes that are too large to report: Juicer stores the fragment length and other plots in "graphs"
+const OMITTED_HIC_ATTRIBUTES = ['graphs'];
+const MAX_STATISTICS_LINES = 40;
+
+// Describe a .hic header read by hicReader.readHeader(): one line per item, then the stored
+// attributes and the statistics text written by Juicer
+function formatMapHeader(header) {
+  const lines = [
+    `Genome: ${header.genome}`,
+    `.hic version: ${header.version}`,
+    `Chromosomes (${header.chromosomes.length}): ${header.chromosomes.map(({ name, size }) => `${name} (${size} bp)`).join(', ')}`,
+    `Resolutions (bp): ${header.resolutions.join(', ')}`,
+    header.fragResolutions.length > 0 ? `Fragment resolutions: ${header.fragResolutions.join(', ')}` : null,
+    `Normalizations: ${header.normalizations.join(', ')}`
+  ].filter(line => line !== null);
+
+  const { statistics, ...attributes } = summarizeHicAttributes(header.attributes);
+  for (const [key, value] of Object.entries(attributes)) {
+    lines.push(`${key}: ${value}`);
+  }
+
+  if (statistics) {
+    // Newer Juicer versions write the statistics as an HTML table
+    const statisticsLines = statistics.replace(/<\/(tr|p|div)>|<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ' ')
+      .split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line.length > 0);
+    lines.push('Statistics:');
+    lines.push(...statisticsLines.slice(0, MAX_STATISTICS_LINES).map(line => `  ${line}`));
+    if (statisticsLines.length > MAX_STATISTICS_LINES) {
+      lines.push(`  ... ${statisticsLines.length - MAX_STATISTICS_LINES} more lines`);
+    }
+  }
+
+  return lines;
+}
+
+function summarizeHicAttributes(attributes) {
+  return Object.fromEntries(Object.entries(attributes)
+    .filter(([key]) => !OMITTED_HIC_ATTRIBUTES.includes(key)));
+}
+
+// Register tool: inspect_map
+mcpServer.registerTool(
+  'inspect_map',
+  {
+    title: 'Inspect Map',
+    description: 'Read the header of a .hic file directly in the server, without loading it into the browser (no browser connection needed): file version, genome, chromosomes and sizes, available resolutions (bin sizes) and normalization methods. Use this to check whether a map has a resolution or normalization before loading it, or to script analysis while the visualization is not open.',
+    inputSchema: {
+      url: z.string().describe('URL of the .hic file, or absolute path of a .hic file on the server\'s disk')
+    }
+  },
+  async ({ url }) => {
+    try {
+      const header = await hicReader.readHeader(url);
+      const lines = [`Map: ${header.name}`, ...formatMapHeader(header)];
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n` +
+              JSON.stringify({ ...header, attributes: summarizeHicAttributes(header.attributes) }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error inspecting map:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error inspecting map: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: get_contact_matrix
+mcpServer.registerTool(
+  'get_contact_matrix',
+  {
+    title: 'Get Contact Matrix',
+    description: 'Extract the actual contact counts for a pair of loci from the contact map (A), the control map (B) or both, as a dense matrix or a sparse list of non-zero cells. Rows are bins of locus1 and columns bins of locus2. Loci, resolution and normalization default to the current view. Large regions are returned at a coarser resolution (or downsampled by summing bins) so that neither axis exceeds maxBins. Use this to reason about numbers, e.g. "is the contact at this loop stronger in A than in B?". Give url (and controlUrl) to read .hic files directly in the server instead of the maps loaded in the browser; this works without a browser connection, and locus1 is then required.',
+    inputSchema: {
+      url: z.string().optional().describe('Optional URL or absolute path of a .hic file to read directly in the server, without the browser. Default: the map loaded in the browser'),
+      controlUrl: z.string().optional().describe('Optional URL or absolute path of the control map (B) when url is given'),
+      locus1: z.string().optional().describe('Optional locus for the rows (e.g., "chr1:1000000-2000000"). Default: the current view; required when url is given'),
+      locus2: z.string().optional().describe('Optional locus for the columns. Default: same as locus1'),
+      resolution: z.union([z.number().int().positive(), z.string()]).optional()
+        .describe('Optional bin size in base pairs (e.g., 5000) or with a unit (e.g., "5kb"). Default: the current resolution, or the finest one when url is given'),
+      normalization: z.string().optional().describe('Optional normalization (e.g., "NONE", "KR", "SCALE"). Default: the current normalization, or "NONE" when url is given. Raw counts are included alongside normalized values'),
+      map: z.enum(['A', 'B', 'both']).optional().default('A').describe('Which map to read: "A" (contact map), "B" (control map) or "both". Default: "A"'),
+      format: z.enum(['dense', 'sparse']).optional().default('dense').describe('"dense" (rows x columns arrays) or "sparse" ([row, column, value, count] records for non-zero cells). Default: "dense"'),
+      maxBins: z.number().int().positive().max(500).optional().default(100).describe('Maximum number of bins per axis (default 100, at most 500)'),
+      maxRecords: z.number().int().positive().max(50000).optional().default(5000).describe('Sparse format only: maximum number of records; the largest values are kept (default 5000)'),
+      panel: panelSchema
+    }
+  },
+  async ({ url, controlUrl, locus1, locus2, resolution, normalization, map, format, maxBins, maxRecords, panel }) => {
+    let bp;
+    if (resolution !== undefined) {
+      bp = parseBinSize(resolution);
+      if (!bp) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Invalid resolution: ${resolution}. Use base pairs (e.g., 5000) or a value with a unit (e.g., "5kb", "1mb")`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+
+    try {
+      let result;
+      if (url) {
+        result = await hicReader.getContactMatrix(url, {
+          controlUrl, locus1, locus2, resolution: bp, normalization, map, format, maxBins, maxRecords
+        });
+      } else {
+        result = await sendCommandAndWait({
+          type: 'getContactMatrix',
+          locus1: locus1,
+          locus2: locus2,
+          resolution: bp,
+          normalization: normalization,
+          map: map,
+          format: format,
+          maxBins: maxBins,
+          maxRecords: maxRecords,
+          panel: panel
+        });
+      }
+
+      const locusText = ({ chr, start, end }) => `${chr}:${start + 1}-${end}`;
+      const lines = [
+        `Contact matrix ${locusText(result.locus1)} x ${locusText(result.locus2)}: ${result.rows} x ${result.columns} bins of ${result.binSize} bp, ${result.normalization} normalization`
+      ];
+      if (result.binSize !== result.requestedResolution) {
+        lines.push(`Downsampled from ${result.requestedResolution} bp to stay within ${maxBins} bins per axis` +
+          `${result.downsampleFactor > 1 ? ` (${result.resolution} bp bins summed ${result.downsampleFactor} x ${result.downsampleFactor})` : ''}`);
+      }
+      for (const [key, matrix] of Object.entries(result.maps)) {
+        lines.push(`${key} (${matrix.name}): total ${matrix.total}, ${matrix.nonZero} non-zero cells` +
+          `${matrix.truncated ? `, ${matrix.records.length} largest returned` : ''}`);
+      }
+      if (result.maps.A && result.maps.B && result.maps.B.total > 0) {
+        lines.push(`A/B total ratio: ${(result.maps.A.total / result.maps.B.total).toFixed(3)}`);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(result)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error getting contact matrix:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting contact matrix: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// A structured search_maps filter on one column: a value, any of several values, or a numeric range and
+// values to exclude
+const searchFilterValueSchema = z.union([z.string(), z.number()]);
+const searchFilterSchema = z.union([
+  searchFilterValueSchema,
+  z.array(searchFilterValueSchema),
+  z.object({
+    min: z.number().optional().describe('Smallest number in the column'),
+    max: z.number().optional().describe('Largest number in the column'),
+    not: z.union([searchFilterValueSchema, z.array(searchFilterValueSchema)]).optional().describe('Value(s) to exclude')
+  })
+]);
+
+// A search result: its handle, or its number in the last search
+const searchResultSchema = z.union([z.string(), z.number().int().positive()]);
+
+// Register tool: search_maps
+mcpServer.registerTool(
+  'search_maps',
+  {
+    title: 'Search Maps',
+    description: 'Search for Hi-C contact maps using natural language queries. Searches across all metadata fields (Assembly, Biosource, Biosample, Description, etc.). Use this when users want to find specific maps, e.g., "human hg38 maps", "mouse cell lines", "K562 cells", etc. Queries also support a precise syntax: field:value for a catalog column (lab:Dekker, assembly:mm10, biosource:"GM12878"), quoted phrases, OR (hg38 OR hg19), negation (-K562 or NOT K562) and numeric comparisons (replicate:>=2, replicate:1..2); or pass the same conditions as structured filters. Results come with facet counts over all matching maps (Assembly, Biosource, Lab, Assay, Experiment, Species, Category), to offer choices like "47 maps: 30 hg38, 17 mm10"; select values with facets to narrow the search down. Each result has a handle (e.g. 4dn:4DNFIA4WRRBI) that stays valid across searches: load it with load_search_result or compare_search_results, or get its details with get_map_details. The "local" source, when configured, catalogs the lab\'s own .hic maps and .bedpe/bigWig tracks on disk; their URLs are file paths, loaded with load_map (Type "map") or load_tracks (Type "track"). Results are sorted by relevance (or by assembly, lab or accession with sort) and come in pages of 50 by default, with the total count; get the next page with the cursor of the previous one, or with offset. For statistical questions like "what assemblies are covered" or "how many maps are there", use get_data_source_statistics instead.',
+    inputSchema: {
+      source: z.string().optional().describe("Data source ID ('4dn', 'encode', 'local' or a user-defined source, see list_data_sources) or 'all' to search all sources. Default: 'all'"),
+      query: z.string().optional().describe('Search query: natural language (e.g., "human hg38", "mouse cells", "K562") or the query syntax, e.g. \'lab:Dekker assembly:hg38 OR assembly:hg19 -K562 replicate:>=2\'. Required unless filters or facets are given'),
+      filters: z.record(z.string(), searchFilterSchema).optional().describe('Structured filters by catalog column (case-insensitive), all of which must match, combined with the query. A value is a string or number, a list of values (any of them), or {min, max, not}. Example: {"Assembly": "hg38", "Lab": ["Dekker", "Aiden"], "Replicate": {"min": 2}, "Biosource": {"not": "K562"}}'),
+      facets: z.record(z.string(), z.union([z.string(), z.array(z.string())])).optional().describe(`Facet values to select, exactly as listed in the facet counts of a previous search: facet name (${FACET_NAMES.join(', ')}) to a value or a list of values (any of them). Example: {"Assembly": "hg38", "Lab": ["Job Dekker, UMASS"]}`),
+      sort: z.enum(SORT_KEYS).optional().describe('Order of the results: "score" (relevance, default), "assembly", "lab" or "accession"'),
+      limit: z.number().int().positive().optional().describe('Maximum number of results to return (default: 50)'),
+      offset: z.number().int().nonnegative().optional().describe('Number of results to skip, for later pages (default: 0)'),
+      cursor: z.string().optional().describe('Cursor of the next page, from the previous page of results. Continues that search: the other parameters are not needed, and only limit may be changed')
+    }
+  },
+  async ({ cursor, ...params }) => {
+    try {
+      await userDataSourcesLoaded;
+      // A cursor holds the parameters of the search it continues
+      const search = cursor ? { ...decodeSearchCursor(cursor), ...(params.limit !== undefined && { limit: params.limit }) } : params;
+      const { source = 'all', query, filters, facets, sort = 'score', limit = 50, offset = 0 } = search;
+      const facetText = Object.entries(facets || {}).map(([facet, values]) => `${facet}=${[].concat(values).join('|')}`).join(' ');
+      const searchText = [query, filtersToQuery(filters), facetText].filter(part => part && part.trim()).join(' ');
+      if (!searchText) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Error: A search query, filters or facets are required'
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      const sourceIds = source === 'all' ? getAllSourceIds() : [source];
+      
+      // Validate source IDs
+      for (const sourceId of sourceIds) {
+        if (!isValidSource(sourceId)) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error: Unknown data source "${sourceId}". Available sources: ${getAllSourceIds().join(', ')}`
+              }
+            ],
+            isError: true
+          };
+        }
+      }
+      
+      // Fetch and parse data from all specified sources
+      const allMaps = [];
+      const indexes = [];
+      const notes = [];
+      for (const sourceId of sourceIds) {
+        try {
+          const maps = await parseDataSource(sourceId);
+          allMaps.push(...maps);
+          const index = getSearchIndex(sourceId);
+          if (index) {
+            indexes.push(index);
+          }
+
+          const status = getCatalogStatus(sourceId);
+          if (status?.status === 'stale') {
+            notes.push(`Note: the ${getDataSource(sourceId).name} catalog could not be fetched (${status.error}); searching the copy from ${status.fetched}.`);
+          }
+        } catch (error) {
+          logError(`Error parsing data source ${sourceId}:`, error);
+          // Continue with other sources even if one fails
+        }
+      }
+      
+      if (allMaps.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No data available from the specified source(s). This may be a temporary network issue.`
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      // Filter maps by query.  Field-scoped terms may use the columns of any searched source.
+      const columns = sourceIds.flatMap(sourceId => getDataSource(sourceId).columns || []);
+      const matchingMaps = filterMaps(allMaps, query, { columns, filters, indexes });
+      
+      // Facets are counted over all matching maps, not only those returned
+      const facetCounts = countFacets(matchingMaps, facets);
+      const filteredMaps = selectFacets(matchingMaps, facets);
+      
+      // Sort, take the page, and remember its results for load_search_result
+      const sortedMaps = sortMaps(filteredMaps, sort);
+      const pageMaps = searchResults.add(getCurrentSessionId() || DEFAULT_RESULT_SESSION, sortedMaps.slice(offset, offset + limit), offset + 1);
+      const total = sortedMaps.length;
+      const nextCursor = offset + limit < total
+        ? encodeSearchCursor({ source, query, filters, facets, sort, limit, offset: offset + limit })
+        : null;
+      
+      // Format results
+      const formattedTable = formatSearchResults(pageMaps, searchText, source, { total, first: offset + 1 });
+      const formattedNext = nextCursor
+        ? `\nNext page (#${offset + limit + 1}-${Math.min(offset + 2 * limit, total)}): search_maps with cursor "${nextCursor}", or offset ${offset + limit}\n`
+        : '';
+      const formattedFacets = total > 0 ? `\n${formatFacets(facetCounts, total, facets)}` : '';
+      const jsonResults = formatSearchResultsJSON(pageMaps, {
+        facets: facetCounts,
+        summary: { total, offset, limit, sort, nextCursor }
+      });
+      
+      // Combine formatted table and JSON for Claude
+      const resultText = `${notes.map(note => `${note}\n\n`).join('')}${formattedTable}${formattedNext}${formattedFacets}\n\n[Structured data for programmatic access]\n${jsonResults}`;
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error in search_maps tool:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching maps: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: get_data_source_statistics
+mcpServer.registerTool(
+  'get_data_source_statistics',
+  {
+    title: 'Get Data Source Statistics',
+    description: 'Get statistical overview of a data source including total maps, assemblies covered, and breakdowns by metadata fields. Use this when users ask "what assemblies are available", "how many maps are there", "what cell types are covered", etc. This returns unfiltered statistics without search limits.',
+    inputSchema: {
+      source: z.string().describe("Data source ID ('4dn', 'encode', 'local' or a user-defined source)")
+    }
+  },
+  async ({ source }) => {
+    try {
+      await userDataSourcesLoaded;
+      if (!isValidSource(source)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: Unknown data source "${source}". Available sources: ${getAllSourceIds().join(', ')}`
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      // Fetch all maps without filtering
+      const maps = await parseDataSource(source);
+      
+      if (maps.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No data available from ${source} data source. This may be a temporary network issue.`
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      // Calculate statistics
+      const stats = {
+        totalMaps: maps.length,
+        assemblies: {},
+        biosources: {},
+        labs: {},
+        experiments: {}
+      };
+      
+      maps.forEach(map => {
+        // Count by Assembly
+        const assembly = map.metadata?.Assembly || 'Unknown';
+        stats.assemblies[assembly] = (stats.assemblies[assembly] || 0) + 1;
+        
+        // Count by Biosource/Biosample
+        const biosource = map.metadata?.Biosource || map.metadata?.Biosample || 'Unknown';
+        stats.biosources[biosource] = (stats.biosources[biosource] || 0) + 1;
+        
+        // Count by Lab
+        const lab = map.metadata?.Lab || 'Unknown';
+        stats.labs[lab] = (stats.labs[lab] || 0) + 1;
+        
+        // Count by Experiment
+        const experiment = map.metadata?.Experiment || 'Unknown';
+        stats.experiments[experiment] = (stats.experiments[experiment] || 0) + 1;
+      });
+      
+      // Format output
+      const config = getDataSource(source);
+      let output = `${config.name} Data Source Statistics\n`;
+      output += `${'='.repeat(50)}\n\n`;
+      output += `Total Maps: ${stats.totalMaps}\n\n`;
+      
+      // Assemblies
+      output += `Assemblies Covered (${Object.keys(stats.assemblies).length} total):\n`;
+      const sortedAssemblies = Object.entries(stats.assemblies)
+        .sort((a, b) => b[1] - a[1]); // Sort by count
+      sortedAssemblies.forEach(([assembly, count]) => {
+        output += `  ${assembly}: ${count} maps\n`;
+      });
+      output += '\n';
+      
+      // Top Biosources
+      output += `Top Biosources/Biosamples (showing top 10):\n`;
+      const sortedBiosources = Object.entries(stats.biosources)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+      sortedBiosources.forEach(([biosource, count]) => {
+        output += `  ${biosource}: ${count} maps\n`;
+      });
+      output += '\n';
+      
+      // Top Labs
+      output += `Top Labs (showing top 10):\n`;
+      const sortedLabs = Object.entries(stats.labs)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+      sortedLabs.forEach(([lab, count]) => {
+        output += `  ${lab}: ${count} maps\n`;
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error in get_data_source_statistics tool:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting statistics: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Names of maps listed in a refresh report, per change
+const MAX_LISTED_CHANGES = 10;
+
+/**
+ * Describe the result of refreshDataSource() for a data source.
+ * @returns {string[]} Lines
+ */
+function formatRefreshResult(name, { status, fetched, error, maps, previous, added, removed }) {
+  const states = {
+    fetched: `downloaded ${fetched}`,
+    'not-modified': `not modified since ${fetched}`,
+    cached: `offline mode, using the copy from ${fetched}`,
+    stale: `could not be fetched (${error}), using the copy from ${fetched}`,
+    scanned: 'directories scanned'
+  };
+  const lines = [`${name}: ${maps} maps, ${states[status] || status}`];
+
+  if (previous === null) {
+    lines.push('  No previous copy to compare with');
+  } else if (added.length === 0 && removed.length === 0) {
+    lines.push('  No maps added or removed');
+  }
+  for (const [label, changed] of [['Added', added], ['Removed', removed]]) {
+    if (changed.length > 0) {
+      const names = changed.slice(0, MAX_LISTED_CHANGES).map(map => map.name).join(', ');
+      const more = changed.length > MAX_LISTED_CHANGES ? `, and ${changed.length - MAX_LISTED_CHANGES} more` : '';
+      lines.push(`  ${label} ${changed.length}: ${names}${more}`);
+    }
+  }
+  return lines;
+}
 
-### Visualizing Data
+// Register tool: refresh_data_sources
+mcpServer.registerTool(
+  'refresh_data_sources',
+  {
+    title: 'Refresh Data Sources',
+    description: 'Check the data source catalogs for new versions now, instead of waiting for the cached copies to expire, and report what changed since the last fetch: the maps added and removed. Use this when users ask whether there are new maps, or to pick up a catalog or local directory that was just updated.',
+    inputSchema: {
+      source: z.string().optional().describe("Data source ID, or 'all' to refresh all sources. Default: 'all'")
+    }
+  },
+  async ({ source = 'all' }) => {
+    try {
+      await userDataSourcesLoaded;
+      if (source !== 'all' && !isValidSource(source)) {
+        throw new Error(`Unknown data source "${source}". Available sources: ${getAllSourceIds().join(', ')}`);
+      }
 
-**Change colors:**
-- "Set the foreground color to red"
-- "Make the background black"
-- "Use blue (#0000ff) for the map"
+      const sourceIds = source === 'all' ? getAllSourceIds() : [source];
+      const results = [];
+      const lines = [];
+      for (const sourceId of sourceIds) {
+        const { name } = getDataSource(sourceId);
+        try {
+          const result = await refreshDataSource(sourceId);
+          results.push({
+            source: sourceId,
+            ...result,
+            added: result.added.map(({ name, url }) => ({ name, url })),
+            removed: result.removed.map(({ name, url }) => ({ name, url }))
+          });
+          lines.push(...formatRefreshResult(name, result));
+        } catch (error) {
+          logWarn(`Could not refresh ${sourceId}:`, error.message);
+          results.push({ source: sourceId, error: error.message });
+          lines.push(`${name}: could not be refreshed: ${error.message}`);
+        }
+      }
 
-**Load additional tracks:**
-- "Add a gene track"
-- "Load this annotation file: [URL]"
-- "Add this bigWig track: [URL]"
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(results, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error refreshing data sources:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error refreshing data sources: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-### Working with Sessions
+// Register tool: get_map_details
+mcpServer.registerTool(
+  'get_map_details',
+  {
+    title: 'Get Map Details',
+    description: 'Get detailed information about a specific Hi-C contact map: the catalog metadata, and what the .hic file itself contains, read from its header without downloading the file (genome, chromosomes and sizes, bp and fragment resolutions, normalization methods, file version and stored attributes/statistics). Use this when users want more information about a map from search results, or ask whether it has a resolution or normalization (e.g., "does this map have 1 kb resolution / SCALE normalization?") before loading it.',
+    inputSchema: {
+      result: searchResultSchema.optional().describe('Search result: its handle from search_maps (e.g. "4dn:4DNFIA4WRRBI") or its # in the last search. If given, source, index and url are not needed'),
+      source: z.string().optional().describe("Data source ID ('4dn', 'encode', 'local' or a user-defined source). Required unless result is given"),
+      index: z.number().int().nonnegative().optional().describe('Index into the whole data source catalog (0-based, not the # of a search result). Required if url or result is not provided.'),
+      url: z.string().optional().describe('Direct URL to the map (a file path for the local source). Required if index or result is not provided.'),
+      includeHeader: z.boolean().optional().default(true).describe('Read the .hic file header for resolutions, normalizations, chromosomes and statistics (default true). Set to false for catalog metadata only')
+    }
+  },
+  async ({ result, source, index, url, includeHeader }) => {
+    try {
+      await userDataSourcesLoaded;
+      let map = null;
+      if (result !== undefined) {
+        map = await resolveSearchResult(result);
+      } else if (!isValidSource(source)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: Unknown data source "${source}". Available sources: ${getAllSourceIds().join(', ')}`
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      if (!map && index === undefined && !url) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Error: Either result, index or url must be provided'
+            }
+          ],
+          isError: true
+        };
+      }
+      
+      if (!map) {
+        // Fetch maps from source
+        const maps = await parseDataSource(source);
+      
+        if (url) {
+          // Find map by URL
+          map = maps.find(m => m.url === url);
+          if (!map) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Map with URL "${url}" not found in ${source} data source.`
+                }
+              ],
+              isError: true
+            };
+          }
+        } else {
+          // Get map by index
+          if (index >= maps.length) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Index ${index} is out of range. ${source} data source has ${maps.length} maps (indices 0-${maps.length - 1}).`
+                }
+              ],
+              isError: true
+            };
+          }
+          map = maps[index];
+        }
+      }
+      
+      // Format detailed information
+      const details = [
+        `Source: ${map.source}`,
+        `Handle: ${map.handle || resultHandle(map)}`,
+        `Name: ${map.name}`,
+        `URL: ${map.url}`,
+        '',
+        'Metadata:'
+      ];
+      
+      if (map.metadata) {
+        Object.entries(map.metadata).forEach(([key, value]) => {
+          details.push(`  ${key}: ${value || '(empty)'}`);
+        });
+      }
 
-**Save your work:**
-- "Save this session"
-- "Save to my Desktop"
-- "Save to [file path]"
+      // The catalog is still worth reporting when the file can't be read (e.g. access restricted)
+      let header = null;
+      // Only .hic files have a header to read; the local source also lists tracks
+      if (includeHeader && !/\.hic$/i.test(map.url.split('?')[0])) {
+        details.push('', 'Not a .hic file, no header to read.');
+      } else if (includeHeader) {
+        details.push('', '.hic file:');
+        try {
+          header = await hicReader.readHeader(map.url);
+          details.push(...formatMapHeader(header).map(line => `  ${line}`));
+          header = { ...header, attributes: summarizeHicAttributes(header.attributes) };
+        } catch (error) {
+          logWarn(`Could not read the header of ${map.url}:`, error.message);
+          details.push(`  Could not read the file header: ${error.message}`);
+        }
+      }
 
-**Share your visualization:**
-- "Create a shareable URL"
-- "Give me a link to share this"
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${details.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify({ map, header }, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error in get_map_details tool:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting map details: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-**Load a saved session:**
-- "Load this session: [paste JSON]"
-- "Load session from [URL]"
-- "Load this session file" (attach a .json file)
+// Find a search result by handle, or by its number in the last search of the MCP session.  Handles that
+// are not among the session's results (e.g. from an earlier conversation) are looked up in their catalog.
+async function resolveSearchResult(reference) {
+  const map = searchResults.get(getCurrentSessionId() || DEFAULT_RESULT_SESSION, reference);
+  if (map) {
+    return map;
+  }
 
-### Advanced Workflows
+  const handle = String(reference).trim();
+  if (/^\d+$/.test(handle)) {
+    throw new Error(`There is no result #${handle} in the last search. Search with search_maps first, or give the handle of the result`);
+  }
+  const sourceId = handle.substring(0, handle.indexOf(':'));
+  if (!isValidSource(sourceId)) {
+    throw new Error(`Unknown search result "${handle}". Handles are listed by search_maps, e.g. "4dn:4DNFIA4WRRBI"`);
+  }
+  const found = (await parseDataSource(sourceId)).find(m => resultHandle(m) === handle);
+  if (!found) {
+    throw new Error(`No map with handle "${handle}" in the ${getDataSource(sourceId).name} catalog`);
+  }
+  return { ...found, handle };
+}
 
-**Find complementary data:**
-- "What other experiments are available for this biosample?"
-- "Show me ChIP-seq data for this cell line"
-- "Find enhancer marks (H3K27ac) for this sample"
+// The normalizations in the .hic file of a search result, or null if its header can't be read
+async function readResultNormalizations(map) {
+  if (!/\.hic$/i.test(map.url.split('?')[0])) {
+    throw new Error(`${map.handle} (${map.name}) is not a .hic map${map.metadata?.Type === 'track' ? '; load it with load_tracks' : ''}: ${map.url}`);
+  }
+  try {
+    return (await hicReader.readHeader(map.url)).normalizations;
+  } catch (error) {
+    logWarn(`Could not read the header of ${map.url}:`, error.message);
+    return null;
+  }
+}
 
-**Compare maps:**
-- "Load a control map from [URL]"
-- "Compare this map with [another map]"
+// The preferred normalization present in all of the files, 'NONE' if there is none
+function recommendNormalization(...normalizationLists) {
+  return PREFERRED_NORMALIZATIONS.find(type => normalizationLists.every(list => list.includes(type))) || 'NONE';
+}
 
-**Get information:**
-- "What data sources are available?"
-- "Tell me about this map"
-- "What are the statistics for ENCODE data?"
+// Describe the normalization a search result is loaded with
+function describeNormalization(normalization, requested, normalizationLists) {
+  if (requested) {
+    return `Normalization: ${normalization}`;
+  }
+  if (normalizationLists.some(list => list === null)) {
+    return 'Normalization: browser default (the file header could not be read)';
+  }
+  return `Normalization: ${normalization} (recommended; available: ${[...new Set(normalizationLists.flat())].join(', ')})`;
+}
 
-## Tips
+// Register tool: load_search_result
+mcpServer.registerTool(
+  'load_search_result',
+  {
+    title: 'Load Search Result',
+    description: 'Load a map found with search_maps, by its handle (the Handle column, e.g. "4dn:4DNFIA4WRRBI") or its # in the last search, as the map or as the control map. Resolves the URL and name, and loads it with the recommended normalization of the file (SCALE, else KR, VC_SQRT, VC) unless one is given. Use this for "load the third one" or "load 4dn:4DNFIA4WRRBI as control" after a search.',
+    inputSchema: {
+      result: searchResultSchema.describe('Handle of the search result (e.g. "4dn:4DNFIA4WRRBI"), or its # in the last search'),
+      as: z.enum(['map', 'control']).optional().default('map').describe('Load as the map (default) or as the control map for comparison'),
+      normalization: z.string().optional().describe('Normalization to use instead of the recommended one (e.g., "KR", "NONE")'),
+      locus: z.string().optional().describe('Optional genomic locus to show (e.g., "1:1000000-2000000"); maps only'),
+      panel: panelSchema
+    }
+  },
+  async ({ result, as, normalization, locus, panel }) => {
+    try {
+      await userDataSourcesLoaded;
+      const map = await resolveSearchResult(result);
+      const normalizations = await readResultNormalizations(map);
+      const control = as === 'control';
+      const selected = normalization || (normalizations ? recommendNormalization(normalizations) : undefined);
 
-- **Be natural:** Just describe what you want to do in plain language
-- **I'll guide you:** If something needs clarification, I'll ask
-- **Context matters:** I remember what we've been working on
-- **Combine requests:** You can ask for multiple things at once
+      const loaded = await sendCommandAndWait({
+        type: control ? 'loadControlMap' : 'loadMap',
+        url: await resolveDataUrl(map.url),
+        name: map.name,
+        normalization: selected,
+        locus: control ? undefined : locus,
+        panel: panel
+      });
 
-## Example Workflow
+      const lines = [
+        `Loaded ${map.handle} (${map.name}) as the ${control ? 'control map' : 'map'}`,
+        `URL: ${map.url}`,
+        describeNormalization(selected, normalization, [normalizations]),
+        loaded?.genome ? `Genome: ${loaded.genome}` : null,
+        loaded?.locus ? `Locus: ${loaded.locus}` : null,
+        loaded?.displayMode ? `Display mode: ${loaded.displayMode}` : null
+      ].filter(line => line !== null);
+      const structured = { handle: map.handle, name: map.name, url: map.url, as, normalization: selected ?? null, normalizations };
 
-You: "I want to explore Hi-C data from heart tissue"
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(structured, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error loading search result:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error loading search result ${result}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-Me: I'll search for heart-related experiments, show you options, help you select files, configure normalization, and suggest relevant annotations and complementary data.
+// Register tool: compare_search_results
+mcpServer.registerTool(
+  'compare_search_results',
+  {
+    title: 'Compare Search Results',
+    description: 'Load two maps found with search_maps for comparison: the first as the map and the second as the control map, by handle or # in the last search. Both are loaded with the same normalization, the recommended one present in both files unless one is given. Use this for "compare result 1 with result 4" or "compare the K562 map against the GM12878 one".',
+    inputSchema: {
+      result: searchResultSchema.describe('Search result to load as the map: handle or # in the last search'),
+      control: searchResultSchema.describe('Search result to load as the control map: handle or # in the last search'),
+      normalization: z.string().optional().describe('Normalization to use for both instead of the recommended one'),
+      locus: z.string().optional().describe('Optional genomic locus to show (e.g., "1:1000000-2000000")'),
+      panel: panelSchema
+    }
+  },
+  async ({ result, control, normalization, locus, panel }) => {
+    try {
+      await userDataSourcesLoaded;
+      const map = await resolveSearchResult(result);
+      const controlMap = await resolveSearchResult(control);
+      if (map.handle === controlMap.handle) {
+        throw new Error('The map and the control map are the same search result');
+      }
 
-You: "Load the left ventricle map with SCALE normalization"
+      const normalizationLists = [await readResultNormalizations(map), await readResultNormalizations(controlMap)];
+      const selected = normalization ||
+        (normalizationLists.every(list => list !== null) ? recommendNormalization(...normalizationLists) : undefined);
 
-Me: I'll load it with the recommended settings and offer to add gene tracks and annotations.
+      const loaded = await sendCommandAndWait({
+        type: 'loadMap',
+        url: await resolveDataUrl(map.url),
+        name: map.name,
+        normalization: selected,
+        locus: locus,
+        panel: panel
+      });
+      const loadedControl = await sendCommandAndWait({
+        type: 'loadControlMap',
+        url: await resolveDataUrl(controlMap.url),
+        name: controlMap.name,
+        normalization: selected,
+        panel: panel
+      });
 
-## Need Help?
+      const lines = [
+        `Loaded ${map.handle} (${map.name}) as the map and ${controlMap.handle} (${controlMap.name}) as the control map`,
+        describeNormalization(selected, normalization, normalizationLists),
+        loaded?.genome ? `Genome: ${loaded.genome}` : null,
+        loaded?.locus ? `Locus: ${loaded.locus}` : null,
+        loadedControl?.displayMode ? `Display mode: ${loadedControl.displayMode}` : null
+      ].filter(line => line !== null);
+      const structured = {
+        map: { handle: map.handle, name: map.name, url: map.url, normalizations: normalizationLists[0] },
+        control: { handle: controlMap.handle, name: controlMap.name, url: controlMap.url, normalizations: normalizationLists[1] },
+        normalization: selected ?? null
+      };
 
-Just ask:
-- "How do I..."
-- "What can I do?"
-- "Show me examples"
-- "Help me get started"
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${lines.join('\n')}\n\n[Structured data for programmatic access]\n${JSON.stringify(structured, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error comparing search results:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error comparing search results: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
 
-I'm here to help you explore genomic data efficiently!`;
+// Helper function to get Desktop path based on operating system
+function getDesktopPath() {
+  const osPlatform = platform();
+  const home = homedir();
+  
+  switch (osPlatform) {
+    case 'darwin': // macOS
+      return join(home, 'Desktop');
+    case 'win32': // Windows
+      return join(home, 'Desktop');
+    case 'linux': // Linux
+      return join(home, 'Desktop');
+    default:
+      // Fallback to home directory if Desktop doesn't exist
+      return home;
+  }
+}
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: guide
-        }
-      ]
-    };
+// Register tool: save_bookmark
+mcpServer.registerTool(
+  'save_bookmark',
+  {
+    title: 'Save Bookmark',
+    description: 'Save the current view under a name, e.g. "bookmark this as MYC enhancer loop". The bookmark records the loaded map and control map URLs and the exact view (chromosomes, position, resolution, normalization), and is kept across server restarts so it can be revisited in later conversations with goto_bookmark.',
+    inputSchema: {
+      name: z.string().trim().min(1).describe('Bookmark name, e.g. "MYC enhancer loop". Names are unique, ignoring case'),
+      notes: z.string().optional().describe('Optional notes about what is interesting in this view'),
+      overwrite: z.boolean().optional().default(false).describe('Replace an existing bookmark with the same name (default false)'),
+      panel: panelSchema
+    }
+  },
+  async ({ name, notes, overwrite, panel }) => {
+    try {
+      const view = await sendCommandAndWait({ type: 'getBookmarkState', panel: panel });
+      const { bookmark, replaced } = await bookmarkStore.save({ name, notes, ...view }, overwrite);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${replaced ? 'Replaced' : 'Saved'} bookmark "${bookmark.name}": ${bookmark.locus} in ${bookmark.map.name}` +
+              `${bookmark.controlMap ? ` (control: ${bookmark.controlMap.name})` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error saving bookmark:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error saving bookmark: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 );
 
-// Register tool: list_data_sources
+// Register tool: list_bookmarks
 mcpServer.registerTool(
-  'list_data_sources',
+  'list_bookmarks',
   {
-    title: 'List Data Sources',
-    description: 'List available Hi-C contact map data sources (4DN, ENCODE) with their metadata columns. Use this when users ask what data sources are available, what maps can be searched, or want to understand the available metadata.',
+    title: 'List Bookmarks',
+    description: 'List the saved bookmarks with their loci, maps and notes. Use it when the user refers to a saved view by a partial or approximate name.',
     inputSchema: {}
   },
   async () => {
-    const sources = getAllSourceIds().map(sourceId => {
-      const config = getDataSource(sourceId);
+    try {
+      const bookmarks = await bookmarkStore.list();
+      if (bookmarks.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No bookmarks saved yet. Use save_bookmark to save the current view.'
+            }
+          ]
+        };
+      }
+
+      const lines = bookmarks.map(b =>
+        `- ${b.name}: ${b.locus} in ${b.map.name}${b.controlMap ? ` (control: ${b.controlMap.name})` : ''}` +
+        `${b.notes ? `\n  ${b.notes}` : ''}`);
+
       return {
-        id: config.id,
-        name: config.name,
-        description: config.description,
-        columns: config.columns,
-        url: config.url
+        content: [
+          {
+            type: 'text',
+            text: `${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'}:\n${lines.join('\n')}` +
+              `\n\n[Structured data for programmatic access]\n${JSON.stringify(bookmarks, null, 2)}`
+          }
+        ]
       };
-    });
-    
-    const formatted = sources.map(source => {
-      return `${source.name} (${source.id}):\n` +
-        `  Description: ${source.description}\n` +
-        `  Data URL: ${source.url}\n` +
-        `  Available columns: ${source.columns.join(', ')}`;
-    }).join('\n\n');
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Available data sources:\n\n${formatted}`
-        }
-      ]
-    };
+    } catch (error) {
+      logError('Error listing bookmarks:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing bookmarks: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 );
 
-// Register tool: goto_locus
+// Register tool: goto_bookmark
 mcpServer.registerTool(
-  'goto_locus',
+  'goto_bookmark',
   {
-    title: 'Navigate to Locus',
-    description: 'Navigate to a specific genomic locus in the currently loaded map. Supports natural language, gene names, standard format, and structured objects. Examples: "chr1:1000-2000", "BRCA1", "chromosome 1 from 1000 to 2000", or {chr: "chr1", start: 1000, end: 2000}. When a single chromosome is specified, it applies to both axes of the Hi-C contact map.',
+    title: 'Go to Bookmark',
+    description: 'Return to a saved bookmark, e.g. "go to the HOXA cluster bookmark". Loads the bookmarked map and control map if they are not the ones loaded, then restores the view including resolution and normalization.',
     inputSchema: {
-      locus: z.union([
-        z.string().describe('Locus specification as string (natural language, standard format, or gene name). Examples: "chr1:1000-2000", "BRCA1", "chromosome 1 from 1000 to 2000"'),
-        z.object({
-          chr: z.string().describe('Chromosome name (e.g., "chr1")'),
-          start: z.number().optional().describe('Start position in base pairs (1-based)'),
-          end: z.number().optional().describe('End position in base pairs (1-based)')
-        }).describe('Locus specification as structured object')
-      ]).describe('Locus to navigate to. Can be a string (natural language or standard format) or an object with chr, start, and end properties.')
+      name: z.string().trim().min(1).describe('Bookmark name (case-insensitive)'),
+      panel: panelSchema
     }
   },
-  async ({ locus }) => {
-    if (!locus) {
+  async ({ name, panel }) => {
+    try {
+      const bookmark = await bookmarkStore.get(name);
+      if (!bookmark) {
+        const names = (await bookmarkStore.list()).map(b => b.name);
+        throw new Error(`No bookmark named "${name}". ${names.length > 0 ? `Saved bookmarks: ${names.join(', ')}` : 'No bookmarks are saved.'}`);
+      }
+
+      const result = await sendCommandAndWait({
+        type: 'gotoBookmark',
+        bookmark: bookmark,
+        panel: panel
+      });
+
+      const loaded = [
+        result.loadedMap ? bookmark.map.name : null,
+        result.loadedControlMap ? `control ${bookmark.controlMap.name}` : null
+      ].filter(Boolean);
+
       return {
         content: [
           {
             type: 'text',
-            text: 'Error: Locus specification is required'
+            text: `Went to bookmark "${bookmark.name}": ${result.locus}` +
+              `${loaded.length > 0 ? `\nLoaded ${loaded.join(' and ')}` : ''}` +
+              `${bookmark.notes ? `\nNotes: ${bookmark.notes}` : ''}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error going to bookmark:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error going to bookmark: ${error.message}`
           }
         ],
         isError: true
       };
     }
+  }
+);
 
-    routeToCurrentSession({
-      type: 'gotoLocus',
-      locus: locus
-    });
-
-    // Format locus string for display
-    let locusDisplay;
-    if (typeof locus === 'string') {
-      locusDisplay = locus;
-    } else if (typeof locus === 'object' && locus.chr) {
-      if (locus.start !== undefined && locus.end !== undefined) {
-        locusDisplay = `${locus.chr}:${locus.start}-${locus.end}`;
-      } else {
-        locusDisplay = locus.chr;
-      }
-    } else {
-      locusDisplay = JSON.stringify(locus);
+// Register tool: delete_bookmark
+mcpServer.registerTool(
+  'delete_bookmark',
+  {
+    title: 'Delete Bookmark',
+    description: 'Delete a saved bookmark by name.',
+    inputSchema: {
+      name: z.string().trim().min(1).describe('Bookmark name (case-insensitive)')
+    }
+  },
+  async ({ name }) => {
+    try {
+      const deleted = await bookmarkStore.delete(name);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted bookmark "${deleted.name}" (${deleted.locus})`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error deleting bookmark:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error deleting bookmark: ${error.message}`
+          }
+        ],
+        isError: true
+      };
     }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Navigating to locus: ${locusDisplay}`
-        }
-      ]
-    };
   }
 );
 
-// Register tool: search_maps
+// Describe a storyboard step on one line, e.g. '2. chr8:126000001-128000000 at 10000 bp, AOB: "MYC enhancer loop"'
+function formatStoryboardStep(step) {
+  const details = [
+    step.resolution ? `at ${step.resolution} bp` : null,
+    step.displayMode || null
+  ].filter(Boolean).join(', ');
+  return `${step.step}. ${step.locus}${details ? ` ${details}` : ''}${step.caption ? `: "${step.caption}"` : ''}`;
+}
+
+// Register tool: add_storyboard_step
 mcpServer.registerTool(
-  'search_maps',
+  'add_storyboard_step',
   {
-    title: 'Search Maps',
-    description: 'Search for Hi-C contact maps using natural language queries. Searches across all metadata fields (Assembly, Biosource, Biosample, Description, etc.). Use this when users want to find specific maps, e.g., "human hg38 maps", "mouse cell lines", "K562 cells", etc. NOTE: Results are limited to 50 by default. For statistical questions like "what assemblies are covered" or "how many maps are there", use get_data_source_statistics instead.',
+    title: 'Add Storyboard Step',
+    description: 'Add a step to the storyboard, an ordered walkthrough of views with captions that can be played back in the browser, e.g. to present findings in a lab meeting. Without a locus the current view is recorded exactly; with a locus (coordinates or a gene name) the step goes there at the given resolution. The caption is shown in the browser while the step is displayed. The storyboard is saved with the session.',
     inputSchema: {
-      source: z.string().optional().describe("Data source ID ('4dn', 'encode') or 'all' to search all sources. Default: 'all'"),
-      query: z.string().describe('Natural language search query (e.g., "human hg38", "mouse cells", "K562")'),
-      limit: z.number().int().positive().optional().describe('Maximum number of results to return (default: 50)')
+      caption: z.string().describe('Caption shown while the step is displayed, e.g. "MYC enhancer loop, stronger in K562"'),
+      locus: z.string().optional().describe('Optional locus or gene (e.g., "chr8:126000000-128000000", "chr8:126000000-128000000 chr8:127000000-129000000", "MYC"). Default: the current view'),
+      resolution: z.union([z.number().int().positive(), z.string()]).optional()
+        .describe('Optional bin size in base pairs (e.g., 10000) or with a unit (e.g., "10kb"), used with locus'),
+      displayMode: z.enum(['A', 'B', 'AOB', 'BOA', 'AMB']).optional().describe('Optional display mode for the step. Modes other than "A" need a control map. Default: the current display mode when recording the current view'),
+      position: z.number().int().positive().optional().describe('Optional 1-based position to insert the step at. Default: append'),
+      panel: panelSchema
     }
   },
-  async ({ source = 'all', query, limit = 50 }) => {
-    try {
-      if (!query || !query.trim()) {
+  async ({ caption, locus, resolution, displayMode, position, panel }) => {
+    let bp;
+    if (resolution !== undefined) {
+      bp = parseBinSize(resolution);
+      if (!bp || !locus) {
         return {
           content: [
             {
               type: 'text',
-              text: 'Error: Search query is required'
+              text: !locus ?
+                'A resolution can only be given together with a locus; without a locus the current view is recorded' :
+                `Invalid resolution: ${resolution}. Use base pairs (e.g., 10000) or a value with a unit (e.g., "10kb")`
             }
           ],
           isError: true
         };
       }
-      
-      const sourceIds = source === 'all' ? getAllSourceIds() : [source];
-      
-      // Validate source IDs
-      for (const sourceId of sourceIds) {
-        if (!isValidSource(sourceId)) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Error: Unknown data source "${sourceId}". Available sources: ${getAllSourceIds().join(', ')}`
-              }
-            ],
-            isError: true
-          };
-        }
-      }
-      
-      // Fetch and parse data from all specified sources
-      const allMaps = [];
-      for (const sourceId of sourceIds) {
-        try {
-          const maps = await parseDataSource(sourceId);
-          allMaps.push(...maps);
-        } catch (error) {
-          logError(`Error parsing data source ${sourceId}:`, error);
-          // Continue with other sources even if one fails
-        }
-      }
-      
-      if (allMaps.length === 0) {
+    }
+
+    try {
+      const result = await sendCommandAndWait({
+        type: 'addStoryboardStep',
+        caption: caption,
+        locus: locus,
+        resolution: bp,
+        displayMode: displayMode,
+        position: position,
+        panel: panel
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Added storyboard step ${formatStoryboardStep(result.step)}\nThe storyboard has ${result.stepCount} step${result.stepCount === 1 ? '' : 's'}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error adding storyboard step:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error adding storyboard step: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: list_storyboard
+mcpServer.registerTool(
+  'list_storyboard',
+  {
+    title: 'List Storyboard',
+    description: 'List the storyboard steps in order, with their loci, resolutions, display modes and captions, and which step is displayed.',
+    inputSchema: {}
+  },
+  async () => {
+    try {
+      const result = await sendCommandAndWait({ type: 'listStoryboard' });
+      if (result.steps.length === 0) {
         return {
           content: [
             {
               type: 'text',
-              text: `No data available from the specified source(s). This may be a temporary network issue.`
+              text: 'The storyboard is empty. Use add_storyboard_step to add views.'
             }
-          ],
-          isError: true
+          ]
         };
       }
-      
-      // Filter maps by query
-      const filteredMaps = filterMaps(allMaps, query);
-      
-      // Apply limit
-      const limitedMaps = filteredMaps.slice(0, limit);
-      
-      // Format results
-      const formattedTable = formatSearchResults(limitedMaps, query, source);
-      const jsonResults = formatSearchResultsJSON(limitedMaps);
-      
-      // Combine formatted table and JSON for Claude
-      const resultText = `${formattedTable}\n\n[Structured data for programmatic access]\n${jsonResults}`;
-      
+
+      const lines = result.steps.map(step => `${step.current ? '> ' : '  '}${formatStoryboardStep(step)}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Storyboard (${result.steps.length} step${result.steps.length === 1 ? '' : 's'}${result.playing ? ', playing' : ''}):\n${lines.join('\n')}` +
+              `\n\n[Structured data for programmatic access]\n${JSON.stringify(result, null, 2)}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error listing storyboard:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing storyboard: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: remove_storyboard_step
+mcpServer.registerTool(
+  'remove_storyboard_step',
+  {
+    title: 'Remove Storyboard Step',
+    description: 'Remove a step from the storyboard, or all steps with clear_storyboard.',
+    inputSchema: {
+      step: z.number().int().positive().describe('1-based step number, as shown by list_storyboard')
+    }
+  },
+  async ({ step }) => {
+    try {
+      const result = await sendCommandAndWait({ type: 'removeStoryboardStep', step: step });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Removed storyboard step ${formatStoryboardStep(result.removed)}\nThe storyboard has ${result.stepCount} step${result.stepCount === 1 ? '' : 's'}`
+          }
+        ]
+      };
+    } catch (error) {
+      logError('Error removing storyboard step:', error.message);
       return {
         content: [
           {
             type: 'text',
-            text: resultText
+            text: `Error removing storyboard step: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+// Register tool: clear_storyboard
+mcpServer.registerTool(
+  'clear_storyboard',
+  {
+    title: 'Clear Storyboard',
+    description: 'Remove all storyboard steps and stop playback.',
+    inputSchema: {}
+  },
+  async () => {
+    try {
+      const result = await sendCommandAndWait({ type: 'clearStoryboard' });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Cleared the storyboard (${result.removed} step${result.removed === 1 ? '' : 's'} removed)`
           }
         ]
       };
     } catch (error) {
-      logError('Error in search_maps tool:', error);
+      logError('Error clearing storyboard:', error.message);
       return {
         content: [
           {
             type: 'text',
-            text: `Error searching maps: ${error.message}`
+            text: `Error clearing storyboard: ${error.message}`
           }
         ],
         isError: true
@@ -1244,121 +3755,57 @@ mcpServer.registerTool(
   }
 );
 
-// Register tool: get_data_source_statistics
+// Register tool: play_storyboard
 mcpServer.registerTool(
-  'get_data_source_statistics',
+  'play_storyboard',
   {
-    title: 'Get Data Source Statistics',
-    description: 'Get statistical overview of a data source including total maps, assemblies covered, and breakdowns by metadata fields. Use this when users ask "what assemblies are available", "how many maps are there", "what cell types are covered", etc. This returns unfiltered statistics without search limits.',
+    title: 'Play Storyboard',
+    description: 'Play back the storyboard in the browser: show a given step ("goto"), the "next" or "previous" step, or "play" to advance automatically every interval seconds until the last step ("stop" pauses). Steps are shown in the current panel (see select_panel). The browser also has previous/play/next controls next to the caption.',
     inputSchema: {
-      source: z.string().describe("Data source ID ('4dn' or 'encode')")
+      action: z.enum(['goto', 'next', 'previous', 'play', 'stop']).describe('"goto" a step, "next", "previous", "play" automatically, or "stop" playing'),
+      step: z.number().int().positive().optional().describe('1-based step number: required for "goto", optional start step for "play"'),
+      interval: z.number().positive().optional().describe('"play" only: seconds per step (default 8, at least 1)')
     }
   },
-  async ({ source }) => {
-    try {
-      if (!isValidSource(source)) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: Unknown data source "${source}". Available sources: ${getAllSourceIds().join(', ')}`
-            }
-          ],
-          isError: true
-        };
-      }
-      
-      // Fetch all maps without filtering
-      const maps = await parseDataSource(source);
-      
-      if (maps.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `No data available from ${source} data source. This may be a temporary network issue.`
-            }
-          ],
-          isError: true
-        };
-      }
-      
-      // Calculate statistics
-      const stats = {
-        totalMaps: maps.length,
-        assemblies: {},
-        biosources: {},
-        labs: {},
-        experiments: {}
+  async ({ action, step, interval }) => {
+    if (action === 'goto' && step === undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'The "goto" action needs a step number'
+          }
+        ],
+        isError: true
       };
-      
-      maps.forEach(map => {
-        // Count by Assembly
-        const assembly = map.metadata?.Assembly || 'Unknown';
-        stats.assemblies[assembly] = (stats.assemblies[assembly] || 0) + 1;
-        
-        // Count by Biosource/Biosample
-        const biosource = map.metadata?.Biosource || map.metadata?.Biosample || 'Unknown';
-        stats.biosources[biosource] = (stats.biosources[biosource] || 0) + 1;
-        
-        // Count by Lab
-        const lab = map.metadata?.Lab || 'Unknown';
-        stats.labs[lab] = (stats.labs[lab] || 0) + 1;
-        
-        // Count by Experiment
-        const experiment = map.metadata?.Experiment || 'Unknown';
-        stats.experiments[experiment] = (stats.experiments[experiment] || 0) + 1;
-      });
-      
-      // Format output
-      const config = getDataSource(source);
-      let output = `${config.name} Data Source Statistics\n`;
-      output += `${'='.repeat(50)}\n\n`;
-      output += `Total Maps: ${stats.totalMaps}\n\n`;
-      
-      // Assemblies
-      output += `Assemblies Covered (${Object.keys(stats.assemblies).length} total):\n`;
-      const sortedAssemblies = Object.entries(stats.assemblies)
-        .sort((a, b) => b[1] - a[1]); // Sort by count
-      sortedAssemblies.forEach(([assembly, count]) => {
-        output += `  ${assembly}: ${count} maps\n`;
-      });
-      output += '\n';
-      
-      // Top Biosources
-      output += `Top Biosources/Biosamples (showing top 10):\n`;
-      const sortedBiosources = Object.entries(stats.biosources)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
-      sortedBiosources.forEach(([biosource, count]) => {
-        output += `  ${biosource}: ${count} maps\n`;
-      });
-      output += '\n';
-      
-      // Top Labs
-      output += `Top Labs (showing top 10):\n`;
-      const sortedLabs = Object.entries(stats.labs)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
-      sortedLabs.forEach(([lab, count]) => {
-        output += `  ${lab}: ${count} maps\n`;
+    }
+
+    try {
+      const result = await sendCommandAndWait({
+        type: 'playStoryboard',
+        action: action,
+        step: step,
+        interval: interval
       });
-      
+
+      const shown = result.step ?
+        `Showing step ${result.step.step} of ${result.stepCount}\n${formatStoryboardStep(result.step)}` :
+        'No step shown';
       return {
         content: [
           {
             type: 'text',
-            text: output
+            text: `${shown}${result.playing ? '\nPlaying automatically' : ''}`
           }
         ]
       };
     } catch (error) {
-      logError('Error in get_data_source_statistics tool:', error);
+      logError('Error playing storyboard:', error.message);
       return {
         content: [
           {
             type: 'text',
-            text: `Error getting statistics: ${error.message}`
+            text: `Error playing storyboard: ${error.message}`
           }
         ],
         isError: true
@@ -1367,108 +3814,65 @@ mcpServer.registerTool(
   }
 );
 
-// Register tool: get_map_details
+// Register tool: capture_view
 mcpServer.registerTool(
-  'get_map_details',
+  'capture_view',
   {
-    title: 'Get Map Details',
-    description: 'Get detailed information about a specific Hi-C contact map. Use this when users want more information about a specific map from search results.',
+    title: 'Capture View',
+    description: 'Capture the current view (contact map with 2D tracks, rulers and 1D tracks) as a PNG image, so it can be looked at directly. Optionally also saves the PNG to a file; with save set and no filePath it is saved to the Desktop with a timestamped filename.',
     inputSchema: {
-      source: z.string().describe("Data source ID ('4dn' or 'encode')"),
-      index: z.number().int().nonnegative().optional().describe('Index from search results (0-based). Required if url is not provided.'),
-      url: z.string().url().optional().describe('Direct URL to the map. Required if index is not provided.')
+      includeTracks: z.boolean().optional().default(true).describe('Include 1D tracks along the axes. Default: true'),
+      save: z.boolean().optional().default(false).describe('Also save the PNG to a file. Default: false (implied when filePath is given)'),
+      filePath: z.string().optional().describe('Optional: Full path to save the PNG. If save is true and no path is given, saves to Desktop with filename: juicebox-view-YYYY-MM-DD-HHMMSS.png'),
+      panel: panelSchema
     }
   },
-  async ({ source, index, url }) => {
+  async ({ includeTracks, save, filePath, panel }) => {
     try {
-      if (!isValidSource(source)) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: Unknown data source "${source}". Available sources: ${getAllSourceIds().join(', ')}`
-            }
-          ],
-          isError: true
-        };
-      }
-      
-      if (index === undefined && !url) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: 'Error: Either index or url must be provided'
-            }
-          ],
-          isError: true
-        };
-      }
-      
-      // Fetch maps from source
-      const maps = await parseDataSource(source);
-      
-      let map = null;
-      if (url) {
-        // Find map by URL
-        map = maps.find(m => m.url === url);
-        if (!map) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Map with URL "${url}" not found in ${source} data source.`
-              }
-            ],
-            isError: true
-          };
+      const snapshot = await sendCommandAndWait({
+        type: 'captureView',
+        includeTracks: includeTracks,
+        panel: panel
+      });
+
+      let savedPath;
+      if (save || filePath) {
+        if (filePath) {
+          savedPath = filePath;
+        } else {
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5); // YYYY-MM-DDTHH-MM-SS
+          savedPath = join(getDesktopPath(), `juicebox-view-${timestamp}.png`);
         }
-      } else {
-        // Get map by index
-        if (index >= maps.length) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Index ${index} is out of range. ${source} data source has ${maps.length} maps (indices 0-${maps.length - 1}).`
-              }
-            ],
-            isError: true
-          };
+
+        const dir = dirname(savedPath);
+        if (!existsSync(dir)) {
+          mkdirSync(dir, { recursive: true });
         }
-        map = maps[index];
-      }
-      
-      // Format detailed information
-      const details = [
-        `Source: ${map.source}`,
-        `Name: ${map.name}`,
-        `URL: ${map.url}`,
-        '',
-        'Metadata:'
-      ];
-      
-      if (map.metadata) {
-        Object.entries(map.metadata).forEach(([key, value]) => {
-          details.push(`  ${key}: ${value || '(empty)'}`);
-        });
+        await fsPromises.writeFile(savedPath, Buffer.from(snapshot.data, 'base64'));
+        logInfo(`View captured to: ${savedPath}`);
       }
-      
+
       return {
         content: [
+          {
+            type: 'image',
+            data: snapshot.data,
+            mimeType: snapshot.mimeType
+          },
           {
             type: 'text',
-            text: details.join('\n')
+            text: `Captured ${snapshot.width}x${snapshot.height} view${snapshot.locus ? ` of ${snapshot.locus}` : ''}` +
+              `${savedPath ? `\nSaved to:\n${savedPath}` : ''}`
           }
         ]
       };
     } catch (error) {
-      logError('Error in get_map_details tool:', error);
+      logError('Error capturing view:', error.message);
       return {
         content: [
           {
             type: 'text',
-            text: `Error getting map details: ${error.message}`
+            text: `Error capturing view: ${error.message}`
           }
         ],
         isError: true
@@ -1477,130 +3881,6 @@ mcpServer.registerTool(
   }
 );
 
-// Helper function to get Desktop path based on operating system
-function getDesktopPath() {
-  const osPlatform = platform();
-  const home = homedir();
-  
-  switch (osPlatform) {
-    case 'darwin': // macOS
-      return join(home, 'Desktop');
-    case 'win32': // Windows
-      return join(home, 'Desktop');
-    case 'linux': // Linux
-      return join(home, 'Desktop');
-    default:
-      // Fallback to home directory if Desktop doesn't exist
-      return home;
-  }
-}
-
-// Helper function to request session data from browser and wait for response
-async function requestSessionData(sessionId, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const requestId = randomUUID();
-    
-    // Set up timeout
-    const timeout = setTimeout(() => {
-      pendingSessionRequests.delete(requestId);
-      reject(new Error('Timeout waiting for session data from browser'));
-    }, timeoutMs);
-    
-    // Store promise handlers
-    pendingSessionRequests.set(requestId, {
-      resolve: (data) => {
-        clearTimeout(timeout);
-        resolve(data);
-      },
-      reject: (error) => {
-        clearTimeout(timeout);
-        reject(error);
-      },
-      timeout
-    });
-    
-    // Send getSession command to browser
-    const command = {
-      type: 'getSession',
-      requestId: requestId
-    };
-    
-    if (sessionId) {
-      if (!sendToSession(sessionId, command)) {
-        clearTimeout(timeout);
-        pendingSessionRequests.delete(requestId);
-        reject(new Error('No active browser connection found'));
-      }
-    } else {
-      // Try STDIO session or broadcast
-      if (isStdioMode && STDIO_SESSION_ID) {
-        if (!sendToSession(STDIO_SESSION_ID, command)) {
-          clearTimeout(timeout);
-          pendingSessionRequests.delete(requestId);
-          reject(new Error('No active browser connection found'));
-        }
-      } else {
-        clearTimeout(timeout);
-        pendingSessionRequests.delete(requestId);
-        reject(new Error('No session ID available'));
-      }
-    }
-  });
-}
-
-// Helper function to request compressed session data from browser and wait for response
-async function requestCompressedSessionData(sessionId, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const requestId = randomUUID();
-    
-    // Set up timeout
-    const timeout = setTimeout(() => {
-      pendingSessionRequests.delete(requestId);
-      reject(new Error('Timeout waiting for compressed session data from browser'));
-    }, timeoutMs);
-    
-    // Store promise handlers
-    pendingSessionRequests.set(requestId, {
-      resolve: (data) => {
-        clearTimeout(timeout);
-        resolve(data);
-      },
-      reject: (error) => {
-        clearTimeout(timeout);
-        reject(error);
-      },
-      timeout
-    });
-    
-    // Send getCompressedSession command to browser
-    const command = {
-      type: 'getCompressedSession',
-      requestId: requestId
-    };
-    
-    if (sessionId) {
-      if (!sendToSession(sessionId, command)) {
-        clearTimeout(timeout);
-        pendingSessionRequests.delete(requestId);
-        reject(new Error('No active browser connection found'));
-      }
-    } else {
-      // Try STDIO session or broadcast
-      if (isStdioMode && STDIO_SESSION_ID) {
-        if (!sendToSession(STDIO_SESSION_ID, command)) {
-          clearTimeout(timeout);
-          pendingSessionRequests.delete(requestId);
-          reject(new Error('No active browser connection found'));
-        }
-      } else {
-        clearTimeout(timeout);
-        pendingSessionRequests.delete(requestId);
-        reject(new Error('No session ID available'));
-      }
-    }
-  });
-}
-
 // Register tool: save_session
 mcpServer.registerTool(
   'save_session',
@@ -1648,7 +3928,7 @@ mcpServer.registerTool(
       
       // Request session data from browser
       logInfo('Requesting session data from browser...');
-      const sessionData = await requestSessionData(sessionId || STDIO_SESSION_ID);
+      const sessionData = await sendCommandAndWait({ type: 'getSession' });
       
       // Determine file path
       let finalFilePath;
@@ -1700,6 +3980,10 @@ mcpServer.registerTool(
 const app = express();
 app.use(express.json());
 
+// Local files for the browser, readable by the Juicebox app only.  Mounted before the CORS middleware
+// below, which allows all origins.
+app.use(FILES_ROUTE, cors(filesCorsOptions(BROWSER_URL)), localFiles.handler());
+
 // Enable CORS for ChatGPT and other clients
 app.use(
   cors({
@@ -1744,6 +4028,17 @@ if (isStdioMode) {
   logError(`Browser URL configured: ${BROWSER_URL}`);
   logError(`STDIO session ID: ${STDIO_SESSION_ID}`);
   logInfo(`Diagnostic log file: ${LOG_FILE}`);
+
+  // The HTTP server is only needed to serve local files to the browser
+  if (localFiles.enabled) {
+    app.listen(MCP_PORT, MCP_HOST, (error) => {
+      if (error) {
+        logError(`Could not serve local files on port ${MCP_PORT}: ${error.message}`);
+      } else {
+        logError(`Serving local files from ${FILE_ROOTS.join(', ')} on http://localhost:${MCP_PORT}${FILES_ROUTE}`);
+      }
+    });
+  }
 } else {
   logError('Running in HTTP/SSE mode');
   logError(`MCP Server endpoint: http://localhost:${MCP_PORT}/mcp`);
@@ -1821,6 +4116,7 @@ app.post('/mcp', async (req, res) => {
         if (sid && transports[sid]) {
           logInfo(`MCP session closed: ${sid}`);
           delete transports[sid];
+          searchResults.delete(sid);
         }
       };
 
@@ -1958,11 +4254,14 @@ if (!isStdioMode) {
   }
 
   // Start HTTP server
-  app.listen(MCP_PORT, () => {
+  app.listen(MCP_PORT, MCP_HOST, () => {
     // Use logError for startup messages to avoid interfering with MCP protocol on stdout
     logError(`MCP Server listening on http://localhost:${MCP_PORT}/mcp`);
     logError(`Browser URL configured: ${BROWSER_URL}`);
     logInfo(`Diagnostic log file: ${LOG_FILE}`);
+    if (localFiles.enabled) {
+      logError(`Serving local files from ${FILE_ROOTS.join(', ')} at ${FILES_ROUTE}`);
+    }
     if (existsSync(distPath)) {
       logError(`Serving static files from ${distPath}`);
     }
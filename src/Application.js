@@ -1,7 +1,24 @@
 import juicebox from '../js/index.js';
+import { createBrowser, deleteBrowser, syncBrowsers } from '../js/createBrowser.js';
 import { WebSocketClient } from './WebSocketClient.js';
+import { commandReply } from './commandChannel.js';
 import ColorScale from '../js/colorScale.js';
+import State from '../js/hicState.js';
 import ContactMatrixView from '../js/contactMatrixView.js';
+import { normalizationLabels } from '../js/normalizationWidget.js';
+import { captureViewCanvas } from '../js/viewSnapshot.js';
+import { panPixels, panResult } from '../js/viewPan.js';
+import { storyboard } from '../js/storyboard.js';
+import EventBus from '../js/eventBus.js';
+import { extractContactMatrix } from '../js/contactMatrixData.js';
+
+// Defaults for the initial browser panel and for panels added later
+const DEFAULT_BROWSER_CONFIG = {
+  backgroundColor: '255,255,255'
+};
+
+// Milliseconds per step when a storyboard plays automatically
+const DEFAULT_STORYBOARD_INTERVAL = 8000;
 
 /**
  * Main application class that orchestrates Juicebox and WebSocket communication
@@ -11,6 +28,7 @@ export class Application {
     this.container = container;
     this.config = config;
     this.browser = null;
+    this.panelSyncEnabled = true;
     
     // Initialize command handler map
     this._initCommandHandlers();
@@ -20,6 +38,8 @@ export class Application {
     
     // Set up WebSocket connection
     this._setupWebSocket();
+
+    this._setupStoryboardControls();
   }
 
   /**
@@ -28,7 +48,7 @@ export class Application {
   async _initJuicebox(config) {
     // Use default config if none provided
     const defaultConfig = {
-      backgroundColor: '255,255,255',
+      ...DEFAULT_BROWSER_CONFIG,
       ...config
     };
     
@@ -47,36 +67,46 @@ export class Application {
       ['toolCall', (command) => {
         this._showToolNotification(command.toolName);
       }],
-      ['loadMap', async (command) => {
-        await this._loadMap(command);
-      }],
-      ['loadControlMap', async (command) => {
-        await this._loadControlMap(command);
-      }],
-      ['loadSession', async (command) => {
-        await this._loadSession(command);
-      }],
-      ['zoomIn', async (command) => {
-        await this._zoomIn(command);
-      }],
-      ['zoomOut', async (command) => {
-        await this._zoomOut(command);
-      }],
-      ['setForegroundColor', (command) => {
-        this._setForegroundColor(command);
-      }],
-      ['setBackgroundColor', (command) => {
-        this._setBackgroundColor(command);
-      }],
-      ['gotoLocus', async (command) => {
-        await this._gotoLocus(command);
-      }],
-      ['getSession', async (command) => {
-        await this._getSession(command);
-      }],
-      ['getCompressedSession', async (command) => {
-        await this._getCompressedSession(command);
-      }]
+      ['loadMap', (command) => this._loadMap(command)],
+      ['loadControlMap', (command) => this._loadControlMap(command)],
+      ['loadSession', (command) => this._loadSession(command)],
+      ['zoomIn', (command) => this._zoomIn(command)],
+      ['zoomOut', (command) => this._zoomOut(command)],
+      ['setForegroundColor', (command) => this._setForegroundColor(command)],
+      ['setBackgroundColor', (command) => this._setBackgroundColor(command)],
+      ['gotoLocus', (command) => this._gotoLocus(command)],
+      ['panView', (command) => this._panView(command)],
+      ['undoView', (command) => this._stepViewHistory(command, -1)],
+      ['redoView', (command) => this._stepViewHistory(command, 1)],
+      ['getSession', (command) => this._getSession(command)],
+      ['getCompressedSession', (command) => this._getCompressedSession(command)],
+      ['getViewState', (command) => this._getViewState(command)],
+      ['getBookmarkState', (command) => this._getBookmarkState(command)],
+      ['gotoBookmark', (command) => this._gotoBookmark(command)],
+      ['listNormalizations', (command) => this._listNormalizations(command)],
+      ['setNormalization', (command) => this._setNormalization(command)],
+      ['listResolutions', (command) => this._listResolutions(command)],
+      ['setResolution', (command) => this._setResolution(command)],
+      ['setResolutionLock', (command) => this._setResolutionLock(command)],
+      ['setDisplayMode', (command) => this._setDisplayMode(command)],
+      ['setDisplayModeCycle', (command) => this._setDisplayModeCycle(command)],
+      ['setComparisonColorScale', (command) => this._setComparisonColorScale(command)],
+      ['loadTracks', (command) => this._loadTracks(command)],
+      ['listTracks', (command) => this._listTracks(command)],
+      ['removeTrack', (command) => this._removeTrack(command)],
+      ['setTrackStyle', (command) => this._setTrackStyle(command)],
+      ['captureView', (command) => this._captureView(command)],
+      ['getContactMatrix', (command) => this._getContactMatrix(command)],
+      ['listPanels', (command) => this._listPanels(command)],
+      ['addPanel', (command) => this._addPanel(command)],
+      ['removePanel', (command) => this._removePanel(command)],
+      ['selectPanel', (command) => this._selectPanel(command)],
+      ['setPanelSync', (command) => this._setPanelSync(command)],
+      ['addStoryboardStep', (command) => this._addStoryboardStep(command)],
+      ['listStoryboard', (command) => this._listStoryboard(command)],
+      ['removeStoryboardStep', (command) => this._removeStoryboardStep(command)],
+      ['clearStoryboard', (command) => this._clearStoryboard(command)],
+      ['playStoryboard', (command) => this._playStoryboard(command)]
     ]);
   }
 
@@ -109,6 +139,42 @@ export class Application {
     this.wsClient.connect();
   }
 
+  /**
+   * Bind the storyboard previous/play/next controls and keep them in step with the storyboard
+   */
+  _setupStoryboardControls() {
+    const container = document.getElementById('hic-storyboard');
+    if (!container) return;
+
+    const position = container.querySelector('.hic-storyboard-position');
+    const playButton = container.querySelector('.fa-play');
+    const controls = container.querySelector('.hic-storyboard-controls');
+
+    const run = (action) => action().catch(error => console.error(`Storyboard: ${error.message}`));
+    container.querySelector('.fa-chevron-left').addEventListener('click', () => run(() => storyboard.previous()));
+    container.querySelector('.fa-chevron-right').addEventListener('click', () => run(() => storyboard.next()));
+    playButton.addEventListener('click', () => {
+      if (storyboard.playing) {
+        storyboard.stop();
+      } else {
+        run(() => storyboard.play(DEFAULT_STORYBOARD_INTERVAL));
+      }
+    });
+
+    EventBus.globalBus.subscribe('StoryboardChange', () => {
+      const { steps, index, playing } = storyboard;
+      const caption = document.getElementById('hic-caption')?.textContent;
+
+      // A session caption is shown even without a storyboard
+      container.classList.toggle('hidden', steps.length === 0 && !caption);
+      controls.style.display = steps.length === 0 ? 'none' : 'flex';
+      position.textContent = `${index < 0 ? '-' : index + 1} / ${steps.length}`;
+      playButton.classList.toggle('fa-play', !playing);
+      playButton.classList.toggle('fa-pause', playing);
+      playButton.title = playing ? 'Pause' : 'Play';
+    });
+  }
+
   /**
    * Update connection status UI (if status element exists)
    */
@@ -138,19 +204,76 @@ export class Application {
   }
 
   /**
-   * Handle WebSocket command
+   * Handle WebSocket command.
+   *
+   * Every command sent by the MCP server carries a requestId. Once the handler
+   * settles, the outcome is echoed back as a commandResult or commandError message
+   * so the tool that issued the command can report real success or failure.
    */
   async _handleWebSocketCommand(command) {
     const handler = this.commandHandlers.get(command.type);
-    if (handler) {
-      try {
-        await handler(command);
-      } catch (error) {
-        console.error(`Error in handler for ${command.type}:`, error);
-      }
-    } else {
+    if (!handler) {
       console.warn('Unknown command type:', command.type);
+      this._sendCommandReply(command, { error: `Unknown command type: ${command.type}` });
+      return;
+    }
+
+    try {
+      const result = await handler(command);
+      this._sendCommandReply(command, { result });
+    } catch (error) {
+      console.error(`Error in handler for ${command.type}:`, error);
+      this._sendCommandReply(command, { error: error?.message || String(error) });
+    }
+  }
+
+  /**
+   * Send the outcome of a command back to the server. Commands without a
+   * requestId (e.g. toolCall notifications) are fire-and-forget and get no reply.
+   */
+  _sendCommandReply(command, { result, error }) {
+    if (!command.requestId) return;
+
+    if (!this.wsClient || !this.wsClient.isConnected()) {
+      console.error(`WebSocket not connected, cannot reply to ${command.type}`);
+      return;
+    }
+
+    this.wsClient.ws.send(JSON.stringify(commandReply(command, { result, error })));
+  }
+
+  /**
+   * Get the browser a command acts on: the panel it names, or else the current browser,
+   * throwing if Juicebox has not been initialized. Naming a panel does not make it the
+   * current one. The current browser changes when a session is restored, so it is looked
+   * up on every command rather than cached.
+   */
+  _requireBrowser(command) {
+    if (command?.panel !== undefined && command?.panel !== null) {
+      return this._findPanel(command.panel);
     }
+
+    const browser = juicebox.getCurrentBrowser();
+    if (!browser) {
+      throw new Error('Browser not initialized');
+    }
+    this.browser = browser;
+    return browser;
+  }
+
+  /**
+   * Describe the browser's current locus as "chr:start-end chr:start-end" (1-based start).
+   */
+  _describeLocus(browser) {
+    const state = browser.state;
+    if (!browser.dataset || !state) return null;
+
+    if (browser.dataset.isWholeGenome(state.chr1)) return 'All';
+
+    if (!state.locus) return null;
+
+    const format = ({ chr, start, end }) => `${chr}:${Math.round(1 + start)}-${Math.round(end)}`;
+    return `${format(state.locus.x)} ${format(state.locus.y)}`;
   }
 
   /**
@@ -193,37 +316,47 @@ export class Application {
    * Load a map
    */
   async _loadMap(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
-    }
+    const browser = this._requireBrowser(command);
 
-    const config = {
+    await this._loadHicFileAtLocus(browser, {
       url: command.url,
       name: command.name,
-      normalization: command.normalization,
-      locus: command.locus
+      normalization: command.normalization
+    }, command.locus);
+    console.log(`Map loaded: ${command.url}`);
+
+    // If both contact map and control map are loaded, set display mode to AOB
+    await this._ensureAOBModeWhenBothMapsLoaded(browser);
+
+    return {
+      name: browser.dataset?.name,
+      genome: browser.dataset?.genomeId,
+      locus: this._describeLocus(browser)
     };
+  }
 
+  /**
+   * Load a map, then go to a locus. The locus is not passed to loadHicFile(), which only
+   * alerts when it can't be resolved, so that an invalid locus fails the command.
+   */
+  async _loadHicFileAtLocus(browser, config, locus) {
+    await browser.loadHicFile(config);
+    if (!locus) return;
+
+    let loci;
     try {
-      await this.browser.loadHicFile(config);
-      console.log(`Map loaded: ${command.url}`);
-      
-      // If both contact map and control map are loaded, set display mode to AOB
-      await this._ensureAOBModeWhenBothMapsLoaded();
+      loci = await browser.interactions.resolveGotoInput(locus);
     } catch (error) {
-      console.error('Error loading map:', error);
+      throw new Error(`The map was loaded, but the locus is invalid: ${error.message}`);
     }
+    await browser.interactions.gotoLoci(loci.xLocus, loci.yLocus);
   }
 
   /**
    * Load a control map
    */
   async _loadControlMap(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
-    }
+    const browser = this._requireBrowser(command);
 
     const config = {
       url: command.url,
@@ -231,249 +364,1113 @@ export class Application {
       normalization: command.normalization
     };
 
-    try {
-      // Load control map using the dedicated method
-      await this.browser.loadHicControlFile(config);
-      console.log(`Control map loaded: ${command.url}`);
-      
-      // If both contact map and control map are loaded, set display mode to AOB
-      await this._ensureAOBModeWhenBothMapsLoaded();
-    } catch (error) {
-      console.error('Error loading control map:', error);
+    // Load control map using the dedicated method. It resolves to undefined when
+    // the control map's genome does not match the contact map's genome.
+    const controlDataset = await browser.loadHicControlFile(config);
+    if (!controlDataset) {
+      throw new Error(`Control map genome does not match the contact map genome (${browser.dataset?.genomeId || 'unknown'})`);
     }
+    console.log(`Control map loaded: ${command.url}`);
+
+    // If both contact map and control map are loaded, set display mode to AOB
+    await this._ensureAOBModeWhenBothMapsLoaded(browser);
+
+    return {
+      name: controlDataset.name,
+      genome: controlDataset.genomeId,
+      displayMode: browser.getDisplayMode()
+    };
   }
 
   /**
    * Load a session
    */
   async _loadSession(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
-    }
+    this._requireBrowser(command);
 
-    try {
-      let sessionData = command.sessionData;
-      
-      // If sessionUrl is provided, load it
-      if (command.sessionUrl) {
-        const response = await fetch(command.sessionUrl);
-        sessionData = await response.json();
-      }
+    let sessionData = command.sessionData;
 
-      if (sessionData) {
-        await juicebox.restoreSession(this.container, sessionData);
-        console.log('Session loaded');
-      } else {
-        console.error('No session data provided');
+    // If sessionUrl is provided, load it
+    if (command.sessionUrl) {
+      const response = await fetch(command.sessionUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch session: ${response.status} ${response.statusText}`);
       }
-    } catch (error) {
-      console.error('Error loading session:', error);
+      sessionData = await response.json();
     }
+
+    if (!sessionData) {
+      throw new Error('No session data provided');
+    }
+
+    await juicebox.restoreSession(this.container, sessionData);
+    console.log('Session loaded');
+
+    return {
+      browserCount: juicebox.getAllBrowsers().length
+    };
   }
 
   /**
    * Zoom in
    */
   async _zoomIn(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
     }
 
-    try {
-      const centerX = command.centerX;
-      const centerY = command.centerY;
-      
-      // Use zoomAndCenter with direction > 0 for zoom in
-      await this.browser.interactions.zoomAndCenter(1, centerX, centerY);
-      console.log('Zoomed in');
-    } catch (error) {
-      console.error('Error zooming in:', error);
-    }
+    // Use zoomAndCenter with direction > 0 for zoom in
+    await browser.interactions.zoomAndCenter(1, command.centerX, command.centerY);
+    console.log('Zoomed in');
+
+    return {
+      locus: this._describeLocus(browser),
+      resolution: browser.resolution()
+    };
   }
 
   /**
    * Zoom out
    */
   async _zoomOut(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
     }
 
-    try {
-      const centerX = command.centerX;
-      const centerY = command.centerY;
-      
-      // Use zoomAndCenter with direction < 0 for zoom out
-      await this.browser.interactions.zoomAndCenter(-1, centerX, centerY);
-      console.log('Zoomed out');
-    } catch (error) {
-      console.error('Error zooming out:', error);
-    }
+    // Use zoomAndCenter with direction < 0 for zoom out
+    await browser.interactions.zoomAndCenter(-1, command.centerX, command.centerY);
+    console.log('Zoomed out');
+
+    return {
+      locus: this._describeLocus(browser),
+      resolution: browser.resolution()
+    };
   }
 
   /**
    * Navigate to a specific genomic locus
    */
   async _gotoLocus(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
     }
 
-    try {
-      const locus = command.locus;
-      
-      if (!locus) {
-        console.error('No locus specified');
-        return;
+    const locus = command.locus;
+    if (!locus) {
+      throw new Error('No locus specified');
+    }
+
+    // Use parseLocusInputFlexible which handles both string and object formats
+    await browser.parseLocusInputFlexible(locus);
+    console.log(`Navigated to locus: ${typeof locus === 'string' ? locus : JSON.stringify(locus)}`);
+
+    return {
+      locus: this._describeLocus(browser)
+    };
+  }
+
+  /**
+   * Pan the view by an amount in base pairs, bins or fractions of the view. "forward" and
+   * "backward" move both axes, i.e. along the diagonal. The move is clamped at chromosome ends.
+   */
+  async _panView(command) {
+    const browser = this._requireBrowser(command);
+    const { dataset, state } = browser;
+    if (!dataset || !state) {
+      throw new Error('No map loaded');
+    }
+    if (dataset.isWholeGenome(state.chr1)) {
+      throw new Error('The whole genome view cannot be panned; go to a chromosome first');
+    }
+
+    const { width, height } = browser.contactMatrixView.getViewDimensions();
+    const view = { width, height, binSize: browser.resolution(), pixelSize: state.pixelSize };
+    const shift = panPixels(command, view);
+
+    const before = { x: state.x, y: state.y };
+    await browser.shiftPixels(shift.dx, shift.dy);
+
+    // shiftPixels treats the pan as a drag, which is recorded in the view history after a delay
+    browser.recordViewHistory();
+
+    return {
+      locus: this._describeLocus(browser),
+      ...panResult(shift, before, browser.state, view)
+    };
+  }
+
+  /**
+   * Step back (direction -1) or forward (direction 1) through the view history
+   */
+  async _stepViewHistory(command, direction) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    const steps = command.steps ?? 1;
+    const moved = await browser.stepViewHistory(direction * steps);
+    if (!moved) {
+      throw new Error(direction < 0 ? 'No earlier view to go back to' : 'No later view to go forward to');
+    }
+
+    return {
+      locus: this._describeLocus(browser),
+      canUndo: browser.canUndoView(),
+      canRedo: browser.canRedoView()
+    };
+  }
+
+  /**
+   * Add a storyboard step.  Without a locus the view on screen is recorded, including its exact state.
+   */
+  async _addStoryboardStep(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    let step;
+    if (command.locus) {
+      // Check the locus (which may be a gene name) now rather than when the storyboard is played
+      await browser.interactions.resolveGotoInput(command.locus);
+
+      if (command.resolution && browser.dataset.getZoomIndexForBinSize(command.resolution, 'BP') < 0) {
+        const available = browser.dataset.bpResolutions.join(', ');
+        throw new Error(`Resolution ${command.resolution} bp is not available. Available bin sizes (bp): ${available}`);
       }
 
-      // Use parseLocusInputFlexible which handles both string and object formats
-      await this.browser.parseLocusInputFlexible(locus);
-      console.log(`Navigated to locus: ${typeof locus === 'string' ? locus : JSON.stringify(locus)}`);
-    } catch (error) {
-      console.error('Error navigating to locus:', error);
+      step = {
+        caption: command.caption,
+        locus: command.locus,
+        resolution: command.resolution,
+        displayMode: command.displayMode
+      };
+    } else {
+      const { locus, ...state } = browser.state.toJSON();
+      step = {
+        caption: command.caption,
+        locus: this._describeLocus(browser),
+        resolution: browser.resolution(),
+        displayMode: command.displayMode || browser.getDisplayMode(),
+        state
+      };
+    }
+
+    if (step.displayMode && step.displayMode !== 'A' && !browser.controlDataset) {
+      throw new Error(`Display mode ${step.displayMode} requires a control map. Load one with load_control_map first.`);
     }
+
+    const index = storyboard.addStep(step, command.position !== undefined ? command.position - 1 : undefined);
+    return { step: this._describeStoryboardStep(step, index), stepCount: storyboard.steps.length };
+  }
+
+  _describeStoryboardStep(step, index) {
+    const { caption, locus, resolution, displayMode } = step;
+    return { step: index + 1, caption, locus, resolution, displayMode, current: index === storyboard.index };
+  }
+
+  _listStoryboard() {
+    return {
+      steps: storyboard.steps.map((step, index) => this._describeStoryboardStep(step, index)),
+      current: storyboard.index < 0 ? null : storyboard.index + 1,
+      playing: storyboard.playing
+    };
+  }
+
+  _removeStoryboardStep(command) {
+    const step = storyboard.removeStep(command.step - 1);
+    return { removed: this._describeStoryboardStep(step, command.step - 1), stepCount: storyboard.steps.length };
+  }
+
+  _clearStoryboard() {
+    const stepCount = storyboard.steps.length;
+    storyboard.clear();
+    return { removed: stepCount };
+  }
+
+  /**
+   * Show a storyboard step ("goto", "next", "previous"), or start/stop automatic playback
+   */
+  async _playStoryboard(command) {
+    switch (command.action) {
+      case 'goto':
+        await storyboard.show(command.step - 1);
+        break;
+      case 'next':
+        await storyboard.next();
+        break;
+      case 'previous':
+        await storyboard.previous();
+        break;
+      case 'play':
+        if (command.step !== undefined) {
+          await storyboard.show(command.step - 1);
+        }
+        await storyboard.play(command.interval !== undefined ? command.interval * 1000 : DEFAULT_STORYBOARD_INTERVAL);
+        break;
+      case 'stop':
+        storyboard.stop();
+        break;
+      default:
+        throw new Error(`Unknown storyboard action: ${command.action}`);
+    }
+
+    const current = storyboard.steps[storyboard.index];
+    return {
+      step: current ? this._describeStoryboardStep(current, storyboard.index) : null,
+      stepCount: storyboard.steps.length,
+      playing: storyboard.playing,
+      // The storyboard plays in the current browser
+      locus: this._describeLocus(this._requireBrowser())
+    };
   }
 
   /**
    * Set foreground color (color scale)
    */
   _setForegroundColor(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
+    const browser = this._requireBrowser(command);
+
+    const { r, g, b } = command.color;
+    const threshold = command.threshold || 2000; // Default threshold
+
+    // Create color scale
+    const colorScale = new ColorScale({
+      threshold: threshold,
+      r: r,
+      g: g,
+      b: b
+    });
+
+    // Set color scale on contact matrix view
+    browser.contactMatrixView.setColorScale(colorScale);
+    browser.notifyColorScale(colorScale);
+
+    console.log(`Foreground color set to RGB(${r}, ${g}, ${b}) with threshold ${threshold}`);
+
+    return { threshold };
+  }
+
+  /**
+   * Set background color
+   */
+  _setBackgroundColor(command) {
+    const browser = this._requireBrowser(command);
+
+    const { r, g, b } = command.color;
+
+    // Set background color on contact matrix view
+    browser.contactMatrixView.setBackgroundColor({ r, g, b });
+
+    console.log(`Background color set to RGB(${r}, ${g}, ${b})`);
+  }
+
+  /**
+   * Get session JSON. The result is sent back to the server as the command result.
+   */
+  _getSession() {
+    return juicebox.toJSON();
+  }
+
+  /**
+   * Get compressed session string. The result is sent back to the server as the command result.
+   */
+  _getCompressedSession() {
+    return juicebox.compressedSession();
+  }
+
+  /**
+   * Read back what is currently on screen: maps, locus, resolution, normalization,
+   * display mode, color scales and tracks. The result is sent back as the command result.
+   */
+  _getViewState(command) {
+    const browser = this._requireBrowser(command);
+    const { dataset, controlDataset, state, contactMatrixView } = browser;
+
+    const viewState = {
+      browserId: browser.id,
+      map: null,
+      controlMap: null,
+      displayMode: browser.getDisplayMode(),
+      backgroundColor: contactMatrixView.getBackgroundColor(),
+      tracks: [],
+      tracks2D: []
+    };
+
+    if (!dataset || !state) {
+      return viewState;
     }
 
-    try {
-      const { r, g, b } = command.color;
-      const threshold = command.threshold || 2000; // Default threshold
-      
-      // Create color scale
-      const colorScale = new ColorScale({
-        threshold: threshold,
-        r: r,
-        g: g,
-        b: b
+    viewState.map = {
+      name: dataset.name,
+      url: dataset.url,
+      genome: dataset.genomeId
+    };
+
+    if (controlDataset) {
+      viewState.controlMap = {
+        name: controlDataset.name,
+        url: browser.controlUrl,
+        genome: controlDataset.genomeId
+      };
+    }
+
+    const axisState = (axis) => {
+      const { chromosome, startBP, endBP, bpp } = browser.genomicState(axis);
+      return {
+        chr: chromosome.name,
+        startBP: Math.round(startBP),
+        endBP: Math.round(endBP),
+        bpPerPixel: bpp
+      };
+    };
+
+    viewState.chr1 = dataset.chromosomes[state.chr1].name;
+    viewState.chr2 = dataset.chromosomes[state.chr2].name;
+    viewState.x = axisState('x');
+    viewState.y = axisState('y');
+    viewState.locus = this._describeLocus(browser);
+    viewState.resolution = browser.resolution();
+    viewState.zoomIndex = state.zoom;
+    viewState.pixelSize = state.pixelSize;
+    viewState.normalization = state.normalization;
+
+    const colorScaleManager = contactMatrixView.colorScaleManager;
+    const colorScale = colorScaleManager.getColorScale();
+    viewState.colorScale = {
+      threshold: colorScale.getThreshold(),
+      color: colorScale.getColorComponents()
+    };
+
+    if (controlDataset) {
+      const ratioColorScale = colorScaleManager.getRatioColorScale();
+      viewState.ratioColorScale = {
+        threshold: ratioColorScale.getThreshold(),
+        positiveColor: ratioColorScale.getColorComponents('+'),
+        negativeColor: ratioColorScale.getColorComponents('-')
+      };
+      const diffColorScale = colorScaleManager.getDiffColorScale();
+      viewState.diffColorScale = {
+        threshold: diffColorScale.getThreshold(),
+        positiveColor: diffColorScale.getColorComponents('+'),
+        negativeColor: diffColorScale.getColorComponents('-')
+      };
+    }
+
+    viewState.tracks = browser.trackPairs.map(trackPair => this._describeTrack(trackPair));
+    viewState.tracks2D = browser.tracks2D.map(track2D => this._describeTrack2D(track2D));
+
+    return viewState;
+  }
+
+  /**
+   * The maps and State needed to return to the current view later
+   */
+  _getBookmarkState(command) {
+    const browser = this._requireBrowser(command);
+    const { dataset, controlDataset, state } = browser;
+    if (!dataset || !state) {
+      throw new Error('No map loaded');
+    }
+
+    // The locus is derived from the viewport when the state is restored
+    const { locus, ...stateJSON } = state.toJSON();
+
+    return {
+      map: { url: dataset.url, name: dataset.name },
+      controlMap: controlDataset ? { url: browser.controlUrl, name: controlDataset.name } : null,
+      state: stateJSON,
+      locus: this._describeLocus(browser)
+    };
+  }
+
+  /**
+   * Restore a bookmarked view, loading its map and control map if they are not the ones loaded
+   */
+  async _gotoBookmark(command) {
+    const browser = this._requireBrowser(command);
+    const { map, controlMap, state } = command.bookmark;
+
+    const loadMap = !browser.dataset || browser.dataset.url !== map.url;
+    if (loadMap) {
+      await browser.loadHicFile({ url: map.url, name: map.name, state });
+      if (!browser.dataset) {
+        throw new Error(`Could not load map ${map.url}`);
+      }
+    } else {
+      await browser.setState(State.fromJSON(state));
+      browser.notifyNormalizationExternalChange(browser.state.normalization);
+    }
+
+    const loadControlMap = !!controlMap && (loadMap || browser.controlUrl !== controlMap.url);
+    if (loadControlMap) {
+      const controlDataset = await browser.loadHicControlFile({ url: controlMap.url, name: controlMap.name });
+      if (!controlDataset) {
+        throw new Error(`Could not load control map ${controlMap.url}`);
+      }
+      await this._ensureAOBModeWhenBothMapsLoaded(browser);
+    }
+
+    return {
+      locus: this._describeLocus(browser),
+      loadedMap: loadMap,
+      loadedControlMap: loadControlMap
+    };
+  }
+
+  /**
+   * Check whether a normalization vector exists for the chromosomes and resolution
+   * currently on screen, in the contact map and (if loaded) the control map.
+   */
+  async _hasNormalizationVectorInView(browser, normalization) {
+    if (normalization === 'NONE') return true;
+
+    const { dataset, controlDataset, state } = browser;
+    const binSize = browser.resolution();
+    const chrNames = new Set([
+      dataset.chromosomes[state.chr1].name,
+      dataset.chromosomes[state.chr2].name
+    ]);
+
+    for (const ds of [dataset, controlDataset].filter(Boolean)) {
+      for (const chrName of chrNames) {
+        if (!(await ds.hasNormalizationVector(normalization, chrName, 'BP', binSize))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * List the normalizations present in the loaded map(s), flagging which ones have
+   * a vector at the current chromosome(s) and resolution.
+   */
+  async _listNormalizations(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    const options = await browser.getNormalizationOptions();
+    const normalizations = [];
+    for (const type of options) {
+      normalizations.push({
+        type,
+        label: normalizationLabels[type] || type,
+        availableInView: await this._hasNormalizationVectorInView(browser, type)
       });
-      
-      // Set color scale on contact matrix view
-      this.browser.contactMatrixView.setColorScale(colorScale);
-      this.browser.notifyColorScale(colorScale);
-      
-      console.log(`Foreground color set to RGB(${r}, ${g}, ${b}) with threshold ${threshold}`);
-    } catch (error) {
-      console.error('Error setting foreground color:', error);
     }
+
+    const { dataset, state } = browser;
+    return {
+      current: state.normalization,
+      chr1: dataset.chromosomes[state.chr1].name,
+      chr2: dataset.chromosomes[state.chr2].name,
+      resolution: browser.resolution(),
+      normalizations
+    };
   }
 
   /**
-   * Set background color
+   * Switch normalization. Fails if the map does not contain the normalization, or
+   * if its vector is missing at the current chromosome(s) and resolution.
    */
-  _setBackgroundColor(command) {
-    if (!this.browser) {
-      console.error('Browser not initialized');
-      return;
+  async _setNormalization(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
     }
 
-    try {
-      const { r, g, b } = command.color;
-      
-      // Set background color on contact matrix view
-      this.browser.contactMatrixView.setBackgroundColor({ r, g, b });
-      
-      console.log(`Background color set to RGB(${r}, ${g}, ${b})`);
-    } catch (error) {
-      console.error('Error setting background color:', error);
+    const normalization = command.normalization;
+    const options = await browser.getNormalizationOptions();
+    if (!options.includes(normalization)) {
+      throw new Error(`Normalization ${normalization} is not present in the loaded map(s). Available: ${options.join(', ')}`);
+    }
+
+    if (!(await this._hasNormalizationVectorInView(browser, normalization))) {
+      const available = [];
+      for (const type of options) {
+        if (await this._hasNormalizationVectorInView(browser, type)) available.push(type);
+      }
+      throw new Error(`Normalization vector for ${normalization} is missing at ${browser.resolution()} bp for the current chromosome(s). Available here: ${available.join(', ')}`);
     }
+
+    const previous = browser.state.normalization;
+    browser.setNormalization(normalization);
+
+    // Keep the normalization selector in sync with the programmatic change
+    browser.notifyNormalizationExternalChange(normalization);
+
+    return {
+      previous,
+      normalization,
+      label: normalizationLabels[normalization] || normalization
+    };
   }
 
   /**
-   * Get session JSON and send it back to the server
+   * List the resolutions (bin sizes) usable for the current view. When a control map
+   * is loaded only resolutions present in both maps are usable.
    */
-  async _getSession(command) {
-    try {
-      // Import juicebox to access toJSON
-      const sessionData = juicebox.toJSON();
-      
-      // Send session data back to server via WebSocket
-      if (this.wsClient && this.wsClient.isConnected() && this.wsClient.ws) {
-        this.wsClient.ws.send(JSON.stringify({
-          type: 'sessionData',
-          sessionData: sessionData,
-          requestId: command.requestId // Echo back requestId for matching
-        }));
-        console.log('Session data sent to server');
+  _listResolutions(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    const { dataset, state } = browser;
+    const wholeGenome = browser.isWholeGenome();
+
+    return {
+      current: wholeGenome ? dataset.wholeGenomeResolution : browser.resolution(),
+      zoomIndex: state.zoom,
+      locked: browser.resolutionLocked === true,
+      wholeGenome,
+      bpResolutions: wholeGenome
+        ? [{ index: 0, binSize: dataset.wholeGenomeResolution }]
+        : browser.getResolutions(),
+      fragResolutions: dataset.fragResolutions || []
+    };
+  }
+
+  /**
+   * Set the resolution by bin size (bp), optionally locking it afterwards.
+   */
+  async _setResolution(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+    if (browser.isWholeGenome()) {
+      throw new Error('Resolution cannot be changed in the whole genome view. Navigate to a chromosome first.');
+    }
+
+    const resolutions = browser.getResolutions();
+    const match = resolutions.find(({ binSize }) => binSize === command.binSize);
+    if (!match) {
+      const available = resolutions.map(({ binSize }) => binSize).join(', ');
+      throw new Error(`Resolution ${command.binSize} bp is not available. Available bin sizes (bp): ${available}`);
+    }
+
+    const previous = browser.resolution();
+    if (match.index !== browser.state.zoom) {
+      await browser.setZoom(match.index);
+    }
+
+    // A resolution change resets the lock, so apply the requested lock afterwards
+    if (command.lock !== undefined) {
+      this._applyResolutionLock(browser, command.lock);
+    }
+
+    return {
+      previous,
+      resolution: browser.resolution(),
+      locked: browser.resolutionLocked === true,
+      locus: this._describeLocus(browser)
+    };
+  }
+
+  /**
+   * Lock or unlock the resolution, mirroring the lock icon in the resolution selector.
+   */
+  _setResolutionLock(command) {
+    const browser = this._requireBrowser(command);
+    this._applyResolutionLock(browser, command.locked);
+    return { locked: browser.resolutionLocked };
+  }
+
+  _applyResolutionLock(browser, locked) {
+    browser.resolutionLocked = locked;
+    const resolutionSelector = browser.ui.getComponent('resolutionSelector');
+    if (resolutionSelector) {
+      resolutionSelector.setResolutionLock(locked);
+    }
+  }
+
+  /**
+   * Set the display mode (A, B, AOB, BOA or AMB). Stops the A/B cycle, as choosing a
+   * mode in the control map selector does.
+   */
+  async _setDisplayMode(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+    if (command.mode !== 'A' && !browser.controlDataset) {
+      throw new Error(`Display mode ${command.mode} requires a control map. Load one with load_control_map first.`);
+    }
+
+    const previous = browser.getDisplayMode();
+    browser.ui.getComponent('controlMap').disableDisplayModeCycle();
+    await browser.setDisplayMode(command.mode);
+
+    return { previous, displayMode: browser.getDisplayMode() };
+  }
+
+  /**
+   * Start or stop automatic cycling between the contact and control map
+   * (A <-> B, or A/B <-> B/A in ratio mode).
+   */
+  _setDisplayModeCycle(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.controlDataset) {
+      throw new Error('Cycling display modes requires a control map. Load one with load_control_map first.');
+    }
+
+    const controlMapWidget = browser.ui.getComponent('controlMap');
+    const cycling = controlMapWidget.getDisplayModeCycle() !== undefined;
+
+    if (command.enabled && !cycling) {
+      if (browser.getDisplayMode() === 'AMB') {
+        throw new Error('The difference mode (AMB) cannot be cycled. Switch to A, B, AOB or BOA first.');
+      }
+      controlMapWidget.toggleDisplayModeCycle();
+    } else if (!command.enabled && cycling) {
+      controlMapWidget.disableDisplayModeCycle();
+    }
+
+    return {
+      cycling: controlMapWidget.getDisplayModeCycle() !== undefined,
+      displayMode: browser.getDisplayMode()
+    };
+  }
+
+  /**
+   * Configure the ratio (AOB/BOA) or difference (AMB) color scale: threshold and
+   * positive/negative colors.
+   */
+  async _setComparisonColorScale(command) {
+    const browser = this._requireBrowser(command);
+    const { contactMatrixView } = browser;
+    const manager = contactMatrixView.colorScaleManager;
+
+    const colorScale = command.scale === 'diff' ? manager.getDiffColorScale() : manager.getRatioColorScale();
+    const isActive = manager.getColorScaleForDisplayMode(browser.getDisplayMode()) === colorScale;
+
+    if (command.positiveColor) {
+      colorScale.setColorComponents(command.positiveColor, '+');
+    }
+    if (command.negativeColor) {
+      colorScale.setColorComponents(command.negativeColor, '-');
+    }
+
+    if (isActive) {
+      if (command.threshold !== undefined) {
+        // Also repaints, picking up any color changes
+        await contactMatrixView.setColorScaleThreshold(command.threshold);
       } else {
-        console.error('WebSocket not connected, cannot send session data');
+        browser.repaintMatrix();
       }
-    } catch (error) {
-      console.error('Error getting session:', error);
-      // Send error back to server
-      if (this.wsClient && this.wsClient.isConnected() && this.wsClient.ws) {
-        this.wsClient.ws.send(JSON.stringify({
-          type: 'sessionDataError',
-          error: error.message,
-          requestId: command.requestId
-        }));
+      browser.notifyColorScale(colorScale);
+    } else if (command.threshold !== undefined) {
+      colorScale.setThreshold(command.threshold);
+    }
+
+    return {
+      scale: command.scale,
+      active: isActive,
+      threshold: colorScale.getThreshold(),
+      positiveColor: colorScale.getColorComponents('+'),
+      negativeColor: colorScale.getColorComponents('-')
+    };
+  }
+
+  /**
+   * Describe a 1D track (an x/y track pair) for command results.
+   */
+  _describeTrack(trackPair) {
+    const track = trackPair.track;
+    const config = track.config || {};
+    return {
+      name: track.name,
+      url: typeof config.url === 'string' ? config.url : undefined,
+      type: config.type,
+      format: config.format,
+      color: track.color,
+      dataRange: track.dataRange ? { min: track.dataRange.min, max: track.dataRange.max } : undefined
+    };
+  }
+
+  /**
+   * Describe a 2D annotation track for command results.
+   */
+  _describeTrack2D(track2D) {
+    return {
+      name: track2D.name,
+      url: typeof track2D.config.url === 'string' ? track2D.config.url : undefined,
+      color: track2D.getColor(),
+      displayMode: track2D.displayMode || 'both',
+      isVisible: track2D.isVisible,
+      featureCount: track2D.featureCount
+    };
+  }
+
+  /**
+   * All loaded tracks as one list, 1D tracks first and then 2D tracks. The position
+   * in this list is the track index accepted by removeTrack and setTrackStyle.
+   */
+  _trackEntries(browser) {
+    return [
+      ...browser.trackPairs.map(trackPair => ({ kind: '1D', trackPair, name: trackPair.track.name })),
+      ...browser.tracks2D.map(track2D => ({ kind: '2D', track2D, name: track2D.name }))
+    ].map((entry, index) => ({ ...entry, index }));
+  }
+
+  _describeTrackEntry(entry) {
+    const description = entry.kind === '1D' ? this._describeTrack(entry.trackPair) : this._describeTrack2D(entry.track2D);
+    return { index: entry.index, kind: entry.kind, ...description };
+  }
+
+  /**
+   * Find a loaded track by index (number) or name (string).
+   */
+  _findTrack(browser, ref) {
+    const entries = this._trackEntries(browser);
+    if (entries.length === 0) {
+      throw new Error('No tracks loaded');
+    }
+
+    if (typeof ref === 'number') {
+      const entry = entries[ref];
+      if (!entry) {
+        throw new Error(`Track index ${ref} is out of range (0-${entries.length - 1})`);
       }
+      return entry;
     }
+
+    const matches = entries.filter(entry => entry.name === ref);
+    if (matches.length === 0) {
+      throw new Error(`No track named "${ref}". Loaded tracks: ${entries.map(entry => `${entry.index}: ${entry.name}`).join(', ')}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`More than one track is named "${ref}" (indices ${matches.map(entry => entry.index).join(', ')}); use the track index instead`);
+    }
+    return matches[0];
   }
 
   /**
-   * Get compressed session string and send it back to the server
+   * Load 1D (wig, bigwig, annotation, ...) and 2D (bedpe, interact) tracks.
    */
-  async _getCompressedSession(command) {
-    try {
-      // Import juicebox to access compressedSession
-      const compressedSessionString = juicebox.compressedSession();
-      
-      // Send compressed session string back to server via WebSocket
-      if (this.wsClient && this.wsClient.isConnected() && this.wsClient.ws) {
-        this.wsClient.ws.send(JSON.stringify({
-          type: 'compressedSessionData',
-          compressedSession: compressedSessionString,
-          requestId: command.requestId // Echo back requestId for matching
-        }));
-        console.log('Compressed session data sent to server');
-      } else {
-        console.error('WebSocket not connected, cannot send compressed session data');
+  async _loadTracks(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    const configs = command.tracks.map(track => ({ ...track }));
+    const { tracks, tracks2D } = await browser.loadTracks(configs, true);
+    console.log(`Tracks loaded: ${configs.map(config => config.name || config.url).join(', ')}`);
+
+    const entries = this._trackEntries(browser);
+    return {
+      loaded: entries
+        .filter(entry => tracks.includes(entry.trackPair?.track) || tracks2D.includes(entry.track2D))
+        .map(entry => this._describeTrackEntry(entry)),
+      trackCount: entries.length
+    };
+  }
+
+  /**
+   * List the loaded 1D and 2D tracks.
+   */
+  _listTracks(command) {
+    const browser = this._requireBrowser(command);
+    return {
+      tracks: this._trackEntries(browser).map(entry => this._describeTrackEntry(entry))
+    };
+  }
+
+  /**
+   * Remove a track, identified by index or name.
+   */
+  _removeTrack(command) {
+    const browser = this._requireBrowser(command);
+    const entry = this._findTrack(browser, command.track);
+    const removed = this._describeTrackEntry(entry);
+
+    if (entry.kind === '1D') {
+      browser.layoutController.removeTrackXYPair(entry.trackPair);
+    } else {
+      browser.tracks2D.splice(browser.tracks2D.indexOf(entry.track2D), 1);
+      browser.notifyTrackLoad2D(browser.tracks2D);
+    }
+
+    return {
+      removed,
+      trackCount: this._trackEntries(browser).length
+    };
+  }
+
+  /**
+   * Change a track's name, color, data range (1D) or display mode and visibility (2D).
+   */
+  _setTrackStyle(command) {
+    const browser = this._requireBrowser(command);
+    const entry = this._findTrack(browser, command.track);
+    const { name, color, min, max, displayMode, visible } = command;
+
+    if ([name, color, min, max, displayMode, visible].every(value => value === undefined)) {
+      throw new Error('No style changes given');
+    }
+
+    if (entry.kind === '1D') {
+      if (displayMode !== undefined || visible !== undefined) {
+        throw new Error(`displayMode and visible only apply to 2D tracks; "${entry.name}" is a 1D track`);
       }
-    } catch (error) {
-      console.error('Error getting compressed session:', error);
-      // Send error back to server
-      if (this.wsClient && this.wsClient.isConnected() && this.wsClient.ws) {
-        this.wsClient.ws.send(JSON.stringify({
-          type: 'compressedSessionDataError',
-          error: error.message,
-          requestId: command.requestId
-        }));
+
+      const { trackPair } = entry;
+      if (name !== undefined) {
+        trackPair.track.name = name;
+        trackPair.track.config.name = name;
+      }
+      if (min !== undefined || max !== undefined) {
+        if (!trackPair.track.dataRange) {
+          throw new Error(`Track "${entry.name}" has no data range`);
+        }
+        trackPair.setDataRange(min, max);
+      }
+      if (color !== undefined) {
+        trackPair.setColor(color);
       }
+    } else {
+      if (min !== undefined || max !== undefined) {
+        throw new Error(`min and max only apply to 1D tracks; "${entry.name}" is a 2D track`);
+      }
+
+      const { track2D } = entry;
+      if (name !== undefined) {
+        track2D.name = name;
+        track2D.config.name = name;
+      }
+      if (color !== undefined) {
+        track2D.color = color;
+      }
+      if (displayMode !== undefined) {
+        // Track2D uses undefined for "both"
+        track2D.displayMode = displayMode === 'both' ? undefined : displayMode;
+      }
+      if (visible !== undefined) {
+        track2D.isVisible = visible;
+      }
+      browser.notifyTrackState2D(track2D);
     }
+
+    return this._describeTrackEntry(entry);
   }
 
   /**
-   * Ensure display mode is set to AOB when both contact map and control map are loaded.
-   * This is called after loading either map to automatically switch to comparison mode.
+   * Render the contact map, rulers and (optionally) 1D tracks to a PNG, returned base64 encoded.
    */
-  async _ensureAOBModeWhenBothMapsLoaded() {
-    if (!this.browser) {
-      return;
+  _captureView(command) {
+    const browser = this._requireBrowser(command);
+    if (!browser.dataset) {
+      throw new Error('No map loaded');
+    }
+
+    const canvas = captureViewCanvas(browser, { includeTracks: command.includeTracks !== false });
+    const dataURL = canvas.toDataURL('image/png');
+
+    return {
+      mimeType: 'image/png',
+      data: dataURL.substring(dataURL.indexOf(',') + 1),
+      width: canvas.width,
+      height: canvas.height,
+      locus: this._describeLocus(browser)
+    };
+  }
+
+  /**
+   * Extract contact counts for a pair of loci from the contact map and/or control map, as a dense
+   * or sparse matrix. Rows are bins of locus1, columns bins of locus2. Loci default to the current view
+   * and the resolution and normalization to the current ones. Regions spanning more than maxBins bins
+   * are fetched at a coarser resolution, and summed into larger bins if no resolution is coarse enough.
+   */
+  async _getContactMatrix(command) {
+    const browser = this._requireBrowser(command);
+    const { dataset, controlDataset, state } = browser;
+    if (!dataset || !state) {
+      throw new Error('No map loaded');
+    }
+
+    const maps = command.map === 'both' ? ['A', 'B'] : [command.map || 'A'];
+    if (maps.includes('B') && !controlDataset) {
+      throw new Error('No control map loaded');
+    }
+
+    let xLocus, yLocus;
+    if (command.locus1) {
+      const input = command.locus2 ? `${command.locus1} ${command.locus2}` : command.locus1;
+      ({ xLocus, yLocus } = await browser.interactions.resolveGotoInput(input));
+    } else {
+      if (dataset.isWholeGenome(state.chr1)) {
+        throw new Error('The whole genome view has no contact matrix; give locus1 (and locus2)');
+      }
+      ({ x: xLocus, y: yLocus } = state.locus);
+    }
+
+    for (const locus of [xLocus, yLocus]) {
+      if (dataset.isWholeGenome(dataset.getChrIndexFromName(locus.chr))) {
+        throw new Error('Contact matrices can only be extracted for chromosome loci, not the whole genome');
+      }
+      if (locus.start === undefined || locus.end === undefined || locus.end <= locus.start) {
+        throw new Error(`Invalid locus ${locus.chr}:${locus.start}-${locus.end}`);
+      }
+    }
+
+    const binSizes = browser.getResolutions().map(({ binSize }) => binSize);
+    const datasets = Object.fromEntries(maps.map(map => [map, map === 'A' ? dataset : controlDataset]));
+
+    return extractContactMatrix(datasets, xLocus, yLocus, {
+      binSizes,
+      resolution: command.resolution || browser.resolution(),
+      normalization: command.normalization || state.normalization,
+      format: command.format || 'dense',
+      maxBins: command.maxBins || 100,
+      maxRecords: command.maxRecords || 5000
+    });
+  }
+
+  /**
+   * Find a browser panel by index (number) or browser id (string).
+   */
+  _findPanel(ref) {
+    const browsers = juicebox.getAllBrowsers();
+
+    const browser = typeof ref === 'number' ? browsers[ref] : browsers.find(b => b.id === ref);
+    if (!browser) {
+      const panels = browsers.map((b, index) => `${index}: ${b.id}`).join(', ');
+      throw new Error(`No panel ${typeof ref === 'number' ? `at index ${ref}` : `with id ${ref}`}. Panels: ${panels}`);
+    }
+    return browser;
+  }
+
+  /**
+   * Describe a browser panel for command results.
+   */
+  _describePanel(browser, index) {
+    const browsers = juicebox.getAllBrowsers();
+    return {
+      index,
+      id: browser.id,
+      current: browser === juicebox.getCurrentBrowser(),
+      map: browser.dataset ? browser.dataset.name : null,
+      controlMap: browser.controlDataset ? browser.controlDataset.name : null,
+      locus: this._describeLocus(browser),
+      synchable: browser.synchable !== false,
+      synchedWith: [...browser.synchedBrowsers].map(b => browsers.indexOf(b)).filter(i => i >= 0)
+    };
+  }
+
+  /**
+   * List the browser panels, their maps and loci, and which panels they are synced with.
+   */
+  _listPanels() {
+    const browsers = juicebox.getAllBrowsers();
+    return {
+      panels: browsers.map((browser, index) => this._describePanel(browser, index))
+    };
+  }
+
+  /**
+   * Add a browser panel, optionally loading a map into it. The new panel becomes the current one.
+   */
+  async _addPanel(command) {
+    const browser = await createBrowser(this.container, {
+      ...DEFAULT_BROWSER_CONFIG,
+      synchable: this.panelSyncEnabled
+    });
+
+    if (command.url) {
+      await this._loadHicFileAtLocus(browser, {
+        url: command.url,
+        name: command.name,
+        normalization: command.normalization
+      }, command.locus);
     }
 
+    const browsers = juicebox.getAllBrowsers();
+    return {
+      panel: this._describePanel(browser, browsers.indexOf(browser)),
+      panelCount: browsers.length
+    };
+  }
+
+  /**
+   * Remove a browser panel. The last remaining panel cannot be removed.
+   */
+  _removePanel(command) {
+    const browser = this._findPanel(command.target);
+    const browsers = juicebox.getAllBrowsers();
+    if (browsers.length === 1) {
+      throw new Error('Cannot remove the only panel');
+    }
+
+    const removed = { index: browsers.indexOf(browser), id: browser.id };
+    deleteBrowser(browser);
+
+    return {
+      removed,
+      current: juicebox.getAllBrowsers().indexOf(juicebox.getCurrentBrowser()),
+      panelCount: juicebox.getAllBrowsers().length
+    };
+  }
+
+  /**
+   * Make a panel the current one, i.e. the target of commands that don't name a panel.
+   */
+  _selectPanel(command) {
+    const browser = this._findPanel(command.target);
+    juicebox.setCurrentBrowser(browser);
+    return this._describePanel(browser, juicebox.getAllBrowsers().indexOf(browser));
+  }
+
+  /**
+   * Turn locus syncing between panels on or off. When turned on, the other panels
+   * jump to the current panel's locus.
+   */
+  _setPanelSync(command) {
+    const browsers = juicebox.getAllBrowsers();
+    this.panelSyncEnabled = command.enabled;
+
+    if (command.enabled) {
+      for (const browser of browsers) {
+        browser.synchable = true;
+      }
+      syncBrowsers();
+      juicebox.getCurrentBrowser()?.syncToOtherBrowsers();
+    } else {
+      for (const browser of browsers) {
+        browser.synchable = false;
+        browser.unsyncSelf();
+      }
+    }
+
+    return {
+      enabled: command.enabled,
+      panels: browsers.map((browser, index) => this._describePanel(browser, index))
+    };
+  }
+
+  /**
+   * Ensure display mode is set to AOB when both contact map and control map are loaded.
+   * This is called after loading either map to automatically switch to comparison mode.
+   */
+  async _ensureAOBModeWhenBothMapsLoaded(browser) {
     try {
       // Check if both maps are loaded
-      const hasContactMap = this.browser.dataset || this.browser.activeDataset;
-      const hasControlMap = this.browser.controlDataset;
+      const hasContactMap = browser.dataset || browser.activeDataset;
+      const hasControlMap = browser.controlDataset;
 
       if (hasContactMap && hasControlMap) {
         // Both maps are loaded, set display mode to AOB (A over B)
-        const currentMode = this.browser.getDisplayMode();
+        const currentMode = browser.getDisplayMode();
         if (currentMode !== 'AOB') {
-          await this.browser.setDisplayMode('AOB');
+          await browser.setDisplayMode('AOB');
           console.log('Display mode set to AOB (A over B) since both maps are loaded');
         }
       }
@@ -481,7 +1478,4 @@ export class Application {
       console.error('Error ensuring AOB mode:', error);
     }
   }
-
-  // State management removed - commands simply update Juicebox without querying state
 }
-
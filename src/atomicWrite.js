@@ -0,0 +1,32 @@
+/**
+ * Atomic File Writes
+ *
+ * Files the server keeps (bookmarks, config, cached catalogs) are written to a temporary file next to
+ * them and renamed over them, so that an interrupted write can't leave a truncated file behind, and
+ * readers see either the old contents or the new.
+ */
+
+import { dirname } from 'node:path';
+import { promises as fsPromises } from 'node:fs';
+
+// Distinguishes concurrent writes of the same file by this process
+let writeCount = 0;
+
+/**
+ * Write a file, creating its directory if needed.
+ *
+ * @param {string} path
+ * @param {string} data - Text, written as UTF-8
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data) {
+  await fsPromises.mkdir(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.${++writeCount}.tmp`;
+  try {
+    await fsPromises.writeFile(tmpPath, data, 'utf8');
+    await fsPromises.rename(tmpPath, path);
+  } catch (error) {
+    await fsPromises.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Named views saved by the MCP server, persisted to a JSON file so that they survive server restarts.
+ *
+ * A bookmark records the map (and control map) URLs and the browser State, so going to it reloads the
+ * maps if needed.  Names are unique, ignoring case.  The file is read on every operation rather than
+ * cached, so changes made to it while the server runs are picked up.  Saves are not locked: two server
+ * processes saving at the same time can lose one of the changes.
+ */
+
+import { promises as fsPromises } from 'node:fs';
+import { writeFileAtomic } from './atomicWrite.js';
+
+const FILE_VERSION = 1;
+
+class BookmarkStore {
+
+  /**
+   * @param {string} filePath - JSON file holding the bookmarks; created on the first save
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Bookmarks in the order they were created
+   */
+  async list() {
+    let json;
+    try {
+      json = await fsPromises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid bookmarks file ${this.filePath}: ${error.message}`);
+    }
+    return Array.isArray(data?.bookmarks) ? data.bookmarks : [];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(name) {
+    const bookmarks = await this.list();
+    return bookmarks.find(b => sameName(b.name, name));
+  }
+
+  /**
+   * Add a bookmark, or replace the one with the same name if overwrite is set.
+   *
+   * @param {Object} bookmark - Must have a name
+   * @param {boolean} overwrite
+   * @returns {Promise<{bookmark: Object, replaced: boolean}>}
+   */
+  async save(bookmark, overwrite = false) {
+    const bookmarks = await this.list();
+    const index = bookmarks.findIndex(b => sameName(b.name, bookmark.name));
+
+    if (index >= 0 && !overwrite) {
+      throw new Error(`A bookmark named "${bookmarks[index].name}" already exists`);
+    }
+
+    const saved = { ...bookmark, created: new Date().toISOString() };
+    if (index >= 0) {
+      bookmarks[index] = saved;
+    } else {
+      bookmarks.push(saved);
+    }
+
+    await this._write(bookmarks);
+    return { bookmark: saved, replaced: index >= 0 };
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object>} - The deleted bookmark
+   */
+  async delete(name) {
+    const bookmarks = await this.list();
+    const index = bookmarks.findIndex(b => sameName(b.name, name));
+    if (index < 0) {
+      throw new Error(`No bookmark named "${name}"`);
+    }
+
+    const [deleted] = bookmarks.splice(index, 1);
+    await this._write(bookmarks);
+    return deleted;
+  }
+
+  async _write(bookmarks) {
+    await writeFileAtomic(this.filePath, JSON.stringify({ version: FILE_VERSION, bookmarks }, null, 2));
+  }
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+export { BookmarkStore };
@@ -0,0 +1,53 @@
+/**
+ * Catalog Cache Module
+ *
+ * Copies of the data source catalogs on disk, one JSON file per source, so that the catalogs don't have
+ * to be downloaded again when the server restarts, and the last good copy can still be searched when
+ * the catalog server can't be reached.
+ *
+ * An entry keeps the catalog text with the ETag and Last-Modified headers it was served with, for
+ * conditional requests, the time it was downloaded ("fetched") and the time it was last found to be
+ * current ("checked").
+ */
+
+import { join } from 'node:path';
+import { promises as fsPromises } from 'node:fs';
+import { writeFileAtomic } from './atomicWrite.js';
+
+class CatalogCache {
+
+  /**
+   * @param {string} directory - Directory of the cache files; created on the first write
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @param {string} sourceId
+   * @returns {Promise<{url: string, etag: string|null, lastModified: string|null, fetched: string, checked: string, text: string}|null>}
+   *          The cached catalog, or null if there is none or it can't be read
+   */
+  async read(sourceId) {
+    try {
+      const entry = JSON.parse(await fsPromises.readFile(this._path(sourceId), 'utf8'));
+      return typeof entry.text === 'string' ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} sourceId
+   * @param {Object} entry
+   */
+  async write(sourceId, entry) {
+    await writeFileAtomic(this._path(sourceId), JSON.stringify(entry));
+  }
+
+  _path(sourceId) {
+    return join(this.directory, `${encodeURIComponent(sourceId)}.json`);
+  }
+}
+
+export { CatalogCache };
@@ -0,0 +1,103 @@
+/**
+ * Command Channel Module
+ *
+ * Commands the MCP server sends to the browser over the WebSocket.  Every command carries a requestId,
+ * and the browser replies with a commandResult or commandError message once it has run the command, so
+ * that the tool that sent it can report real success or failure.
+ */
+
+const NO_BROWSER_MESSAGE = 'No active browser connection found. Please ensure the Juicebox browser is open and connected ' +
+  '(use get_juicebox_url to get the connection URL).';
+
+class CommandChannel {
+
+  /**
+   * @param {function(Object): boolean} deliver - Sends a command to the browser; returns false if no browser got it
+   * @param {function(): string} createRequestId
+   * @param {number} timeoutMs - How long to wait for a reply by default
+   */
+  constructor(deliver, createRequestId, timeoutMs) {
+    this.deliver = deliver;
+    this.createRequestId = createRequestId;
+    this.timeoutMs = timeoutMs;
+    // requestId -> {resolve, reject}
+    this.pending = new Map();
+  }
+
+  /**
+   * Send a command and wait for the browser to report the outcome.
+   *
+   * @param {Object} command
+   * @param {number} timeoutMs
+   * @returns {Promise<*>} - The command's result.  Rejects with the error raised in the browser, when no
+   *                         browser is connected, or when no reply arrives within timeoutMs.
+   */
+  send(command, timeoutMs = this.timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.createRequestId();
+
+      const timeout = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`Timed out after ${timeoutMs}ms waiting for the browser to complete ${command.type}`));
+      }, timeoutMs);
+
+      this.pending.set(requestId, {
+        resolve: (result) => {
+          clearTimeout(timeout);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        }
+      });
+
+      if (!this.deliver({ ...command, requestId })) {
+        clearTimeout(timeout);
+        this.pending.delete(requestId);
+        reject(new Error(NO_BROWSER_MESSAGE));
+      }
+    });
+  }
+
+  /**
+   * Settle the command a commandResult or commandError message replies to.
+   *
+   * @param {{type: string, requestId: string, result: *, error: string}} message
+   * @returns {boolean} - false if no command is waiting for the reply, e.g. because it timed out
+   */
+  handleReply(message) {
+    const request = this.pending.get(message.requestId);
+    if (!request) {
+      return false;
+    }
+
+    this.pending.delete(message.requestId);
+    if (message.type === 'commandError') {
+      request.reject(new Error(message.error || 'Command failed in browser'));
+    } else {
+      request.resolve(message.result);
+    }
+    return true;
+  }
+}
+
+/**
+ * The message replying to a command, sent by the browser once the command has run.
+ *
+ * @param {Object} command
+ * @param {{result: *, error: string}} outcome - error is set if the command failed
+ * @returns {Object|null} - null for commands without a requestId (e.g. toolCall notifications), which
+ *                          get no reply
+ */
+function commandReply(command, { result, error }) {
+  if (!command.requestId) {
+    return null;
+  }
+
+  return error !== undefined
+    ? { type: 'commandError', requestId: command.requestId, error }
+    : { type: 'commandResult', requestId: command.requestId, result: result ?? null };
+}
+
+export { CommandChannel, commandReply };
@@ -1,13 +1,30 @@
 /**
  * Data Parser Module
  * 
- * Handles fetching and parsing TSV files from data sources.
+ * Handles fetching and parsing the catalog files (TSV, CSV or JSON Lines) of data sources, and scanning
+ * the directories of the local data source.  Catalogs are kept in memory and, if configured, on disk
+ * (see catalogCache.js), and are checked for new versions after a TTL.
  */
 
 import { getDataSource } from './dataSourceConfigs.js';
 import { enrichMaps } from './metadataEnricher.js';
+import { scanLocalDirectories } from './localCatalog.js';
+import { CatalogCache } from './catalogCache.js';
+import { SearchIndex } from './searchIndex.js';
 
-// Cache for parsed data (cleared on server restart)
+const USER_AGENT = 'Mozilla/5.0 (compatible; Juicebox-MCP/1.0)';
+const DEFAULT_CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+// When a catalog could not be fetched, its cached copy is used for this long before trying again
+const STALE_RETRY_MS = 5 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+const catalogOptions = {
+  cache: null,
+  ttl: DEFAULT_CATALOG_TTL_MS,
+  offline: false
+};
+
+// Cache for parsed data, with its search index and how and when it was loaded
 const dataCache = new Map();
 
 /**
@@ -18,7 +35,7 @@ const dataCache = new Map();
 async function fetchText(url) {
   const response = await fetch(url, {
     headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; Juicebox-MCP/1.0)'
+      'User-Agent': USER_AGENT
     }
   });
   if (!response.ok) {
@@ -35,23 +52,77 @@ async function fetchText(url) {
  */
 function parseTSV(tsvData, config) {
   const lines = tsvData.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-  
-  if (lines.length === 0) {
+  return parseTable(lines.map(line => line.split('\t')), config);
+}
+
+/**
+ * Parse CSV data into structured objects.  Fields may be quoted, with "" for a quote and embedded
+ * delimiters or newlines.
+ * @param {string} csvData - CSV file content
+ * @param {Object} config - Data source configuration
+ * @returns {Array<Object>} Array of parsed map entries
+ */
+function parseCSV(csvData, config) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < csvData.length; i++) {
+    const c = csvData[i];
+    if (quoted) {
+      if (c === '"' && csvData[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && csvData[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return parseTable(rows.filter(values => values.some(value => value.trim().length > 0)), config);
+}
+
+/**
+ * Parse rows of a table (TSV or CSV) into structured objects.  The first row that is not a comment
+ * ("#") is the header.
+ * @param {Array<string[]>} rows - Non-empty rows
+ * @param {Object} config - Data source configuration
+ * @returns {Array<Object>} Array of parsed map entries
+ */
+function parseTable(rows, config) {
+  if (rows.length === 0) {
     return [];
   }
 
   // Find header line (skip comment lines)
   let headerLineIndex = 0;
-  while (headerLineIndex < lines.length && lines[headerLineIndex].startsWith('#')) {
+  while (headerLineIndex < rows.length && rows[headerLineIndex][0].trim().startsWith('#')) {
     headerLineIndex++;
   }
   
-  if (headerLineIndex >= lines.length) {
+  if (headerLineIndex >= rows.length) {
     return [];
   }
   
-  const headerLine = lines[headerLineIndex];
-  const headers = headerLine.split('\t');
+  const headers = rows[headerLineIndex].map(header => header.trim());
   
   // Find URL column index
   let urlColumnIndex = -1;
@@ -66,36 +137,26 @@ function parseTSV(tsvData, config) {
 
   // Find name column index
   const nameColumnIndex = headers.indexOf(config.nameColumn);
+
+  // Catalogs registered without a column list keep every column but the URL
+  const columns = config.columns || headers.filter((header, index) => index !== urlColumnIndex && header.length > 0);
   
   // Parse data rows (start after header line)
   const results = [];
-  for (let i = headerLineIndex + 1; i < lines.length; i++) {
-    const line = lines[i];
+  for (let i = headerLineIndex + 1; i < rows.length; i++) {
+    const values = rows[i];
     // Skip comment lines
-    if (line.startsWith('#')) continue;
-    
-    const values = line.split('\t');
+    if (values[0].trim().startsWith('#')) continue;
     
     // Skip rows that don't have enough columns
     if (values.length <= urlColumnIndex) continue;
     
-    // Extract URL
-    let url = values[urlColumnIndex]?.trim();
-    if (!url) continue; // Skip rows without URL
-    
-    // Apply URL prefix if needed (for ENCODE)
-    if (config.urlPrefix && !url.startsWith('http')) {
-      url = config.urlPrefix + url;
-    }
-    
-    // Extract name
-    const name = nameColumnIndex >= 0 && values[nameColumnIndex] 
-      ? values[nameColumnIndex].trim() 
-      : url.split('/').pop() || 'Unnamed';
+    const url = values[urlColumnIndex]?.trim();
+    const name = nameColumnIndex >= 0 && values[nameColumnIndex] ? values[nameColumnIndex].trim() : '';
     
     // Build metadata object
     const metadata = {};
-    config.columns.forEach((columnName, idx) => {
+    columns.forEach((columnName) => {
       const valueIndex = headers.indexOf(columnName);
       if (valueIndex >= 0 && valueIndex < values.length) {
         metadata[columnName] = values[valueIndex]?.trim() || '';
@@ -104,28 +165,221 @@ function parseTSV(tsvData, config) {
       }
     });
     
-    results.push({
-      url,
-      name,
-      source: config.id,
-      metadata
-    });
+    const entry = createEntry(url, name, metadata, config);
+    if (entry) {
+      results.push(entry);
+    }
   }
   
   // Enrich maps with computed metadata fields
   return enrichMaps(results);
 }
 
+/**
+ * Parse JSON Lines data, one object per map, into structured objects
+ * @param {string} jsonlData - JSON Lines file content
+ * @param {Object} config - Data source configuration; urlColumn and nameColumn are property names
+ * @returns {Array<Object>} Array of parsed map entries
+ */
+function parseJSONLines(jsonlData, config) {
+  const results = [];
+  const lines = jsonlData.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.length === 0 || line.startsWith('#')) continue;
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+
+    const columns = config.columns || Object.keys(item).filter(key => key !== config.urlColumn);
+    const metadata = {};
+    columns.forEach((columnName) => {
+      metadata[columnName] = stringValue(item[columnName]);
+    });
+
+    const entry = createEntry(stringValue(item[config.urlColumn]).trim(), stringValue(item[config.nameColumn]).trim(), metadata, config);
+    if (entry) {
+      results.push(entry);
+    }
+  }
+
+  return enrichMaps(results);
+}
+
+/**
+ * @param {string} url - URL from the catalog, possibly relative to config.urlPrefix
+ * @param {string} name - Display name, or empty to use the file name
+ * @param {Object} metadata
+ * @param {Object} config - Data source configuration
+ * @returns {Object|null} Map entry, or null for rows without a URL
+ */
+function createEntry(url, name, metadata, config) {
+  if (!url) return null; // Skip rows without URL
+  
+  // Apply URL prefix if needed (for ENCODE)
+  if (config.urlPrefix && !url.startsWith('http')) {
+    url = config.urlPrefix + url;
+  }
+  
+  return {
+    url,
+    name: name || url.split('/').pop() || 'Unnamed',
+    source: config.id,
+    metadata
+  };
+}
+
+function stringValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(stringValue).join(', ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Parsers of catalog files, by data source parser type
+const CATALOG_PARSERS = {
+  tsv: parseTSV,
+  csv: parseCSV,
+  jsonl: parseJSONLines
+};
+
+/**
+ * Read the maps of a data source configuration, whether registered or not
+ * @param {Object} config - Data source configuration
+ * @returns {Promise<Array<Object>>} Array of map entries
+ */
+export async function readCatalog(config) {
+  if (config.parserType === 'local') {
+    // Scan the directories for maps and tracks
+    return enrichMaps(await scanLocalDirectories(config));
+  }
+
+  // Fetch and parse the catalog
+  const text = await fetchText(config.url);
+  return getParser(config)(text, config);
+}
+
+function getParser(config) {
+  const parser = CATALOG_PARSERS[config.parserType];
+  if (!parser) {
+    throw new Error(`Unsupported parser type: ${config.parserType}`);
+  }
+  return parser;
+}
+
+/**
+ * Configure how catalogs are cached.  Without a cache directory, catalogs are only kept in memory.
+ * @param {Object} options
+ * @param {string} options.cacheDirectory - Directory of the disk cache
+ * @param {number} options.ttl - How long a catalog is used before checking for a new version, in milliseconds
+ * @param {boolean} options.offline - Only use cached catalogs, never fetch them
+ */
+export function configureCatalogs({ cacheDirectory, ttl, offline } = {}) {
+  catalogOptions.cache = cacheDirectory ? new CatalogCache(cacheDirectory) : null;
+  catalogOptions.ttl = ttl ?? DEFAULT_CATALOG_TTL_MS;
+  catalogOptions.offline = !!offline;
+}
+
+/**
+ * Get the text of a catalog from the disk cache, or fetch it.  A cached copy is used while it is younger
+ * than the TTL; after that it is revalidated with a conditional request (If-None-Match/If-Modified-Since).
+ * If the catalog can't be fetched, the cached copy is used anyway.
+ *
+ * @param {string} sourceId
+ * @param {Object} config - Data source configuration
+ * @param {boolean} force - Check for a new version even if the cached copy is younger than the TTL
+ * @returns {Promise<{text: string, status: string, fetched: string, error?: string}>} status is "fetched",
+ *          "not-modified" (revalidated), "cached" (used without checking) or "stale" (fetch failed)
+ */
+async function fetchCatalogText(sourceId, config, force) {
+  const { cache, ttl, offline } = catalogOptions;
+
+  let entry = cache ? await cache.read(sourceId) : null;
+  if (entry && entry.url !== config.url) {
+    entry = null; // The source now points to another catalog
+  }
+
+  if (entry && (offline || (!force && Date.now() - Date.parse(entry.checked) < ttl))) {
+    return { text: entry.text, status: 'cached', fetched: entry.fetched };
+  }
+  if (offline) {
+    throw new Error(`No cached copy of ${config.url} in offline mode`);
+  }
+
+  const headers = { 'User-Agent': USER_AGENT };
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+  let response;
+  let text;
+  try {
+    response = await fetch(config.url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok && !(response.status === 304 && entry)) {
+      throw new Error(`Failed to fetch ${config.url}: ${response.status} ${response.statusText}`);
+    }
+    text = response.status === 304 ? entry.text : await response.text();
+  } catch (error) {
+    if (entry) {
+      return { text: entry.text, status: 'stale', fetched: entry.fetched, error: error.message };
+    }
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const updated = response.status === 304
+    ? { ...entry, checked: now }
+    : {
+      url: config.url,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      fetched: now,
+      checked: now,
+      text
+    };
+
+  if (cache) {
+    try {
+      await cache.write(sourceId, updated);
+    } catch (error) {
+      console.warn(`Could not cache the ${sourceId} catalog:`, error.message);
+    }
+  }
+
+  return { text, status: response.status === 304 ? 'not-modified' : 'fetched', fetched: updated.fetched };
+}
+
+/**
+ * Read the maps of a registered data source, through the disk cache, and index them for searching
+ * @returns {Promise<{maps: Array<Object>, index: SearchIndex, status: string, fetched: string, error?: string, loaded: number}>}
+ */
+async function loadDataSource(sourceId, config, force) {
+  if (config.parserType === 'local') {
+    const maps = await readCatalog(config);
+    return { maps, index: new SearchIndex(maps), status: 'scanned', fetched: new Date().toISOString(), loaded: Date.now() };
+  }
+
+  const parser = getParser(config);
+  const { text, ...status } = await fetchCatalogText(sourceId, config, force);
+  const maps = parser(text, config);
+  return { maps, index: new SearchIndex(maps), ...status, loaded: Date.now() };
+}
+
 /**
  * Parse data from a data source
- * @param {string} sourceId - Source ID ('4dn' or 'encode')
+ * @param {string} sourceId - Source ID ('4dn', 'encode', 'local' or a user-defined source)
  * @param {boolean} useCache - Whether to use cached data (default: true)
  * @returns {Promise<Array<Object>>} Array of map entries
  */
 export async function parseDataSource(sourceId, useCache = true) {
   // Check cache first
-  if (useCache && dataCache.has(sourceId)) {
-    return dataCache.get(sourceId);
+  const cached = dataCache.get(sourceId);
+  const maxAge = cached?.status === 'stale' ? STALE_RETRY_MS : catalogOptions.ttl;
+  if (useCache && cached && (catalogOptions.offline || Date.now() - cached.loaded < maxAge)) {
+    return cached.maps;
   }
   
   const config = getDataSource(sourceId);
@@ -133,26 +387,84 @@ export async function parseDataSource(sourceId, useCache = true) {
     throw new Error(`Unknown data source: ${sourceId}`);
   }
   
-  if (config.parserType !== 'tsv') {
-    throw new Error(`Unsupported parser type: ${config.parserType}`);
-  }
-  
   try {
-    // Fetch TSV data
-    const tsvData = await fetchText(config.url);
-    
-    // Parse TSV
-    const results = parseTSV(tsvData, config);
+    const result = await loadDataSource(sourceId, config, false);
     
     // Cache results
     if (useCache) {
-      dataCache.set(sourceId, results);
+      dataCache.set(sourceId, result);
     }
     
-    return results;
+    return result.maps;
+  } catch (error) {
+    throw new Error(`Failed to parse data source ${sourceId}: ${error.message}`);
+  }
+}
+
+/**
+ * How the maps of a data source were last loaded
+ * @param {string} sourceId
+ * @returns {{status: string, fetched: string, error?: string}|null} See fetchCatalogText(); null if not loaded
+ */
+export function getCatalogStatus(sourceId) {
+  const cached = dataCache.get(sourceId);
+  if (!cached) {
+    return null;
+  }
+  const { maps, index, loaded, ...status } = cached;
+  return status;
+}
+
+/**
+ * The search index of the maps of a data source, built when they were loaded
+ * @param {string} sourceId
+ * @returns {SearchIndex|null} null if the data source is not loaded
+ */
+export function getSearchIndex(sourceId) {
+  return dataCache.get(sourceId)?.index || null;
+}
+
+/**
+ * Fetch the catalog of a data source again (revalidating the cached copy) and compare it with the
+ * previous copy, from memory or the disk cache.
+ *
+ * @param {string} sourceId
+ * @returns {Promise<Object>} status, fetched and error as in getCatalogStatus(), the number of maps, and
+ *          the maps added and removed (by URL).  previous is the number of maps before, or null if there
+ *          was no previous copy.
+ */
+export async function refreshDataSource(sourceId) {
+  const config = getDataSource(sourceId);
+  if (!config) {
+    throw new Error(`Unknown data source: ${sourceId}`);
+  }
+
+  let previous = dataCache.get(sourceId)?.maps;
+  if (!previous && catalogOptions.cache && config.parserType !== 'local') {
+    const entry = await catalogOptions.cache.read(sourceId);
+    if (entry && entry.url === config.url) {
+      previous = getParser(config)(entry.text, config);
+    }
+  }
+
+  let result;
+  try {
+    result = await loadDataSource(sourceId, config, true);
   } catch (error) {
     throw new Error(`Failed to parse data source ${sourceId}: ${error.message}`);
   }
+  dataCache.set(sourceId, result);
+
+  const previousUrls = new Set((previous || []).map(map => map.url));
+  const urls = new Set(result.maps.map(map => map.url));
+  const { maps, index, loaded, ...status } = result;
+  return {
+    ...status,
+    maps: maps.length,
+    previous: previous ? previous.length : null,
+    added: previous ? maps.filter(map => !previousUrls.has(map.url)) : [],
+    removed: (previous || []).filter(map => !urls.has(map.url))
+  };
 }
 
 /**
@@ -3,8 +3,14 @@
  * 
  * Centralized registry for Hi-C contact map data sources.
  * Based on configurations from juicebox-web project.
+ *
+ * The built-in catalogs (4DN, ENCODE) and the local directories can be joined by user-defined catalogs,
+ * registered from the juicebox-mcp config file or the add_data_source tool.
  */
 
+// Catalog formats of user-defined data sources
+export const CATALOG_PARSER_TYPES = ['tsv', 'csv', 'jsonl'];
+
 export const DATA_SOURCES = {
   '4dn': {
     id: '4dn',
@@ -49,9 +55,120 @@ export const DATA_SOURCES = {
   }
 };
 
+const BUILT_IN_SOURCE_IDS = ['4dn', 'encode', 'local'];
+
+/**
+ * Register the "local" data source: maps and tracks found in local directories.  Columns from sidecar
+ * metadata files are added to those listed here (see localCatalog.js).
+ * @param {string[]} directories - Directories to scan.  The source is not registered if empty.
+ * @returns {Object|null} Data source configuration, or null if no directories are given
+ */
+export function registerLocalDataSource(directories) {
+  if (!directories || directories.length === 0) {
+    delete DATA_SOURCES.local;
+    return null;
+  }
+
+  DATA_SOURCES.local = {
+    id: 'local',
+    name: 'Local',
+    description: 'Hi-C contact maps and tracks (.hic, .bedpe, bigWig) in local directories',
+    directories: [...directories],
+    columns: [
+      'Assembly',
+      'Dataset',
+      'Type',
+      'Format',
+      'Directory',
+      'Modified'
+    ],
+    parserType: 'local',
+    metadataFiles: ['metadata.tsv', 'metadata.json'], // Sidecar metadata, looked for in every directory
+    nameColumn: 'Dataset'
+  };
+  return DATA_SOURCES.local;
+}
+
+/**
+ * Check and normalize the configuration of a user-defined data source.
+ *
+ * @param {Object} config - id, url and optionally name, description, parserType, columns, urlColumn,
+ *                          urlPrefix and nameColumn
+ * @returns {Object} Configuration with defaults filled in
+ * @throws {Error} - Naming the invalid properties
+ */
+export function validateDataSource(config) {
+  const issues = [];
+  const id = typeof config?.id === 'string' ? config.id.trim().toLowerCase() : '';
+  const parserType = config?.parserType ?? 'tsv';
+
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+    issues.push('id: Expected a name of letters, digits, "-" and "_", e.g. "my-consortium"');
+  } else if (id === 'all' || BUILT_IN_SOURCE_IDS.includes(id)) {
+    issues.push(`id: "${id}" is reserved`);
+  }
+  if (typeof config?.url !== 'string' || !/^https?:\/\//i.test(config.url)) {
+    issues.push('url: Expected an http(s) URL of the catalog file');
+  }
+  if (!CATALOG_PARSER_TYPES.includes(parserType)) {
+    issues.push(`parserType: Expected one of ${CATALOG_PARSER_TYPES.join(', ')}`);
+  }
+  if (config?.columns !== undefined &&
+    (!Array.isArray(config.columns) || !config.columns.every(column => typeof column === 'string'))) {
+    issues.push('columns: Expected an array of column names');
+  }
+  // Columns of JSON Lines catalogs are properties, so they can't be given by index
+  const urlColumn = config?.urlColumn ?? (parserType === 'jsonl' ? 'url' : 0);
+  if (!(typeof urlColumn === 'string' && urlColumn.length > 0) &&
+    !(parserType !== 'jsonl' && Number.isInteger(urlColumn) && urlColumn >= 0)) {
+    issues.push(parserType === 'jsonl' ? 'urlColumn: Expected a property name' : 'urlColumn: Expected a column name or index');
+  }
+  for (const property of ['name', 'description', 'urlPrefix', 'nameColumn']) {
+    if (config?.[property] !== undefined && typeof config[property] !== 'string') {
+      issues.push(`${property}: Expected a string`);
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid data source${id ? ` "${id}"` : ''}: ${issues.join('; ')}`);
+  }
+
+  const name = config.name || id;
+  return {
+    id,
+    name,
+    description: config.description || `${name} Hi-C contact maps`,
+    url: config.url,
+    ...(config.columns && { columns: [...config.columns] }),
+    parserType,
+    urlColumn,
+    ...(config.urlPrefix && { urlPrefix: config.urlPrefix }),
+    ...(config.nameColumn && { nameColumn: config.nameColumn })
+  };
+}
+
+/**
+ * Register a user-defined data source, replacing one with the same ID.
+ * @param {Object} config - See validateDataSource()
+ * @returns {Object} The registered configuration
+ */
+export function registerDataSource(config) {
+  const dataSource = validateDataSource(config);
+  DATA_SOURCES[dataSource.id] = dataSource;
+  return dataSource;
+}
+
+/**
+ * @param {string} sourceId
+ * @returns {boolean} True for user-defined data sources
+ */
+export function isUserDefinedSource(sourceId) {
+  return isValidSource(sourceId) && !BUILT_IN_SOURCE_IDS.includes(sourceId);
+}
+
 /**
  * Get a data source configuration by ID
- * @param {string} sourceId - Source ID ('4dn' or 'encode')
+ * @param {string} sourceId - Source ID ('4dn', 'encode', 'local' or a user-defined source)
  * @returns {Object|null} Data source configuration or null if not found
  */
 export function getDataSource(sourceId) {
@@ -0,0 +1,86 @@
+/**
+ * Data Source Store Module
+ *
+ * User-defined data sources, kept in the "dataSources" array of the juicebox-mcp config file
+ * (~/.juicebox-mcp/config.json by default) so that they are registered again when the server restarts.
+ * Catalogs can be added to the file by hand or with the add_data_source tool; other settings in the
+ * file are left as they are.
+ *
+ *   {
+ *     "dataSources": [
+ *       { "id": "my-consortium", "name": "My Consortium", "url": "https://example.org/hic.csv",
+ *         "parserType": "csv", "urlColumn": "File URL", "nameColumn": "Sample" }
+ *     ]
+ *   }
+ */
+
+import { promises as fsPromises } from 'node:fs';
+import { writeFileAtomic } from './atomicWrite.js';
+
+class DataSourceStore {
+
+  /**
+   * @param {string} filePath - Config file; created on the first save
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Data source configurations, as saved
+   */
+  async list() {
+    const config = await this._read();
+    return Array.isArray(config.dataSources) ? config.dataSources : [];
+  }
+
+  /**
+   * Add a data source, or replace the one with the same ID if overwrite is set.
+   *
+   * @param {Object} dataSource - Validated configuration
+   * @param {boolean} overwrite
+   * @returns {Promise<{dataSource: Object, replaced: boolean}>}
+   */
+  async save(dataSource, overwrite = false) {
+    const config = await this._read();
+    const dataSources = Array.isArray(config.dataSources) ? config.dataSources : [];
+    const index = dataSources.findIndex(d => d.id === dataSource.id);
+
+    if (index >= 0 && !overwrite) {
+      throw new Error(`A data source with ID "${dataSource.id}" already exists`);
+    }
+
+    if (index >= 0) {
+      dataSources[index] = dataSource;
+    } else {
+      dataSources.push(dataSource);
+    }
+
+    await this._write({ ...config, dataSources });
+    return { dataSource, replaced: index >= 0 };
+  }
+
+  async _read() {
+    let json;
+    try {
+      json = await fsPromises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid config file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async _write(config) {
+    await writeFileAtomic(this.filePath, JSON.stringify(config, null, 2));
+  }
+}
+
+export { DataSourceStore };
@@ -0,0 +1,302 @@
+/**
+ * Hi-C File Reader Module
+ *
+ * Reads .hic files in the MCP server with hic-straw, so that map contents (header, chromosomes,
+ * resolutions, normalizations, contact records) are available without a connected browser.
+ *
+ * Maps are given by URL, or by absolute path for files on the server's disk.  Local files are read from
+ * the directories the browser is served files from only, as checked by LocalFiles.  Only the byte ranges
+ * needed are read (HTTP range requests for remote files).  Opened maps are cached, so repeated queries
+ * on a map don't re-read its header and footer.
+ */
+
+import { basename, resolve } from 'node:path';
+import { promises as fsPromises } from 'node:fs';
+import Straw from 'hic-straw/src/straw.js';
+import NodeLocalFile from 'hic-straw/src/io/nodeLocalFile.mjs';
+import { extractContactMatrix } from '../js/contactMatrixData.js';
+import { isLocalPath, toPath } from './localFiles.js';
+
+const DEFAULT_MAX_OPEN_MAPS = 10;
+// Number of hic-straw reads in progress, see toStderr()
+let strawReads = 0;
+let consoleLog;
+// Genome IDs are short names ("hg38") or, in some files, paths of chrom.sizes files
+const MAX_GENOME_ID_LENGTH = 4096;
+
+/**
+ * A .hic file opened with hic-straw, with the dataset interface used by extractContactMatrix().
+ */
+class HicMap {
+
+  constructor(url, straw) {
+    this.url = url;
+    this.name = basename(url.split('?')[0]);
+    this.straw = straw;
+  }
+
+  get hicFile() {
+    return this.straw.hicFile;
+  }
+
+  /**
+   * Find a chromosome by name, ignoring case and the "chr" prefix (e.g. "chr1", "1", "chrM" for "MT").
+   * @param {string} name
+   * @returns {{index: number, name: string, size: number}|undefined}
+   */
+  getChromosome(name) {
+    const key = normalizeChrName(name);
+    return this.hicFile.chromosomes.find(chr => normalizeChrName(chr.name) === key);
+  }
+
+  getChrIndexFromName(name) {
+    const chr = this.getChromosome(name);
+    return chr ? chr.index : undefined;
+  }
+
+  isWholeGenome(chr) {
+    return this.hicFile.wholeGenomeChromosome !== undefined && chr.index === this.hicFile.wholeGenomeChromosome.index;
+  }
+
+  async hasNormalizationVector(type, chr, unit, binSize) {
+    return !!(await this.hicFile.hasNormalizationVector(type, chr, unit, binSize));
+  }
+
+  async getContactRecords(normalization, region1, region2, units, binSize) {
+    return this.straw.getContactRecords(normalization, region1, region2, units, binSize);
+  }
+}
+
+class HicReader {
+
+  /**
+   * @param {LocalFiles} localFiles - Directories local files may be read from
+   * @param {number} maxOpenMaps - Number of opened maps to keep cached
+   */
+  constructor(localFiles, maxOpenMaps = DEFAULT_MAX_OPEN_MAPS) {
+    this.localFiles = localFiles;
+    this.maxOpenMaps = maxOpenMaps;
+    this.maps = new Map();
+  }
+
+  /**
+   * Open a map, reading its header and footer.  Concurrent requests for the same map share one read.
+   *
+   * @param {string} url - URL, file:// URL or absolute path of a .hic file
+   * @returns {Promise<HicMap>}
+   */
+  async open(url) {
+    let promise = this.maps.get(url);
+    if (promise) {
+      // Most recently used maps are kept at the end
+      this.maps.delete(url);
+    } else {
+      promise = toStderr(() => openMap(url, this.localFiles));
+      promise.catch(() => this.maps.delete(url));
+    }
+
+    this.maps.set(url, promise);
+    if (this.maps.size > this.maxOpenMaps) {
+      this.maps.delete(this.maps.keys().next().value);
+    }
+    return promise;
+  }
+
+  /**
+   * Read the header of a map.
+   *
+   * @param {string} url
+   * @returns {Promise<Object>} - version, genome, attributes, chromosomes (without "All"), bp and fragment
+   *                              resolutions, and normalization types
+   */
+  async readHeader(url) {
+    const map = await this.open(url);
+    const { hicFile } = map;
+
+    return {
+      url,
+      name: map.name,
+      version: hicFile.version,
+      genome: hicFile.genomeId,
+      attributes: hicFile.attributes || {},
+      chromosomes: hicFile.chromosomes
+        .filter(chr => !map.isWholeGenome(chr))
+        .map(({ name, size }) => ({ name, size })),
+      resolutions: [...hicFile.bpResolutions],
+      fragResolutions: hicFile.fragResolutions ? [...hicFile.fragResolutions] : [],
+      normalizations: await toStderr(() => hicFile.getNormalizationOptions())
+    };
+  }
+
+  /**
+   * Extract the contact matrix for a pair of loci, as the browser's get_contact_matrix does for the
+   * loaded maps.
+   *
+   * @param {string} url - Contact map (A)
+   * @param {Object} options
+   * @param {string} options.controlUrl - Control map (B), required for map "B" or "both"
+   * @param {string} options.locus1 - Locus of the rows, e.g. "chr1:1,000,000-2,000,000" or "chr1"
+   * @param {string} options.locus2 - Locus of the columns.  Default: locus1
+   * @param {number} options.resolution - Bin size.  Default: the finest one, coarsened to fit maxBins
+   * @param {string} options.normalization - Default: "NONE"
+   * @param {string} options.map - "A", "B" or "both"
+   * @returns {Promise<Object>}
+   */
+  async getContactMatrix(url, { controlUrl, locus1, locus2, resolution, normalization = 'NONE', map = 'A', format, maxBins, maxRecords }) {
+    if (!locus1) {
+      throw new Error('A locus is required to read a map without the browser');
+    }
+
+    const keys = map === 'both' ? ['A', 'B'] : [map];
+    if (keys.includes('B') && !controlUrl) {
+      throw new Error('A control map URL is required for map "B" or "both"');
+    }
+
+    const maps = {};
+    for (const key of keys) {
+      maps[key] = await this.open(key === 'A' ? url : controlUrl);
+    }
+    const first = maps[keys[0]];
+
+    const xLocus = parseLocus(locus1, first);
+    const yLocus = locus2 ? parseLocus(locus2, first) : { ...xLocus };
+
+    // Bin sizes present in every map, as the browser offers for a map and its control
+    const binSizes = Object.values(maps)
+      .map(m => m.hicFile.bpResolutions)
+      .reduce((common, binSizes) => common.filter(binSize => binSizes.includes(binSize)));
+    if (binSizes.length === 0) {
+      throw new Error('The maps have no resolutions in common');
+    }
+
+    return toStderr(() => extractContactMatrix(maps, xLocus, yLocus, {
+      binSizes,
+      resolution: resolution || Math.min(...binSizes),
+      normalization,
+      format,
+      maxBins,
+      maxRecords
+    }));
+  }
+}
+
+/**
+ * Run a hic-straw read with console.log sent to stderr.  hic-straw logs with console.log, and stdout carries
+ * the MCP protocol in STDIO mode.  Reads overlap, so console.log is restored when the last one ends.
+ *
+ * @param {function(): Promise<*>} read
+ * @returns {Promise<*>}
+ */
+async function toStderr(read) {
+  if (strawReads++ === 0) {
+    consoleLog = console.log;
+    console.log = console.error;
+  }
+  try {
+    return await read();
+  } finally {
+    if (--strawReads === 0) {
+      console.log = consoleLog;
+    }
+  }
+}
+
+async function openMap(url, localFiles) {
+  let config;
+  if (isLocalPath(url)) {
+    // Throws if the file is missing or outside the allowed directories
+    const { root, relativePath } = await localFiles.resolve(toPath(url));
+    const path = resolve(root, relativePath);
+    const stats = await fsPromises.stat(path);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${path}`);
+    }
+    config = { file: new NodeLocalFile({ path }) };
+  } else if (/^https?:\/\//i.test(url)) {
+    config = { url };
+  } else {
+    throw new Error(`Expected a URL or an absolute file path: ${url}`);
+  }
+
+  // loadFragData reads the fragment resolutions from the header
+  const straw = new Straw({ ...config, loadFragData: true });
+  try {
+    await straw.hicFile.init();
+  } catch (error) {
+    throw new Error(`Could not read ${url}: ${error.message}`);
+  }
+  return new HicMap(url, straw);
+}
+
+/**
+ * Read the version and genome ID of a local .hic file from the start of its header, without reading the
+ * footer as open() does.  Much faster for cataloging many large maps.
+ *
+ * @param {string} path - Absolute path of a .hic file
+ * @returns {Promise<{version: number, genome: string}>}
+ */
+async function readHicGenome(path) {
+  const handle = await fsPromises.open(path, 'r');
+  try {
+    // Magic "HIC\0", version (int32), footer position (int64), then the null-terminated genome ID
+    const buffer = Buffer.alloc(16 + MAX_GENOME_ID_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    if (bytesRead < 16 || buffer.toString('latin1', 0, 3) !== 'HIC') {
+      throw new Error(`Not a .hic file: ${path}`);
+    }
+    const end = buffer.indexOf(0, 16);
+    return {
+      version: buffer.readInt32LE(4),
+      genome: buffer.toString('utf8', 16, end >= 0 && end < bytesRead ? end : bytesRead)
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+function normalizeChrName(name) {
+  const lower = name.trim().toLowerCase();
+  if (lower === 'mt' || lower === 'chrm') {
+    return 'm';
+  }
+  return lower.startsWith('chr') ? lower.substring(3) : lower;
+}
+
+/**
+ * Parse a locus, "chr", "chr:start-end" or "chr:start-end" with kb/mb units.  Positions are 1-based and
+ * inclusive, as in the browser's locus box; the returned locus is 0-based, end exclusive.
+ *
+ * @param {string} locus
+ * @param {HicMap} map - Map whose chromosomes the locus refers to
+ * @returns {{chr: string, start: number, end: number}}
+ */
+function parseLocus(locus, map) {
+  const [chrName, range] = locus.trim().split(':');
+  const chr = map.getChromosome(chrName);
+  if (!chr) {
+    throw new Error(`Unknown chromosome "${chrName}" in ${map.name}`);
+  }
+  if (map.isWholeGenome(chr)) {
+    throw new Error('Contact matrices can only be extracted for chromosome loci, not the whole genome');
+  }
+  if (range === undefined) {
+    return { chr: chr.name, start: 0, end: chr.size };
+  }
+
+  const [start, end] = range.split('-').map(parsePosition);
+  if (start === undefined || end === undefined || end < start) {
+    throw new Error(`Invalid locus ${locus}. Use "chr", or "chr:start-end" (e.g., "chr1:1,000,000-2,000,000")`);
+  }
+  return { chr: chr.name, start: Math.max(0, start - 1), end: Math.min(end, chr.size) };
+}
+
+function parsePosition(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(bp|kb|k|mb|m)?\s*$/i.exec((value || '').replace(/,/g, ''));
+  if (!match) {
+    return undefined;
+  }
+  const multipliers = { bp: 1, k: 1e3, kb: 1e3, m: 1e6, mb: 1e6 };
+  return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'bp').toLowerCase()]);
+}
+
+export { HicReader, HicMap, parseLocus, readHicGenome };
@@ -0,0 +1,240 @@
+/**
+ * Local Catalog Module
+ *
+ * Builds a searchable catalog of the contact maps and tracks in local directories, the "local" data
+ * source.  Directories are scanned recursively for .hic, .bedpe and bigWig files; the assembly of a map
+ * is read from its .hic header.
+ *
+ * Further metadata (Biosource, Lab, Replicate, ...) is read from optional sidecar files:
+ *   - metadata.tsv or metadata.json in a directory, describing files in it and its subdirectories.  The
+ *     TSV has a header row and a "File" column with the file name or path relative to the directory;
+ *     the JSON is an array of objects with a "File" property, or an object keyed by file name.
+ *   - <file>.json next to a file (e.g. sample.hic.json), an object of metadata for that file.
+ * Sidecar values take precedence over those found by the scan.
+ */
+
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { promises as fsPromises } from 'node:fs';
+import { readHicGenome } from './hicReader.js';
+
+const FILE_FORMATS = [
+  { format: 'hic', type: 'map', pattern: /\.hic$/i },
+  { format: 'bedpe', type: 'track', pattern: /\.bedpe(\.gz)?$/i },
+  { format: 'bigwig', type: 'track', pattern: /\.(bigwig|bw)$/i }
+];
+
+// Column naming the file a sidecar row describes
+const FILE_COLUMNS = ['File', 'file', 'Filename', 'filename', 'Path', 'path'];
+
+const DEFAULT_MAX_DEPTH = 10;
+
+/**
+ * Scan the directories of a local data source.
+ *
+ * @param {Object} config - Data source configuration with directories, metadataFiles and maxDepth
+ * @returns {Promise<Array<Object>>} Map entries {url (absolute path), name, source, metadata}
+ */
+export async function scanLocalDirectories(config) {
+  const results = [];
+  const missing = [];
+
+  for (const directory of config.directories) {
+    const root = resolve(directory);
+    try {
+      const stats = await fsPromises.stat(root);
+      if (!stats.isDirectory()) {
+        throw new Error(`Not a directory: ${root}`);
+      }
+    } catch (error) {
+      missing.push(error.code === 'ENOENT' ? `Directory not found: ${root}` : error.message);
+      continue;
+    }
+
+    const files = [];
+    const sidecars = new Map();
+    await walk(root, 0, config, files, sidecars);
+
+    for (const { path, format, type, stats } of files) {
+      results.push(await createEntry(config, root, path, format, type, stats, sidecars.get(path)));
+    }
+  }
+
+  if (missing.length === config.directories.length && missing.length > 0) {
+    throw new Error(missing.join('; '));
+  }
+
+  return results;
+}
+
+/**
+ * Collect the map and track files under a directory, and the sidecar metadata of each.  Hidden files and
+ * directories are skipped.
+ */
+async function walk(directory, depth, config, files, sidecars) {
+  const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+
+  // Directory-level sidecars are read first, so that files in subdirectories can be described by them
+  for (const name of config.metadataFiles || []) {
+    if (entries.some(entry => entry.name === name)) {
+      const rows = await readSidecar(join(directory, name));
+      for (const [file, metadata] of rows) {
+        const path = resolve(directory, file);
+        sidecars.set(path, { ...sidecars.get(path), ...metadata });
+      }
+    }
+  }
+
+  const subdirectories = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const path = join(directory, entry.name);
+    let stats;
+    try {
+      stats = await fsPromises.stat(path);
+    } catch (error) {
+      continue; // Broken symbolic link
+    }
+
+    if (stats.isDirectory()) {
+      // Symbolic links to directories are not followed, so that the scan can't loop
+      if (!entry.isSymbolicLink() && depth < (config.maxDepth ?? DEFAULT_MAX_DEPTH)) {
+        subdirectories.push(path);
+      }
+      continue;
+    }
+
+    const fileFormat = FILE_FORMATS.find(({ pattern }) => pattern.test(entry.name));
+    if (!fileFormat || !stats.isFile()) continue;
+
+    files.push({ path, format: fileFormat.format, type: fileFormat.type, stats });
+
+    if (entries.some(other => other.name === `${entry.name}.json`)) {
+      const metadata = await readJSONFile(`${path}.json`);
+      if (metadata && typeof metadata === 'object' && !Array.isArray(metadata)) {
+        sidecars.set(path, { ...sidecars.get(path), ...stringValues(metadata) });
+      }
+    }
+  }
+
+  for (const subdirectory of subdirectories) {
+    await walk(subdirectory, depth + 1, config, files, sidecars);
+  }
+}
+
+async function createEntry(config, root, path, format, type, stats, sidecar = {}) {
+  let assembly = '';
+  if (format === 'hic') {
+    try {
+      assembly = assemblyName((await readHicGenome(path)).genome);
+    } catch (error) {
+      // Unreadable or truncated maps are still listed, without an assembly
+    }
+  }
+
+  const name = basename(path);
+  const directory = relative(root, dirname(path)).split(sep).join('/');
+  const metadata = {
+    Assembly: assembly,
+    Dataset: name.substring(0, name.length - extname(name).length).replace(/\.bedpe$/i, ''),
+    Type: type,
+    Format: format,
+    Directory: directory || '.',
+    Modified: stats.mtime.toISOString().substring(0, 10),
+    ...sidecar
+  };
+
+  return {
+    url: path,
+    name: metadata[config.nameColumn] || name,
+    source: config.id,
+    metadata
+  };
+}
+
+/**
+ * Genome IDs are assembly names, or paths of chrom.sizes files in some maps (e.g. "/refs/hg38.chrom.sizes").
+ * @param {string} genomeId
+ * @returns {string}
+ */
+function assemblyName(genomeId) {
+  return basename(genomeId.trim()).replace(/(\.chrom)?\.sizes$|\.genome$|\.json$/i, '');
+}
+
+/**
+ * Read a metadata.tsv or metadata.json sidecar.
+ * @param {string} path
+ * @returns {Promise<Array<[string, Object]>>} [file, metadata] pairs
+ */
+async function readSidecar(path) {
+  if (path.endsWith('.json')) {
+    const data = await readJSONFile(path);
+    if (Array.isArray(data)) {
+      return data
+        .filter(item => item && typeof item === 'object')
+        .map(item => {
+          const fileColumn = FILE_COLUMNS.find(column => item[column]);
+          if (!fileColumn) return null;
+          const { [fileColumn]: file, ...metadata } = item;
+          return [String(file), stringValues(metadata)];
+        })
+        .filter(row => row !== null);
+    } else if (data && typeof data === 'object') {
+      return Object.entries(data)
+        .filter(([, metadata]) => metadata && typeof metadata === 'object')
+        .map(([file, metadata]) => [file, stringValues(metadata)]);
+    }
+    return [];
+  }
+
+  let text;
+  try {
+    text = await fsPromises.readFile(path, 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const lines = text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim().length > 0 && !line.startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = lines[0].split('\t').map(header => header.trim());
+  const fileColumnIndex = Math.max(0, headers.findIndex(header => FILE_COLUMNS.includes(header)));
+
+  const rows = [];
+  for (const line of lines.slice(1)) {
+    const values = line.split('\t');
+    const file = values[fileColumnIndex]?.trim();
+    if (!file) continue;
+
+    const metadata = {};
+    headers.forEach((header, index) => {
+      if (index !== fileColumnIndex && header) {
+        metadata[header] = values[index]?.trim() || '';
+      }
+    });
+    rows.push([file, metadata]);
+  }
+  return rows;
+}
+
+async function readJSONFile(path) {
+  try {
+    return JSON.parse(await fsPromises.readFile(path, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Metadata values are strings, as in the TSV catalogs; arrays (e.g. of publications) are joined.
+ */
+function stringValues(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === null || value === undefined || typeof value === 'object' && !Array.isArray(value)) continue;
+    result[key] = Array.isArray(value) ? value.join(', ') : String(value);
+  }
+  return result;
+}
@@ -0,0 +1,167 @@
+/**
+ * Local File Serving Module
+ *
+ * Serves files from the analyst's disk to the browser, so that local .hic and track files can be loaded
+ * by path.  Only files under allow-listed root directories are served, and symbolic links may not lead
+ * outside them.  Files are sent by Express, which supports the HTTP range requests that .hic and indexed
+ * track readers make.
+ *
+ * A file is served at <baseUrl>/files/<absolute path>, e.g. http://localhost:3010/files/data/sample.hic
+ * for /data/sample.hic.  Only the Juicebox app may read the files from another origin (CORS).
+ */
+
+import { delimiter, isAbsolute, relative, resolve, sep } from 'node:path';
+import { promises as fsPromises } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const FILES_ROUTE = '/files';
+
+/**
+ * Whether a map or track location is a local file rather than a URL: an absolute path or a file:// URL.
+ * @param {string} location
+ * @returns {boolean}
+ */
+function isLocalPath(location) {
+  return location.startsWith('file:') || isAbsolute(location);
+}
+
+/**
+ * @param {string} location - Absolute path or file:// URL
+ * @returns {string} - Absolute path
+ */
+function toPath(location) {
+  return location.startsWith('file:') ? fileURLToPath(location) : resolve(location);
+}
+
+/**
+ * CORS options for FILES_ROUTE.  Pages from other origins get no Access-Control-Allow-Origin header, so the
+ * browser does not let them read the files.  Range requests are not CORS-safelisted, and readers check the
+ * Content-Range of the response.
+ *
+ * @param {string} browserUrl - URL of the Juicebox app
+ * @returns {Object} - Options for the cors middleware
+ */
+function filesCorsOptions(browserUrl) {
+  return {
+    // A list, so that the origin of the request is checked rather than the header always being sent
+    origin: [new URL(browserUrl).origin],
+    methods: ['GET', 'HEAD', 'OPTIONS'],
+    exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges']
+  };
+}
+
+class LocalFiles {
+
+  /**
+   * @param {string[]} roots - Directories whose files may be served
+   * @param {string} baseUrl - URL of the HTTP server the files are served from
+   */
+  constructor(roots, baseUrl) {
+    this.roots = roots.map(root => resolve(root));
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Parse a list of root directories separated by the platform's path delimiter (":" or ";").
+   * @param {string} value
+   * @returns {string[]}
+   */
+  static parseRoots(value) {
+    return (value || '').split(delimiter).map(root => root.trim()).filter(root => root.length > 0);
+  }
+
+  get enabled() {
+    return this.roots.length > 0;
+  }
+
+  /**
+   * Find the allowed root directory a file is in, following symbolic links.
+   *
+   * @param {string} path - Absolute path
+   * @returns {Promise<{root: string, relativePath: string}>} - Real paths
+   * @throws {Error} - If the file does not exist or is outside the allowed directories
+   */
+  async resolve(path) {
+    if (!this.enabled) {
+      throw new Error('Local files are not served. Set JUICEBOX_MCP_FILE_ROOTS to the directories to serve files from ' +
+        `(separated by "${delimiter}") and restart the server`);
+    }
+
+    let realPath;
+    try {
+      realPath = await fsPromises.realpath(path);
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `File not found: ${path}` : error.message);
+    }
+
+    for (const root of this.roots) {
+      let realRoot;
+      try {
+        realRoot = await fsPromises.realpath(root);
+      } catch (error) {
+        continue;
+      }
+      const relativePath = relative(realRoot, realPath);
+      if (relativePath && relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath)) {
+        return { root: realRoot, relativePath };
+      }
+    }
+
+    throw new Error(`${path} is not in a directory served to the browser (JUICEBOX_MCP_FILE_ROOTS: ${this.roots.join(delimiter)})`);
+  }
+
+  /**
+   * The URL a local file is served at.
+   *
+   * @param {string} location - Absolute path or file:// URL
+   * @returns {Promise<string>}
+   */
+  async toUrl(location) {
+    const path = toPath(location);
+    const { root, relativePath } = await this.resolve(path);
+
+    const stats = await fsPromises.stat(resolve(root, relativePath));
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${path}`);
+    }
+
+    const segments = path.split(sep).filter(segment => segment.length > 0).map(encodeURIComponent);
+    return `${this.baseUrl}${FILES_ROUTE}/${segments.join('/')}`;
+  }
+
+  /**
+   * Express middleware serving GET and HEAD requests for files, to be mounted at FILES_ROUTE.
+   */
+  handler() {
+    return async (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+      }
+
+      let path;
+      try {
+        const segments = req.path.split('/').filter(segment => segment.length > 0).map(decodeURIComponent);
+        // Windows paths start with the drive ("C:"), POSIX paths with the root
+        path = process.platform === 'win32' ? segments.join(sep) : sep + segments.join(sep);
+      } catch (error) {
+        return res.status(400).end();
+      }
+
+      let resolved;
+      try {
+        resolved = await this.resolve(path);
+      } catch (error) {
+        return res.status(404).end();
+      }
+
+      // send() answers Range requests with 206 Partial Content.  Hidden files under a root are not served.
+      res.sendFile(resolved.relativePath, { root: resolved.root, dotfiles: 'deny' }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(error.status || 500).end();
+        }
+      });
+    };
+  }
+}
+
+export { LocalFiles, FILES_ROUTE, filesCorsOptions, isLocalPath, toPath };
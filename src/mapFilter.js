@@ -1,81 +1,16 @@
 /**
  * Natural Language Filter Module
  * 
- * Filters maps based on natural language queries with query expansion and fuzzy matching.
+ * Filters maps based on natural language queries with query expansion and fuzzy matching, and a query
+ * syntax for field-scoped terms, phrases, OR, negation and numeric comparisons (see filterMaps()).  Words
+ * and phrases are looked up and ranked in the search indexes of the data sources (see searchIndex.js).
  */
 
-import { expandQuery } from './queryExpander.js';
+import { expandTerm } from './queryExpander.js';
+import { SearchIndex } from './searchIndex.js';
 
-/**
- * Calculate Levenshtein distance between two strings
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Edit distance
- */
-function levenshteinDistance(str1, str2) {
-  const len1 = str1.length;
-  const len2 = str2.length;
-  
-  // Create matrix
-  const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
-  
-  // Initialize first row and column
-  for (let i = 0; i <= len1; i++) matrix[i][0] = i;
-  for (let j = 0; j <= len2; j++) matrix[0][j] = j;
-  
-  // Fill matrix
-  for (let i = 1; i <= len1; i++) {
-    for (let j = 1; j <= len2; j++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[i][j] = Math.min(
-        matrix[i - 1][j] + 1,      // deletion
-        matrix[i][j - 1] + 1,      // insertion
-        matrix[i - 1][j - 1] + cost // substitution
-      );
-    }
-  }
-  
-  return matrix[len1][len2];
-}
-
-/**
- * Check if a value matches a query term using fuzzy matching
- * @param {string} value - Value to check
- * @param {string} term - Search term
- * @param {boolean} useFuzzy - Whether to use fuzzy matching if exact match fails
- * @returns {Object} Match result with {matched: boolean, isFuzzy: boolean, distance: number}
- */
-function fuzzyMatch(value, term, useFuzzy = true) {
-  if (!value) return { matched: false, isFuzzy: false, distance: Infinity };
-  
-  const valueStr = String(value).toLowerCase();
-  const termStr = term.toLowerCase();
-  
-  // Try exact match first
-  if (valueStr.includes(termStr)) {
-    return { matched: true, isFuzzy: false, distance: 0 };
-  }
-  
-  // If exact match fails and fuzzy matching is enabled, try fuzzy match
-  if (useFuzzy && termStr.length > 3) {
-    // Check if term appears as substring with small edits
-    // For performance, only check substrings of similar length
-    const maxDistance = termStr.length <= 5 ? 2 : 3;
-    
-    // Check substrings of the value
-    for (let i = 0; i <= valueStr.length - termStr.length + maxDistance; i++) {
-      const end = Math.min(i + termStr.length + maxDistance, valueStr.length);
-      const substring = valueStr.substring(i, end);
-      const distance = levenshteinDistance(termStr, substring);
-      
-      if (distance <= maxDistance) {
-        return { matched: true, isFuzzy: true, distance };
-      }
-    }
-  }
-  
-  return { matched: false, isFuzzy: false, distance: Infinity };
-}
+// Weight of matches of a synonym of a term, relative to the term itself
+const SYNONYM_WEIGHT = 0.8;
 
 /**
  * Check if a value matches a query term (case-insensitive)
@@ -91,198 +26,456 @@ function matchesTerm(value, term) {
 }
 
 /**
- * Score a match (higher is better)
+ * Score a field match (higher is better): 1 for the whole value, less for a prefix or substring
  * @param {string} value - Value that matched
  * @param {string} term - Search term
- * @param {boolean} isFuzzy - Whether this is a fuzzy match
- * @param {number} fuzzyDistance - Edit distance for fuzzy matches
  * @param {boolean} isExpandedTerm - Whether this is an expanded synonym (vs original term)
  * @returns {number} Match score
  */
-function scoreMatch(value, term, isFuzzy = false, fuzzyDistance = 0, isExpandedTerm = false) {
+function scoreMatch(value, term, isExpandedTerm = false) {
   if (!value) return 0;
   const valueStr = String(value).toLowerCase();
   const termStr = term.toLowerCase();
   
   let baseScore = 0;
+  if (valueStr === termStr) {
+    baseScore = 1;
+  } else if (valueStr.startsWith(termStr)) {
+    baseScore = 0.8;
+  } else if (valueStr.includes(termStr)) {
+    baseScore = 0.5;
+  }
   
-  // Calculate base score based on match type
-  if (isFuzzy) {
-    // Fuzzy match: score based on edit distance
-    const maxLength = Math.max(valueStr.length, termStr.length);
-    const similarity = 1 - (fuzzyDistance / maxLength);
-    baseScore = 30 * similarity; // Fuzzy matches get lower base score
-  } else {
-    // Exact match scoring
-    if (valueStr === termStr) {
-      baseScore = 100;
-    } else if (valueStr.startsWith(termStr)) {
-      baseScore = 80;
-    } else if (valueStr.includes(termStr)) {
-      baseScore = 50;
+  return isExpandedTerm ? baseScore * SYNONYM_WEIGHT : baseScore;
+}
+
+/**
+ * Error in a search query, e.g. an unknown field or a comparison with a value that is not a number
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+// Fields that are not metadata columns
+const SPECIAL_FIELDS = {
+  name: map => map.name,
+  url: map => map.url,
+  source: map => map.source,
+  species: map => map.metadata?._species,
+  category: map => map.metadata?._cellTypeCategory
+};
+
+// Fields with different names in the 4DN and ENCODE catalogs, so that a field query works on both
+const FIELD_ALIASES = [
+  ['biosource', 'biosample'],
+  ['replicate', 'biorep']
+];
+
+const COMPARISON = /^(>=|<=|>|<)(.*)$/;
+const RANGE = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/;
+const NUMBER = /^-?\d+(?:\.\d+)?$/;
+
+/**
+ * Split a query into tokens: words, quoted phrases, field:value pairs, OR and NOT.
+ * @param {string} query
+ * @returns {Array<Object>} {type: 'term'|'or'|'not', negated, field, value, phrase}
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  // Read a word or a quoted phrase starting at i
+  const readValue = () => {
+    if (query[i] === '"') {
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        if (query[i] === '\\' && query[i + 1] === '"') i++;
+        value += query[i++];
+      }
+      if (i >= query.length) {
+        throw new QuerySyntaxError('Unterminated quote in the query');
+      }
+      i++;
+      return { value, phrase: true };
+    }
+    const start = i;
+    while (i < query.length && !/\s/.test(query[i])) i++;
+    return { value: query.substring(start, i), phrase: false };
+  };
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    let negated = false;
+    if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    // field:value, but not URLs ("https://...")
+    const field = /^([A-Za-z_][\w.-]*):(?!\/\/)(?=\S)/.exec(query.substring(i));
+    if (field) {
+      i += field[0].length;
+      tokens.push({ type: 'term', negated, field: field[1], ...readValue() });
+      continue;
+    }
+
+    const { value, phrase } = readValue();
+    if (!phrase && !negated && (value === 'OR' || value === '|')) {
+      tokens.push({ type: 'or' });
+    } else if (!phrase && !negated && value === 'NOT') {
+      tokens.push({ type: 'not' });
+    } else if (phrase || (value.length > 0 && value !== '-')) {
+      tokens.push({ type: 'term', negated, value, phrase });
     }
   }
-  
-  // Apply expansion weight: expanded synonyms get 0.8x weight
-  if (isExpandedTerm) {
-    baseScore *= 0.8;
+
+  return tokens;
+}
+
+/**
+ * Parse a query into clauses that must all match.  Each clause is a list of alternatives joined by OR,
+ * of which one must match; OR binds tighter than the implicit AND, so "K562 hg38 OR hg19" is K562 and
+ * either assembly.
+ *
+ * @param {string} query
+ * @returns {Array<Array<Object>>} Clauses of terms {negated, field, value, phrase}
+ */
+export function parseQuery(query) {
+  const clauses = [];
+  let joinNext = false;
+  let negateNext = false;
+
+  for (const token of tokenize(query || '')) {
+    if (token.type === 'or') {
+      if (clauses.length === 0 || joinNext || negateNext) {
+        throw new QuerySyntaxError('OR must be between two search terms');
+      }
+      joinNext = true;
+    } else if (token.type === 'not') {
+      negateNext = true;
+    } else {
+      const { type, ...term } = token;
+      term.negated = term.negated !== negateNext;
+      if (joinNext) {
+        clauses[clauses.length - 1].push(term);
+      } else {
+        clauses.push([term]);
+      }
+      joinNext = false;
+      negateNext = false;
+    }
   }
-  
-  // Apply fuzzy multiplier: fuzzy matches get 0.7x weight
-  if (isFuzzy) {
-    baseScore *= 0.7;
+
+  if (joinNext || negateNext) {
+    throw new QuerySyntaxError(`The query can't end with ${joinNext ? 'OR' : 'NOT'}`);
   }
-  
-  return baseScore;
+  return clauses;
 }
 
 /**
- * Filter maps by natural language query with query expansion and fuzzy matching
+ * Write structured filters in the query syntax, e.g. {Assembly: "hg38", Lab: ["Dekker", "Aiden"],
+ * Replicate: {min: 2}, Biosource: {not: "K562"}} as 'Assembly:hg38 Lab:Dekker OR Lab:Aiden Replicate:>=2
+ * -Biosource:K562'.
+ *
+ * @param {Object} filters - Field to a value, a list of values (any of them), or {min, max, not}
+ * @returns {string}
+ */
+export function filtersToQuery(filters) {
+  const quote = value => {
+    const text = String(value);
+    return /[\s"]/.test(text) || text.length === 0 ? `"${text.replace(/"/g, '\\"')}"` : text;
+  };
+  const field = name => {
+    if (!/^[A-Za-z_][\w.-]*$/.test(name)) {
+      throw new QuerySyntaxError(`Invalid filter field "${name}"`);
+    }
+    return name;
+  };
+
+  const parts = [];
+  for (const [name, filter] of Object.entries(filters || {})) {
+    if (filter === null || filter === undefined) continue;
+
+    if (typeof filter === 'object' && !Array.isArray(filter)) {
+      if (filter.min !== undefined) parts.push(`${field(name)}:>=${filter.min}`);
+      if (filter.max !== undefined) parts.push(`${field(name)}:<=${filter.max}`);
+      for (const value of [].concat(filter.not ?? [])) {
+        parts.push(`-${field(name)}:${quote(value)}`);
+      }
+    } else {
+      const values = [].concat(filter);
+      if (values.length > 0) {
+        parts.push(values.map(value => `${field(name)}:${quote(value)}`).join(' OR '));
+      }
+    }
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Resolve the field of a query term to the metadata columns it searches, ignoring case.
+ * @param {string} field
+ * @param {Map<string, string[]>} columns - Lower case column name to the column names
+ * @returns {function(Object): Array<[string, *]>} Column names and values of the field in a map
+ */
+function resolveField(field, columns) {
+  const key = field.toLowerCase();
+  if (SPECIAL_FIELDS[key]) {
+    return map => [[key, SPECIAL_FIELDS[key](map)]];
+  }
+
+  const aliases = FIELD_ALIASES.find(group => group.includes(key)) || [key];
+  const names = aliases.flatMap(alias => columns.get(alias) || []);
+  if (names.length === 0) {
+    const available = [...new Set([...columns.values()].flat())].sort();
+    throw new QuerySyntaxError(`Unknown field "${field}". Fields: ${[...available, ...Object.keys(SPECIAL_FIELDS)].join(', ')}`);
+  }
+  return map => names.map(name => [name, map.metadata?.[name]]);
+}
+
+/**
+ * Numbers in a value, e.g. [1, 2] in "Bio rep 1, Tech rep 2"
+ */
+function numbersIn(value) {
+  return (String(value ?? '').match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Compile a field-scoped term into a function returning the best match of the term in a map, or null.
+ * Text values match as case-insensitive substrings, including synonyms (assembly:hg38 matches GRCh38);
+ * numbers, comparisons (replicate:>1) and ranges (replicate:1..2) compare the numbers in the field.
+ */
+function compileFieldTerm(term, columns) {
+  const getValues = resolveField(term.field, columns);
+  const { value } = term;
+  const match = (score, fields) => ({ score, match: { term: `${term.field}:${value}`, matched: value, type: 'field', fields } });
+
+  let test = null;
+  const comparison = term.phrase ? null : COMPARISON.exec(value);
+  const range = term.phrase ? null : RANGE.exec(value);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    test = v => numbersIn(v).some(n => n >= min && n <= max);
+  } else if (comparison) {
+    const [, op, operand] = comparison;
+    if (!NUMBER.test(operand.trim())) {
+      throw new QuerySyntaxError(`Expected a number after ${op} in ${term.field}:${value}`);
+    }
+    const limit = Number(operand);
+    const compare = { '>': n => n > limit, '>=': n => n >= limit, '<': n => n < limit, '<=': n => n <= limit }[op];
+    test = v => numbersIn(v).some(compare);
+  } else if (!term.phrase && NUMBER.test(value)) {
+    const number = Number(value);
+    test = v => String(v ?? '').trim() === value || numbersIn(v).includes(number);
+  }
+  if (test) {
+    return map => {
+      const fields = getValues(map).filter(([, v]) => test(v)).map(([name]) => name);
+      return fields.length > 0 ? match(1, fields) : null;
+    };
+  }
+
+  const expansions = expandTerm(value);
+  return map => {
+    let best = 0;
+    const fields = [];
+    for (const [name, v] of getValues(map)) {
+      for (const expansion of expansions) {
+        if (matchesTerm(v, expansion)) {
+          best = Math.max(best, scoreMatch(v, expansion, expansion !== value.toLowerCase()));
+          if (!fields.includes(name)) fields.push(name);
+        }
+      }
+    }
+    return best > 0 ? match(best, fields) : null;
+  };
+}
+
+/**
+ * Compile a free-text term into a function returning the best match of the term in a map, or null.  The
+ * term and its synonyms are looked up in the search indexes, which score them with BM25.  Fuzzy matching
+ * is used for positive terms only: excluding maps that are merely similar to a term would drop wanted
+ * ones (-hg19 must not exclude hg38 maps).
+ */
+function compileTextTerm(term, useFuzzy, indexes) {
+  const original = term.value.toLowerCase();
+  const matches = new Map();
+
+  for (const expansion of expandTerm(term.value)) {
+    const isExpanded = expansion !== original;
+    for (const index of indexes) {
+      for (const [map, hit] of index.search(expansion, { fuzzy: useFuzzy && !isExpanded })) {
+        const score = isExpanded ? hit.score * SYNONYM_WEIGHT : hit.score;
+        if (score > (matches.get(map)?.score ?? 0)) {
+          matches.set(map, {
+            score,
+            match: { term: term.value, matched: hit.term, type: isExpanded ? 'synonym' : hit.type, fields: hit.fields }
+          });
+        }
+      }
+    }
+  }
+
+  return map => matches.get(map) || null;
+}
+
+/**
+ * Filter maps by a search query with query expansion and fuzzy matching.
+ *
+ * Query syntax (terms separated by spaces must all match):
+ *   K562 hg38            words, matched in any field, with synonyms and fuzzy matching
+ *   "embryonic stem"     quoted phrase
+ *   lab:Dekker           field-scoped term; fields are the catalog columns (ignoring case) and name, url,
+ *                        source, species, category.  biosource/biosample and replicate/biorep are
+ *                        searched together
+ *   hg38 OR hg19         either term
+ *   -K562, NOT K562      exclude maps matching the term
+ *   replicate:2          numeric match; replicate:>=2, replicate:1..2 for comparisons and ranges
+ *
+ * Results are copies of the maps with the relevance score (the sum of the scores of the clauses) as
+ * _score, and how each positive term matched as _matches: [{term, matched, type, fields}], where type is
+ * "exact", "prefix", "fuzzy", "synonym" or "field".
+ *
  * @param {Array<Object>} maps - Array of map entries
- * @param {string} query - Natural language search query
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {string[]} options.columns - Columns of the searched data sources, for field-scoped terms.  The
+ *                                     metadata fields of the maps are always included
+ * @param {Object} options.filters - Structured filters, see filtersToQuery(), combined with the query
+ * @param {SearchIndex[]} options.indexes - Search indexes of the maps, e.g. from getSearchIndex(); maps not
+ *                                          in any of them are indexed for this search
  * @returns {Array<Object>} Filtered and sorted results
+ * @throws {QuerySyntaxError}
  */
-export function filterMaps(maps, query) {
-  if (!query || !query.trim()) {
-    return maps;
-  }
-  
-  // Expand query with synonyms
-  const expandedTerms = expandQuery(query);
+export function filterMaps(maps, query, { columns = [], filters, indexes = [] } = {}) {
+  const fullQuery = [query, filtersToQuery(filters)].filter(part => part && part.trim()).join(' ');
+  const clauses = parseQuery(fullQuery);
   
-  if (expandedTerms.length === 0) {
+  if (clauses.length === 0) {
     return maps;
   }
   
-  // Track original terms for AND logic and expansion weighting
-  const originalTerms = query.trim().split(/\s+/).filter(term => term.length > 0).map(t => t.toLowerCase());
-  const isOriginalTerm = (term) => originalTerms.includes(term);
-  
-  // Build expansion map: which expanded terms correspond to which original terms
-  // We'll track this by checking if an expanded term came from an original term
-  // by seeing if it's in the expansion set for that original term
-  const expansionMap = new Map(); // originalTerm -> Set of expanded terms
-  for (const origTerm of originalTerms) {
-    // Get expansions for this single term
-    const termExpansions = expandQuery(origTerm);
-    expansionMap.set(origTerm, new Set(termExpansions));
+  const columnNames = new Map();
+  const addColumn = name => {
+    const key = name.toLowerCase();
+    const names = columnNames.get(key) || [];
+    if (!names.includes(name)) {
+      columnNames.set(key, [...names, name]);
+    }
+  };
+  columns.forEach(addColumn);
+  if (clauses.some(clause => clause.some(term => term.field))) {
+    for (const map of maps) {
+      Object.keys(map.metadata || {}).filter(key => !key.startsWith('_')).forEach(addColumn);
+    }
+  }
+
+  const searchIndexes = [...indexes];
+  if (clauses.some(clause => clause.some(term => !term.field))) {
+    const unindexed = maps.filter(map => !indexes.some(index => index.has(map)));
+    if (unindexed.length > 0) {
+      searchIndexes.push(new SearchIndex(unindexed));
+    }
   }
   
-  // Score each map
-  const scoredMaps = maps.map(map => {
+  const compiled = clauses.map(clause => clause.map(term => ({
+    negated: term.negated,
+    match: term.field ? compileFieldTerm(term, columnNames) : compileTextTerm(term, !term.negated, searchIndexes)
+  })));
+  
+  // Score each map.  Every clause must match (AND logic): a positive term by matching, a negated term by
+  // not matching.  The score of a clause is that of its best matching term.
+  const results = [];
+  for (const map of maps) {
     let totalScore = 0;
-    const originalTermMatches = new Set(); // Track which original query terms matched
+    const matches = [];
+    let matched = true;
     
-    // Check each expanded term against all fields
-    for (const expandedTerm of expandedTerms) {
-      const isExpanded = !isOriginalTerm(expandedTerm);
-      let termScore = 0;
-      let termMatched = false;
-      
-      // Check name field
-      const nameMatch = fuzzyMatch(map.name, expandedTerm, true);
-      if (nameMatch.matched) {
-        termMatched = true;
-        termScore = Math.max(termScore, scoreMatch(
-          map.name, 
-          expandedTerm, 
-          nameMatch.isFuzzy, 
-          nameMatch.distance, 
-          isExpanded
-        ));
-      }
-      
-      // Check URL (with reduced weight)
-      const urlMatch = fuzzyMatch(map.url, expandedTerm, true);
-      if (urlMatch.matched) {
-        termMatched = true;
-        const urlScore = scoreMatch(
-          map.url, 
-          expandedTerm, 
-          urlMatch.isFuzzy, 
-          urlMatch.distance, 
-          isExpanded
-        );
-        termScore = Math.max(termScore, urlScore * 0.5); // URL matches are less important
-      }
-      
-      // Check all metadata fields (including enriched fields)
-      if (map.metadata) {
-        for (const [key, value] of Object.entries(map.metadata)) {
-          // Skip enriched fields that start with _ for matching (they're used for reasoning, not direct matching)
-          if (key.startsWith('_') && key !== '_searchableText') {
-            continue;
-          }
-          
-          const fieldMatch = fuzzyMatch(value, expandedTerm, true);
-          if (fieldMatch.matched) {
-            termMatched = true;
-            termScore = Math.max(termScore, scoreMatch(
-              value, 
-              expandedTerm, 
-              fieldMatch.isFuzzy, 
-              fieldMatch.distance, 
-              isExpanded
-            ));
-          }
-        }
-        
-        // Also check _searchableText for fuzzy matching fallback
-        if (map.metadata._searchableText) {
-          const searchableMatch = fuzzyMatch(map.metadata._searchableText, expandedTerm, true);
-          if (searchableMatch.matched && termScore === 0) {
-            termMatched = true;
-            termScore = Math.max(termScore, scoreMatch(
-              map.metadata._searchableText, 
-              expandedTerm, 
-              searchableMatch.isFuzzy, 
-              searchableMatch.distance, 
-              isExpanded
-            ) * 0.6); // Searchable text matches get lower weight
+    for (const clause of compiled) {
+      let clauseMatched = false;
+      let best = null;
+      for (const term of clause) {
+        const result = term.match(map);
+        if (term.negated ? !result : result) {
+          clauseMatched = true;
+          if (!term.negated && (!best || result.score > best.score)) {
+            best = result;
           }
         }
       }
-      
-      if (termMatched && termScore > 0) {
-        totalScore += termScore;
-        
-        // Track which original terms matched (for AND logic)
-        if (!isExpanded) {
-          // This is an original term, mark it as matched
-          originalTermMatches.add(expandedTerm);
-        } else {
-          // This is an expanded term, find which original term(s) it came from
-          for (const [origTerm, expansions] of expansionMap.entries()) {
-            if (expansions.has(expandedTerm)) {
-              originalTermMatches.add(origTerm);
-            }
-          }
-        }
+      if (!clauseMatched) {
+        matched = false;
+        break;
+      }
+      if (best) {
+        totalScore += best.score;
+        matches.push(best.match);
       }
     }
     
-    // All original terms must match (AND logic)
-    // If we matched all original terms (directly or via expansion), include this map
-    if (originalTermMatches.size === originalTerms.length) {
-      return {
-        ...map,
-        _score: totalScore,
-        _matchCount: originalTermMatches.size
-      };
+    if (matched) {
+      results.push({ ...map, _score: totalScore, _matches: matches });
     }
-    
-    return null;
-  }).filter(map => map !== null);
+  }
   
   // Sort by score (highest first), then by name
-  scoredMaps.sort((a, b) => {
+  results.sort((a, b) => {
     if (b._score !== a._score) {
       return b._score - a._score;
     }
     return a.name.localeCompare(b.name);
   });
   
-  // Remove scoring metadata before returning
-  return scoredMaps.map(({ _score, _matchCount, ...map }) => map);
+  return results;
 }
 
+// Sort keys of search results, and the metadata fields they sort by (the first one set)
+const SORT_FIELDS = {
+  assembly: ['Assembly'],
+  lab: ['Lab'],
+  accession: ['Accession', 'accession']
+};
+
+export const SORT_KEYS = ['score', ...Object.keys(SORT_FIELDS)];
+
+/**
+ * Sort search results by relevance (as filterMaps() returns them) or by a metadata field.  Maps without a
+ * value come last; maps with the same value keep their order by relevance.
+ *
+ * @param {Array<Object>} maps - Results of filterMaps()
+ * @param {string} key - One of SORT_KEYS
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortMaps(maps, key = 'score') {
+  if (key === 'score') {
+    return [...maps];
+  }
+
+  const fields = SORT_FIELDS[key];
+  if (!fields) {
+    throw new Error(`Unknown sort key "${key}". Sort keys: ${SORT_KEYS.join(', ')}`);
+  }
+  const valueOf = map => {
+    const field = fields.find(name => map.metadata?.[name] !== undefined && String(map.metadata[name]).trim() !== '');
+    return field ? String(map.metadata[field]).trim() : null;
+  };
+
+  // Array.prototype.sort is stable, so equal values stay in relevance order
+  return maps
+    .map(map => ({ map, value: valueOf(map) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null);
+      }
+      return a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: 'base' });
+    })
+    .map(({ map }) => map);
+}
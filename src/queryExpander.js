@@ -47,7 +47,7 @@ const SYNONYM_DICTIONARY = {
  * @param {string} term - Term to expand
  * @returns {string[]} Array of expanded terms (includes original term)
  */
-function expandTerm(term) {
+export function expandTerm(term) {
   if (!term || term.length === 0) {
     return [];
   }
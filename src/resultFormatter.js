@@ -4,6 +4,10 @@
  * Formats search results for display in Claude Desktop.
  */
 
+// Values of each facet listed in the text and in the structured data, most frequent first
+const MAX_FACET_VALUES_TEXT = 10;
+const MAX_FACET_VALUES_JSON = 25;
+
 /**
  * Truncate a string to a maximum length
  * @param {string} str - String to truncate
@@ -22,15 +26,25 @@ function truncate(str, maxLength = 40) {
  * @param {Array<Object>} maps - Array of map entries
  * @param {string} query - Search query used
  * @param {string} source - Source ID or 'all'
+ * @param {Object} page
+ * @param {number} page.total - Number of matching maps, if maps is a page of them
+ * @param {number} page.first - Number of the first map of the page
  * @returns {string} Formatted table text
  */
-export function formatSearchResults(maps, query, source = 'all') {
-  if (maps.length === 0) {
+export function formatSearchResults(maps, query, source = 'all', { total = maps.length, first = 1 } = {}) {
+  if (total === 0) {
     return `No maps found matching "${query}"${source !== 'all' ? ` in ${source}` : ''}.`;
   }
   
   const sourceName = source !== 'all' ? source.toUpperCase() : 'all sources';
-  let output = `Found ${maps.length} map${maps.length === 1 ? '' : 's'} matching "${query}"${source !== 'all' ? ` in ${sourceName}` : ''}:\n\n`;
+  let output = `Found ${total} map${total === 1 ? '' : 's'} matching "${query}"${source !== 'all' ? ` in ${sourceName}` : ''}`;
+  if (maps.length === 0) {
+    return `${output}, none from #${first}.\n`;
+  }
+  if (maps.length < total) {
+    output += `, showing ${first}-${first + maps.length - 1}`;
+  }
+  output += ':\n\n';
   
   // Determine which columns to display based on available data
   const allColumns = new Set();
@@ -41,18 +55,20 @@ export function formatSearchResults(maps, query, source = 'all') {
   });
   
   // Priority columns to show (in order)
-  const priorityColumns = ['Assembly', 'Biosource', 'Biosample', 'Description', 'Dataset', 'Lab', 'Experiment'];
+  const priorityColumns = ['Assembly', 'Biosource', 'Biosample', 'Description', 'Dataset', 'Lab', 'Experiment', 'Format'];
   const displayColumns = priorityColumns.filter(col => allColumns.has(col));
   
-  // Build table header
-  const header = ['#', 'Source', 'Name'];
+  // Build table header.  Results with a handle (see searchResults.js) show it in place of the source.
+  const hasHandles = maps.some(map => map.handle);
+  const header = ['#', hasHandles ? 'Handle' : 'Source', 'Name'];
   displayColumns.forEach(col => header.push(col));
+  const firstCell = map => (hasHandles ? map.handle : map.source) || '';
   
   // Calculate column widths
   const widths = header.map(() => 0);
   maps.forEach((map, index) => {
-    widths[0] = Math.max(widths[0], String(index + 1).length);
-    widths[1] = Math.max(widths[1], map.source ? map.source.length : 0);
+    widths[0] = Math.max(widths[0], String(index + first).length);
+    widths[1] = Math.max(widths[1], firstCell(map).length);
     widths[2] = Math.max(widths[2], map.name ? map.name.length : 0);
     displayColumns.forEach((col, colIdx) => {
       const value = map.metadata?.[col] || '';
@@ -60,9 +76,9 @@ export function formatSearchResults(maps, query, source = 'all') {
     });
   });
   
-  // Cap column widths
+  // Cap column widths.  Name can be longer, and handles are not truncated.
   widths.forEach((w, i) => {
-    widths[i] = Math.min(w, i === 2 ? 50 : 20); // Name can be longer
+    widths[i] = Math.min(w, i === 2 ? 50 : i === 1 && hasHandles ? Infinity : 20);
   });
   
   // Format header row
@@ -77,8 +93,8 @@ export function formatSearchResults(maps, query, source = 'all') {
   // Format data rows
   maps.forEach((map, index) => {
     const row = [
-      String(index + 1).padEnd(widths[0]),
-      truncate(map.source || '', widths[1]).padEnd(widths[1]),
+      String(index + first).padEnd(widths[0]),
+      truncate(firstCell(map), widths[1]).padEnd(widths[1]),
       truncate(map.name || '', widths[2]).padEnd(widths[2])
     ];
     
@@ -94,11 +110,47 @@ export function formatSearchResults(maps, query, source = 'all') {
 }
 
 /**
- * Format results as structured JSON for Claude to parse
- * @param {Array<Object>} maps - Array of map entries
- * @returns {string} JSON string
+ * Format facet counts (see countFacets()) as text, e.g. "Assembly: hg38 (30), mm10 (17)"
+ * @param {Object} facets - Facet name to [{value, count}]
+ * @param {number} total - Number of matching maps
+ * @param {Object} selections - Selected facet values; selected facets are marked, as their counts include
+ *                              the other values
+ * @returns {string} Formatted text
  */
-export function formatSearchResultsJSON(maps) {
-  return JSON.stringify(maps, null, 2);
+export function formatFacets(facets, total, selections = {}) {
+  const selected = new Set(Object.keys(selections).map(name => name.toLowerCase()));
+  let output = `Facets of the ${total} matching map${total === 1 ? '' : 's'}:\n`;
+  for (const [facet, values] of Object.entries(facets)) {
+    const listed = values.slice(0, MAX_FACET_VALUES_TEXT).map(({ value, count }) => `${truncate(value)} (${count})`);
+    if (values.length > MAX_FACET_VALUES_TEXT) {
+      listed.push(`${values.length - MAX_FACET_VALUES_TEXT} more`);
+    }
+    output += `  ${facet}${selected.has(facet.toLowerCase()) ? ' (selected)' : ''}: ${listed.join(', ')}\n`;
+  }
+  return output;
 }
 
+/**
+ * Format results as structured JSON for Claude to parse.  The relevance score and matches of search
+ * results (see filterMaps()) are included as score and matches, so that the ranking can be explained.
+ * @param {Array<Object>} maps - Array of map entries
+ * @param {Object} options
+ * @param {Object} options.facets - Facet counts
+ * @param {Object} options.summary - Fields describing the results, e.g. {total, offset, nextCursor}
+ * @returns {string} JSON string: the list of results, or {...summary, results, facets} if facets or a
+ *          summary are given, with the most frequent values of each facet
+ */
+export function formatSearchResultsJSON(maps, { facets, summary } = {}) {
+  const results = maps.map(({ _score, _matches, ...map }) => (
+    _score === undefined ? map : { ...map, score: Math.round(_score * 1000) / 1000, matches: _matches }
+  ));
+  if (!facets && !summary) {
+    return JSON.stringify(results, null, 2);
+  }
+
+  const output = { ...summary, results };
+  if (facets) {
+    output.facets = Object.fromEntries(Object.entries(facets).map(([facet, values]) => [facet, values.slice(0, MAX_FACET_VALUES_JSON)]));
+  }
+  return JSON.stringify(output, null, 2);
+}
@@ -0,0 +1,98 @@
+/**
+ * Search Facets Module
+ *
+ * Counts of the values of a few metadata fields (facets) in a set of search results, so that a search
+ * can be narrowed down ("47 maps: 30 hg38, 17 mm10"), and selection of facet values.  Selecting values
+ * keeps the results with one of them, exactly as counted; values of a facet are alternatives, and the
+ * selections of different facets must all match.
+ */
+
+// Facet name to the metadata fields it counts, the first one set
+const FACETS = {
+  Assembly: ['Assembly'],
+  Biosource: ['Biosource', 'Biosample'],
+  Lab: ['Lab'],
+  Assay: ['Assay'],
+  Experiment: ['Experiment'],
+  Species: ['_species'],
+  Category: ['_cellTypeCategory']
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+/**
+ * Value of a facet in a map
+ * @returns {string|null} null if the map has no value
+ */
+function facetValue(map, facet) {
+  for (const field of FACETS[facet]) {
+    const value = map.metadata?.[field];
+    if (value !== null && value !== undefined && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the facet names of selections, ignoring case
+ * @param {Object} selections - Facet name to a value or list of values
+ * @returns {Array<[string, Set<string>]>} Facet names and the selected values, in lower case
+ * @throws {Error} If a facet is unknown
+ */
+function resolveSelections(selections) {
+  return Object.entries(selections || {}).map(([name, values]) => {
+    const facet = FACET_NAMES.find(facetName => facetName.toLowerCase() === name.toLowerCase());
+    if (!facet) {
+      throw new Error(`Unknown facet "${name}". Facets: ${FACET_NAMES.join(', ')}`);
+    }
+    return [facet, new Set([].concat(values).map(value => String(value).trim().toLowerCase()))];
+  });
+}
+
+function matchesSelections(map, selections, except = null) {
+  return selections.every(([facet, values]) => facet === except || values.has((facetValue(map, facet) || '').toLowerCase()));
+}
+
+/**
+ * Keep the maps with the selected facet values
+ * @param {Array<Object>} maps
+ * @param {Object} selections - Facet name to a value or list of values, e.g. {Assembly: "hg38", Lab: ["A", "B"]}
+ * @returns {Array<Object>} Maps matching all selections, in their order
+ * @throws {Error} If a facet is unknown
+ */
+export function selectFacets(maps, selections) {
+  const resolved = resolveSelections(selections);
+  return resolved.length === 0 ? maps : maps.filter(map => matchesSelections(map, resolved));
+}
+
+/**
+ * Count the values of each facet.  A facet with a selection is counted over the maps matching the other
+ * selections, so that its other values are still offered as alternatives.
+ *
+ * @param {Array<Object>} maps - Maps to count, before selectFacets()
+ * @param {Object} selections - Selections, as in selectFacets()
+ * @returns {Object} Facet name to [{value, count}], most frequent first; facets without values are left out
+ */
+export function countFacets(maps, selections = {}) {
+  const resolved = resolveSelections(selections);
+  const facets = {};
+
+  for (const facet of FACET_NAMES) {
+    const counts = new Map();
+    for (const map of maps) {
+      if (!matchesSelections(map, resolved, facet)) continue;
+      const value = facetValue(map, facet);
+      if (value !== null) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    if (counts.size > 0) {
+      facets[facet] = [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+  }
+
+  return facets;
+}
@@ -0,0 +1,289 @@
+/**
+ * Search Index Module
+ *
+ * Inverted index over the maps of a data source, built when the catalog is loaded, for ranking search
+ * terms with BM25F: BM25 over several fields, each with a weight, so that a term in a map's name or
+ * biosource counts more than one in its URL.  Misspelled terms are matched through a trigram index of the
+ * vocabulary, and terms of 3 or more characters also match as prefixes ("embryo" finds "embryonic").
+ */
+
+// BM25 parameters: term frequency saturation and field length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Weights of fields (lower case); other metadata columns have weight 1
+const FIELD_WEIGHTS = {
+  name: 3,
+  biosource: 2.5,
+  biosample: 2.5,
+  assembly: 2,
+  description: 1.5,
+  dataset: 1.5,
+  lab: 1.5,
+  url: 0.5
+};
+
+// Weights of terms matched as a prefix of an indexed term, or within a small edit distance of one
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Edit distance
+ */
+function levenshteinDistance(str1, str2) {
+  const len1 = str1.length;
+  const len2 = str2.length;
+
+  let previous = Array.from({ length: len2 + 1 }, (_, j) => j);
+  for (let i = 1; i <= len1; i++) {
+    const current = [i];
+    for (let j = 1; j <= len2; j++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,       // deletion
+        current[j - 1] + 1,    // insertion
+        previous[j - 1] + cost // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[len2];
+}
+
+/**
+ * Split text into lower case terms on anything but letters and digits.  Words joined by punctuation are
+ * also indexed whole, without it, so "K-562" and "HeLa-S3" match "k562" and "helas3".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text ?? '').toLowerCase().split(/\s+/)) {
+    const parts = word.split(/[^\p{L}\p{N}]+/u).filter(part => part.length > 0);
+    tokens.push(...parts);
+    if (parts.length > 1) {
+      tokens.push(parts.join(''));
+    }
+  }
+  return tokens;
+}
+
+function trigrams(term) {
+  const padded = `  ${term} `;
+  const result = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    result.add(padded.substring(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Fields of a map that are searched: name, URL and the metadata columns (not the computed "_" fields)
+ * @returns {Array<[string, string]>} [field, text] pairs
+ */
+function searchableFields(map) {
+  const fields = [['name', map.name], ['url', map.url]];
+  for (const [key, value] of Object.entries(map.metadata || {})) {
+    if (!key.startsWith('_') && value !== null && value !== undefined && value !== '') {
+      fields.push([key, String(value)]);
+    }
+  }
+  return fields;
+}
+
+class SearchIndex {
+
+  /**
+   * @param {Array<Object>} maps - Map entries
+   */
+  constructor(maps) {
+    this.maps = maps;
+    this.docIds = new Map(maps.map((map, id) => [map, id]));
+    // term -> Map(docId -> Map(field -> term frequency))
+    this.postings = new Map();
+    // docId -> Map(field -> {text, length})
+    this.fields = [];
+    const totalLengths = new Map();
+
+    maps.forEach((map, id) => {
+      const docFields = new Map();
+      for (const [field, text] of searchableFields(map)) {
+        const tokens = tokenize(text);
+        docFields.set(field, { text: text.toLowerCase(), length: tokens.length });
+        totalLengths.set(field, (totalLengths.get(field) || 0) + tokens.length);
+
+        for (const token of tokens) {
+          let docs = this.postings.get(token);
+          if (!docs) {
+            docs = new Map();
+            this.postings.set(token, docs);
+          }
+          let frequencies = docs.get(id);
+          if (!frequencies) {
+            frequencies = new Map();
+            docs.set(id, frequencies);
+          }
+          frequencies.set(field, (frequencies.get(field) || 0) + 1);
+        }
+      }
+      this.fields.push(docFields);
+    });
+
+    this.averageLengths = new Map([...totalLengths].map(([field, total]) => [field, total / Math.max(1, maps.length)]));
+    this.vocabulary = [...this.postings.keys()].sort();
+    this.trigrams = new Map();
+    for (const term of this.vocabulary) {
+      for (const trigram of trigrams(term)) {
+        if (!this.trigrams.has(trigram)) {
+          this.trigrams.set(trigram, []);
+        }
+        this.trigrams.get(trigram).push(term);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} map
+   * @returns {boolean} True if the map is in the index
+   */
+  has(map) {
+    return this.docIds.has(map);
+  }
+
+  /**
+   * Score the maps matching a word or phrase.
+   *
+   * A word matches indexed terms that are equal, that it is a prefix of, or (if nothing else matches and
+   * fuzzy is set) that are within 1 edit (2 for words of 6 or more characters).  A phrase matches maps
+   * with the phrase in one field.
+   *
+   * @param {string} text - Word or phrase
+   * @param {Object} options
+   * @param {boolean} options.fuzzy - Match misspelled words
+   * @returns {Map<Object, {score: number, term: string, type: string, fields: string[]}>} Map entry to its
+   *          best match: the indexed term or phrase, the match type ("exact", "prefix", "fuzzy") and fields
+   */
+  search(text, { fuzzy = true } = {}) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+      return new Map();
+    }
+    if (tokens.length > 1 && /\s/.test(text.trim())) {
+      return this._searchPhrase(text, tokens);
+    }
+
+    // A word with punctuation ("k-562") is indexed whole, without it
+    const word = tokens.length > 1 ? tokens[tokens.length - 1] : tokens[0];
+    const candidates = this._expandWord(word, fuzzy);
+
+    const results = new Map();
+    for (const { term, type, weight } of candidates) {
+      for (const [id, frequencies] of this.postings.get(term)) {
+        const score = this._score(term, id, frequencies) * weight;
+        const map = this.maps[id];
+        const best = results.get(map);
+        if (!best || score > best.score) {
+          results.set(map, { score, term, type, fields: [...frequencies.keys()] });
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Indexed terms a word matches, with their weights
+   */
+  _expandWord(word, fuzzy) {
+    const candidates = [];
+    if (this.postings.has(word)) {
+      candidates.push({ term: word, type: 'exact', weight: 1 });
+    }
+
+    if (word.length >= MIN_PREFIX_LENGTH) {
+      // The vocabulary is sorted, so terms with the prefix follow the first one found
+      let low = 0;
+      let high = this.vocabulary.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.vocabulary[mid] < word) low = mid + 1;
+        else high = mid;
+      }
+      for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(word); i++) {
+        if (this.vocabulary[i] !== word) {
+          // Shorter completions are closer to what was typed
+          const weight = PREFIX_WEIGHT * word.length / this.vocabulary[i].length;
+          candidates.push({ term: this.vocabulary[i], type: 'prefix', weight });
+        }
+      }
+    }
+
+    if (fuzzy && candidates.length === 0 && word.length >= MIN_FUZZY_LENGTH) {
+      const maxDistance = word.length < 6 ? 1 : 2;
+      const shared = new Map();
+      for (const trigram of trigrams(word)) {
+        for (const term of this.trigrams.get(trigram) || []) {
+          shared.set(term, (shared.get(term) || 0) + 1);
+        }
+      }
+      for (const term of shared.keys()) {
+        if (Math.abs(term.length - word.length) > maxDistance) continue;
+        const distance = levenshteinDistance(word, term);
+        if (distance <= maxDistance) {
+          candidates.push({ term, type: 'fuzzy', weight: FUZZY_WEIGHT * (1 - distance / Math.max(word.length, term.length)) });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Maps containing all words of a phrase, and the phrase itself in a field
+   */
+  _searchPhrase(text, tokens) {
+    const phrase = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const words = [...new Set(tokens)].filter(token => this.postings.has(token));
+    if (words.length < new Set(tokens).size) {
+      return new Map();
+    }
+
+    // Candidates from the rarest word
+    words.sort((a, b) => this.postings.get(a).size - this.postings.get(b).size);
+    const results = new Map();
+    for (const id of this.postings.get(words[0]).keys()) {
+      const fields = [...this.fields[id]]
+        .filter(([, { text }]) => text.replace(/\s+/g, ' ').includes(phrase))
+        .map(([field]) => field);
+      if (fields.length === 0) continue;
+
+      const score = words.reduce((sum, word) => sum + this._score(word, id, this.postings.get(word).get(id)), 0);
+      results.set(this.maps[id], { score, term: phrase, type: 'exact', fields });
+    }
+    return results;
+  }
+
+  /**
+   * BM25F score of an indexed term in a map
+   */
+  _score(term, id, frequencies) {
+    const documentFrequency = this.postings.get(term).size;
+    const idf = Math.log(1 + (this.maps.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+    let weightedFrequency = 0;
+    for (const [field, frequency] of frequencies) {
+      const length = this.fields[id].get(field).length;
+      const averageLength = this.averageLengths.get(field) || 1;
+      const weight = FIELD_WEIGHTS[field.toLowerCase()] ?? 1;
+      weightedFrequency += weight * frequency / (1 - B + B * length / averageLength);
+    }
+    return idf * weightedFrequency / (K1 + weightedFrequency);
+  }
+}
+
+export { SearchIndex, levenshteinDistance };
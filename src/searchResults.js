@@ -0,0 +1,125 @@
+/**
+ * Search Results Module
+ *
+ * The search results of each MCP session, so that a result can be referred to later by its handle, or by
+ * its number in the last search, instead of by URL.  A handle is the data source and the accession of
+ * the map ("4dn:4DNFIA4WRRBI", "encode:ENCFF355OWW"), or its file name (path for the local source) if the
+ * catalog has no accessions, so it stays the same across searches and sessions.
+ *
+ * Pages of search results are requested with a cursor, which holds the search and the position of the
+ * next page, so that the next page can be fetched without repeating the search parameters.
+ */
+
+import { basename } from 'node:path';
+
+// Results remembered per session; the oldest are forgotten first
+const MAX_RESULTS_PER_SESSION = 5000;
+
+/**
+ * Handle of a map from a search
+ * @param {Object} map - Map entry
+ * @returns {string} Source and accession, e.g. "4dn:4DNFIA4WRRBI"
+ */
+export function resultHandle(map) {
+  const accession = map.metadata?.Accession || map.metadata?.accession;
+  if (accession) {
+    return `${map.source}:${String(accession).trim()}`;
+  }
+
+  const file = basename(map.url.split('?')[0]).replace(/\.hic$/i, '');
+  const directory = map.metadata?.Directory;
+  return `${map.source}:${map.source === 'local' && directory && directory !== '.' ? `${directory}/${file}` : file}`;
+}
+
+/**
+ * Cursor for a page of a search
+ * @param {Object} search - Parameters of the search, with the offset of the page
+ * @returns {string} Opaque cursor
+ */
+export function encodeSearchCursor(search) {
+  return Buffer.from(JSON.stringify(search)).toString('base64url');
+}
+
+/**
+ * Parameters of the search of a cursor
+ * @param {string} cursor - From encodeSearchCursor()
+ * @returns {Object} Search parameters, with the offset of the page
+ * @throws {Error} If the cursor is not valid
+ */
+export function decodeSearchCursor(cursor) {
+  let search = null;
+  try {
+    search = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    // Reported below
+  }
+  if (!search || typeof search !== 'object' || !Number.isInteger(search.offset) || search.offset < 0) {
+    throw new Error('Invalid cursor. Use the cursor of the previous page of search_maps results as it was given');
+  }
+  return search;
+}
+
+class SearchResultSets {
+
+  constructor(maxResults = MAX_RESULTS_PER_SESSION) {
+    this.maxResults = maxResults;
+    // sessionId -> {results: Map(handle -> map), last: handles of the last search, by number}
+    this.sessions = new Map();
+  }
+
+  /**
+   * Remember the results of a search
+   * @param {string} sessionId
+   * @param {Array<Object>} maps - Results, in the order they were numbered
+   * @param {number} first - Number of the first result (1 unless the results are a later page)
+   * @returns {Array<Object>} The maps with their handle
+   */
+  add(sessionId, maps, first = 1) {
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = { results: new Map(), last: [] };
+      this.sessions.set(sessionId, session);
+    }
+
+    const handled = maps.map(map => ({ ...map, handle: resultHandle(map) }));
+    session.last = [];
+    handled.forEach((map, i) => {
+      // Re-inserting moves the result to the end, so that recently listed results are kept longest
+      session.results.delete(map.handle);
+      session.results.set(map.handle, map);
+      session.last[first + i] = map.handle;
+    });
+
+    for (const handle of session.results.keys()) {
+      if (session.results.size <= this.maxResults) break;
+      session.results.delete(handle);
+    }
+    return handled;
+  }
+
+  /**
+   * Find a result of a session
+   * @param {string} sessionId
+   * @param {string|number} reference - Handle, or number of the result in the last search
+   * @returns {Object|null} The map, with its handle; null if the session has no such result
+   */
+  get(sessionId, reference) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    const number = typeof reference === 'number' ? reference : /^\s*\d+\s*$/.test(reference) ? Number(reference) : null;
+    const handle = number !== null ? session.last[number] : reference.trim();
+    return session.results.get(handle) || null;
+  }
+
+  /**
+   * Forget the results of a session, e.g. when it is closed
+   * @param {string} sessionId
+   */
+  delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+export { SearchResultSets };
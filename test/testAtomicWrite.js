@@ -0,0 +1,26 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, readdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { writeFileAtomic } from "../src/atomicWrite.js"
+
+describe("atomic write", function () {
+
+    let dir
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'atomic-write-'))
+    })
+
+    afterEach(function () {
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Concurrent writes of a file leave one of them and no temporary files", async function () {
+        const path = join(dir, 'nested', 'file.json')
+        const contents = ['{"a": 1}', '{"b": 2}', '{"c": 3}']
+        await Promise.all(contents.map(data => writeFileAtomic(path, data)))
+        expect(contents).toContain(readFileSync(path, 'utf8'))
+        expect(readdirSync(join(dir, 'nested'))).toEqual(['file.json'])
+    })
+})
@@ -0,0 +1,66 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BookmarkStore } from "../src/bookmarkStore.js"
+
+describe("bookmark store", function () {
+
+    let dir
+    let store
+
+    const bookmark = (name, x = 0) => ({
+        name,
+        map: {url: 'https://example.org/map.hic', name: 'map.hic'},
+        controlMap: null,
+        state: {chr1: 1, chr2: 1, zoom: 4, x, y: x, pixelSize: 1, normalization: 'KR'},
+        locus: 'chr1:1-1000000 chr1:1-1000000'
+    })
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'bookmarks-'))
+        store = new BookmarkStore(join(dir, 'nested', 'bookmarks.json'))
+    })
+
+    afterEach(function () {
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Bookmarks persist to the file", async function () {
+        expect(await store.list()).toEqual([])
+
+        await store.save(bookmark('MYC enhancer'))
+        await store.save(bookmark('HOXA cluster'))
+
+        const reopened = new BookmarkStore(store.filePath)
+        expect((await reopened.list()).map(b => b.name)).toEqual(['MYC enhancer', 'HOXA cluster'])
+        expect(JSON.parse(readFileSync(store.filePath, 'utf8')).version).toBe(1)
+    })
+
+    test("Names are matched ignoring case", async function () {
+        await store.save(bookmark('MYC enhancer', 10))
+        expect((await store.get('myc ENHANCER')).state.x).toBe(10)
+
+        await expect(store.save(bookmark('myc enhancer', 20))).rejects.toThrow('already exists')
+
+        const {replaced} = await store.save(bookmark('myc enhancer', 20), true)
+        expect(replaced).toBe(true)
+        expect((await store.list()).length).toBe(1)
+        expect((await store.get('MYC enhancer')).state.x).toBe(20)
+    })
+
+    test("Delete", async function () {
+        await store.save(bookmark('MYC enhancer'))
+        expect((await store.delete('myc enhancer')).name).toBe('MYC enhancer')
+        expect(await store.list()).toEqual([])
+        await expect(store.delete('MYC enhancer')).rejects.toThrow('No bookmark')
+    })
+
+    test("A corrupt file is reported with its path", async function () {
+        mkdirSync(join(dir, 'nested'))
+        writeFileSync(store.filePath, '{"bookmarks": [')
+        await expect(store.list()).rejects.toThrow(`Invalid bookmarks file ${store.filePath}:`)
+        await expect(store.save(bookmark('MYC enhancer'))).rejects.toThrow('Invalid bookmarks file')
+        expect(readFileSync(store.filePath, 'utf8')).toBe('{"bookmarks": [')
+    })
+})
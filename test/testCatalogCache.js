@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { registerDataSource } from "../src/dataSourceConfigs.js"
+import { parseDataSource, refreshDataSource, getCatalogStatus, configureCatalogs, clearCache } from "../src/dataParsers.js"
+
+describe("catalog cache", function () {
+
+    let server
+    let catalog
+    let requests
+    let dir
+
+    beforeAll(async function () {
+        server = createServer((req, res) => {
+            requests.push(req.headers)
+            if (catalog === null) {
+                res.writeHead(503)
+                return res.end()
+            }
+            const etag = `"${catalog.length}"`
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304)
+                return res.end()
+            }
+            res.writeHead(200, {ETag: etag})
+            res.end(catalog)
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        registerDataSource({id: 'lab', url: `http://127.0.0.1:${server.address().port}/maps.tsv`, nameColumn: 'Name'})
+    })
+
+    afterAll(async function () {
+        await new Promise(resolve => server.close(resolve))
+    })
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'catalog-cache-'))
+        catalog = 'url\tName\nhttps://example.org/a.hic\tA\nhttps://example.org/b.hic\tB\n'
+        requests = []
+        configureCatalogs({cacheDirectory: dir})
+        clearCache()
+    })
+
+    afterEach(function () {
+        configureCatalogs()
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Catalogs are read from disk after a restart", async function () {
+        expect((await parseDataSource('lab')).length).toBe(2)
+        expect(getCatalogStatus('lab').status).toBe('fetched')
+
+        // A restart loses the memory cache
+        clearCache()
+        expect((await parseDataSource('lab')).length).toBe(2)
+        expect(getCatalogStatus('lab').status).toBe('cached')
+        expect(requests.length).toBe(1)
+    })
+
+    test("Expired catalogs are revalidated", async function () {
+        configureCatalogs({cacheDirectory: dir, ttl: 0})
+        await parseDataSource('lab')
+        clearCache()
+        await parseDataSource('lab')
+
+        expect(requests[1]['if-none-match']).toBe(`"${catalog.length}"`)
+        expect(getCatalogStatus('lab').status).toBe('not-modified')
+    })
+
+    test("The last good copy is used when the catalog can't be fetched", async function () {
+        await parseDataSource('lab')
+        catalog = null
+        clearCache()
+        configureCatalogs({cacheDirectory: dir, ttl: 0})
+
+        expect((await parseDataSource('lab')).map(map => map.name)).toEqual(['A', 'B'])
+        expect(getCatalogStatus('lab')).toMatchObject({status: 'stale', error: expect.stringContaining('503')})
+
+        // Offline, cached copies are used without fetching
+        configureCatalogs({cacheDirectory: dir, offline: true})
+        clearCache()
+        requests = []
+        expect((await parseDataSource('lab')).length).toBe(2)
+        expect(requests.length).toBe(0)
+    })
+
+    test("Refreshing reports added and removed maps", async function () {
+        let result = await refreshDataSource('lab')
+        expect(result).toMatchObject({status: 'fetched', maps: 2, previous: null, added: [], removed: []})
+
+        catalog = 'url\tName\nhttps://example.org/b.hic\tB\nhttps://example.org/c.hic\tC\nhttps://example.org/d.hic\tD\n'
+        clearCache() // The previous copy is read from disk
+        result = await refreshDataSource('lab')
+        expect(result).toMatchObject({status: 'fetched', maps: 3, previous: 2})
+        expect(result.added.map(map => map.name)).toEqual(['C', 'D'])
+        expect(result.removed.map(map => map.name)).toEqual(['A'])
+
+        result = await refreshDataSource('lab')
+        expect(result).toMatchObject({status: 'not-modified', added: [], removed: []})
+        expect((await parseDataSource('lab')).length).toBe(3)
+    })
+})
@@ -0,0 +1,69 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { CommandChannel, commandReply } from "../src/commandChannel.js"
+
+describe("command channel", function () {
+
+    afterEach(function () {
+        vi.useRealTimers()
+    })
+
+    const channel = (deliver = () => true) => {
+        let count = 0
+        const sent = []
+        const commandChannel = new CommandChannel(command => {
+            sent.push(command)
+            return deliver(command)
+        }, () => `request-${++count}`, 1000)
+        return {commandChannel, sent}
+    }
+
+    test("A command resolves with the result the browser replies with", async function () {
+        const {commandChannel, sent} = channel()
+        const promise = commandChannel.send({type: 'zoomIn', panel: 1})
+        expect(sent).toEqual([{type: 'zoomIn', panel: 1, requestId: 'request-1'}])
+
+        expect(commandChannel.handleReply({type: 'commandResult', requestId: 'request-1', result: {zoom: 3}})).toBe(true)
+        await expect(promise).resolves.toEqual({zoom: 3})
+        expect(commandChannel.pending.size).toBe(0)
+        expect(commandChannel.handleReply({type: 'commandResult', requestId: 'request-1'})).toBe(false)
+    })
+
+    test("A command rejects with the error raised in the browser", async function () {
+        const {commandChannel} = channel()
+        const promise = commandChannel.send({type: 'gotoLocus', locus: 'nowhere'})
+        commandChannel.handleReply({type: 'commandError', requestId: 'request-1', error: 'No feature found with name nowhere'})
+        await expect(promise).rejects.toThrow('No feature found with name nowhere')
+
+        const unexplained = commandChannel.send({type: 'gotoLocus'})
+        commandChannel.handleReply({type: 'commandError', requestId: 'request-2'})
+        await expect(unexplained).rejects.toThrow('Command failed in browser')
+    })
+
+    test("A command times out without a reply", async function () {
+        vi.useFakeTimers()
+        const {commandChannel} = channel()
+        const promise = commandChannel.send({type: 'captureView'}, 500)
+        vi.advanceTimersByTime(500)
+        await expect(promise).rejects.toThrow('Timed out after 500ms waiting for the browser to complete captureView')
+
+        // A late reply is ignored
+        expect(commandChannel.handleReply({type: 'commandResult', requestId: 'request-1'})).toBe(false)
+        expect(commandChannel.pending.size).toBe(0)
+    })
+
+    test("A command fails at once without a browser", async function () {
+        const {commandChannel} = channel(() => false)
+        await expect(commandChannel.send({type: 'zoomIn'})).rejects.toThrow('No active browser connection found')
+        expect(commandChannel.pending.size).toBe(0)
+    })
+
+    test("Replies", function () {
+        expect(commandReply({type: 'zoomIn', requestId: 'r'}, {result: {zoom: 3}}))
+            .toEqual({type: 'commandResult', requestId: 'r', result: {zoom: 3}})
+        expect(commandReply({type: 'zoomIn', requestId: 'r'}, {result: undefined}))
+            .toEqual({type: 'commandResult', requestId: 'r', result: null})
+        expect(commandReply({type: 'zoomIn', requestId: 'r'}, {error: 'No map loaded'}))
+            .toEqual({type: 'commandError', requestId: 'r', error: 'No map loaded'})
+        expect(commandReply({type: 'toolCall', toolName: 'zoom_in'}, {result: undefined})).toBeNull()
+    })
+})
@@ -0,0 +1,118 @@
+import { describe, test, expect } from 'vitest';
+import {chooseResolution, binRange, accumulateRecords, toDenseMatrix, toSparseMatrix, extractContactMatrix} from "../js/contactMatrixData.js"
+
+describe("contact matrix data", function () {
+
+    const binSizes = [2500000, 1000000, 500000, 250000, 100000, 50000, 25000, 10000, 5000]
+
+    test("Resolution is kept when the region fits", function () {
+        expect(chooseResolution(binSizes, 10000, 1000000, 1000000, 100)).toEqual({binSize: 10000, factor: 1})
+    })
+
+    test("Coarser resolution is chosen for large regions", function () {
+        // 2 Mb at 10 kb is 200 bins; 25 kb gives 80
+        expect(chooseResolution(binSizes, 10000, 2000000, 500000, 100)).toEqual({binSize: 25000, factor: 1})
+    })
+
+    test("Downsampling factor when no resolution fits", function () {
+        // 500 Mb at 2.5 Mb is 200 bins
+        expect(chooseResolution(binSizes, 5000, 500000000, 500000000, 100)).toEqual({binSize: 2500000, factor: 2})
+    })
+
+    test("Bin range is expanded to whole bins", function () {
+        expect(binRange(15000, 31000, 10000)).toEqual({startBin: 1, endBin: 4, start: 10000, end: 40000})
+    })
+
+    test("Intra-chromosomal records are mirrored", function () {
+        const records = [
+            {bin1: 0, bin2: 0, counts: 5},
+            {bin1: 0, bin2: 2, counts: 3},
+            {bin1: 1, bin2: 2, counts: 1}
+        ]
+        const bins = {startBin: 0, endBin: 3}
+        const cells = accumulateRecords(records, bins, bins, {sameChr: true})
+        expect(toDenseMatrix(cells, 3, 3)).toEqual([
+            [5, 0, 3],
+            [0, 0, 1],
+            [3, 1, 0]
+        ])
+    })
+
+    test("Transposed inter-chromosomal records", function () {
+        // Records for chr2 (rows) x chr1 (columns) are stored as (chr1 bin, chr2 bin)
+        const records = [{bin1: 10, bin2: 0, counts: 7}]
+        const cells = accumulateRecords(records, {startBin: 0, endBin: 2}, {startBin: 10, endBin: 12}, {transposed: true})
+        expect(toDenseMatrix(cells, 2, 2)).toEqual([
+            [7, 0],
+            [0, 0]
+        ])
+    })
+
+    test("Downsampled bins are summed", function () {
+        const records = [
+            {bin1: 0, bin2: 0, counts: 1},
+            {bin1: 0, bin2: 1, counts: 2},
+            {bin1: 1, bin2: 1, counts: 3},
+            {bin1: 2, bin2: 3, counts: 4}
+        ]
+        const bins = {startBin: 0, endBin: 4}
+        const cells = accumulateRecords(records, bins, bins, {sameChr: true, factor: 2})
+        expect(toDenseMatrix(cells, 2, 2)).toEqual([
+            [8, 0],
+            [0, 8]
+        ])
+    })
+
+    test("Sparse matrix keeps the largest values", function () {
+        const records = [
+            {bin1: 0, bin2: 0, counts: 1.5},
+            {bin1: 0, bin2: 1, counts: 4.25},
+            {bin1: 1, bin2: 1, counts: 3}
+        ]
+        const rawRecords = [
+            {bin1: 0, bin2: 0, counts: 2},
+            {bin1: 0, bin2: 1, counts: 5},
+            {bin1: 1, bin2: 1, counts: 4}
+        ]
+        const bins = {startBin: 0, endBin: 2}
+        const cells = accumulateRecords(records, bins, bins)
+        const countCells = accumulateRecords(rawRecords, bins, bins)
+
+        const {records: sparse, truncated} = toSparseMatrix(cells, 2, countCells)
+        expect(truncated).toBe(true)
+        expect(sparse).toEqual([
+            [0, 1, 4.25, 5],
+            [1, 1, 3, 4]
+        ])
+    })
+
+    test("Contact matrix of a map and its control", async function () {
+        // Stand-in for Dataset: every bin pair on chr1 at 10 kb has the same count
+        const dataset = (name, counts, normalizations = []) => ({
+            name,
+            getChrIndexFromName: chr => ({chr1: 1, chr2: 2})[chr],
+            hasNormalizationVector: async (type) => normalizations.includes(type),
+            getContactRecords: async (normalization, region1) => {
+                const records = []
+                for (let bin1 = region1.start / 10000; bin1 < region1.end / 10000; bin1++) {
+                    for (let bin2 = bin1; bin2 < region1.end / 10000; bin2++) {
+                        records.push({bin1, bin2, counts: normalization === 'NONE' ? counts : counts / 2})
+                    }
+                }
+                return records
+            }
+        })
+        const locus = {chr: "chr1", start: 0, end: 20000}
+        const maps = {A: dataset("a.hic", 4, ["KR"]), B: dataset("b.hic", 2)}
+
+        const result = await extractContactMatrix(maps, locus, locus, {binSizes: [10000], resolution: 10000})
+        expect(result.rows).toBe(2)
+        expect(result.maps.A.values).toEqual([[4, 4], [4, 4]])
+        expect(result.maps.B.total).toBe(8)
+
+        await expect(extractContactMatrix(maps, locus, locus, {binSizes: [10000], resolution: 10000, normalization: "KR"}))
+            .rejects.toThrow("Normalization KR is not available for chr1 at 10000 bp in b.hic")
+        await expect(extractContactMatrix(maps, locus, locus, {binSizes: [10000], resolution: 5000}))
+            .rejects.toThrow("Resolution 5000 is not available")
+    })
+})
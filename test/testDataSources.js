@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { validateDataSource, registerDataSource, getAllSourceIds } from "../src/dataSourceConfigs.js"
+import { readCatalog, parseDataSource } from "../src/dataParsers.js"
+import { DataSourceStore } from "../src/dataSourceStore.js"
+
+const catalogs = {
+    '/maps.csv': 'Sample,File URL,Assembly,Notes\n' +
+        '# comment\n' +
+        'GM12878,/hic/gm.hic,hg38,"in situ, MboI"\n' +
+        '"Quoted ""name""",https://other.org/q.hic,mm10,"two\nlines"\n' +
+        'No URL,,hg19,\n',
+    '/maps.jsonl': '{"url": "https://example.org/a.hic", "title": "A", "Assembly": "hg38", "Labs": ["X", "Y"]}\n' +
+        '\n' +
+        '{"url": "https://example.org/b.hic", "Assembly": "mm10"}\n'
+}
+
+describe("user-defined data sources", function () {
+
+    let server
+    let baseUrl
+
+    beforeAll(async function () {
+        server = createServer((req, res) => {
+            const body = catalogs[req.url]
+            res.writeHead(body ? 200 : 404)
+            res.end(body)
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterAll(async function () {
+        await new Promise(resolve => server.close(resolve))
+    })
+
+    test("Configurations are validated", function () {
+        expect(validateDataSource({id: 'My-Consortium', url: 'https://example.org/maps.tsv'})).toEqual({
+            id: 'my-consortium',
+            name: 'my-consortium',
+            description: 'my-consortium Hi-C contact maps',
+            url: 'https://example.org/maps.tsv',
+            parserType: 'tsv',
+            urlColumn: 0
+        })
+        expect(validateDataSource({id: 'x', url: 'https://example.org/maps.jsonl', parserType: 'jsonl'}).urlColumn).toBe('url')
+
+        expect(() => validateDataSource({id: 'encode', url: 'https://example.org/maps.tsv'})).toThrow('id: "encode" is reserved')
+        expect(() => validateDataSource({id: 'x', url: 'ftp://example.org/maps.tsv', parserType: 'xml', urlColumn: 1.5}))
+            .toThrow('Invalid data source "x": url: Expected an http(s) URL of the catalog file; parserType: Expected one of tsv, csv, jsonl; urlColumn: Expected a column name or index')
+        expect(() => validateDataSource({id: 'x', url: 'https://example.org/maps.jsonl', parserType: 'jsonl', urlColumn: 0}))
+            .toThrow('urlColumn: Expected a property name')
+    })
+
+    test("CSV catalogs", async function () {
+        const maps = await readCatalog(validateDataSource({
+            id: 'csv', url: `${baseUrl}/maps.csv`, parserType: 'csv',
+            urlColumn: 'File URL', urlPrefix: 'https://data.example.org', nameColumn: 'Sample'
+        }))
+
+        expect(maps.length).toBe(2)
+        expect(maps[0]).toMatchObject({
+            url: 'https://data.example.org/hic/gm.hic', name: 'GM12878', source: 'csv',
+            metadata: {Sample: 'GM12878', Assembly: 'hg38', Notes: 'in situ, MboI'}
+        })
+        expect(maps[0].metadata['File URL']).toBeUndefined()
+        expect(maps[1]).toMatchObject({url: 'https://other.org/q.hic', name: 'Quoted "name"', metadata: {Notes: 'two\nlines'}})
+    })
+
+    test("JSON Lines catalogs", async function () {
+        const maps = await readCatalog(validateDataSource({
+            id: 'jsonl', url: `${baseUrl}/maps.jsonl`, parserType: 'jsonl', nameColumn: 'title', columns: ['Assembly', 'Labs']
+        }))
+
+        expect(maps.map(map => map.name)).toEqual(['A', 'b.hic'])
+        expect(maps[0].metadata).toMatchObject({Assembly: 'hg38', Labs: 'X, Y'})
+        expect(maps[1].metadata).toMatchObject({Assembly: 'mm10', Labs: ''})
+        expect(maps[1].metadata._normalizedAssembly).toBe('GRCm38')
+    })
+
+    test("Registered sources are searchable", async function () {
+        registerDataSource({id: 'consortium', url: `${baseUrl}/maps.csv`, parserType: 'csv', urlColumn: 1})
+        expect(getAllSourceIds()).toContain('consortium')
+        const maps = await parseDataSource('consortium', false)
+        expect(maps.map(map => map.name)).toEqual(['gm.hic', 'q.hic'])
+    })
+
+    test("Data sources are saved in the config file", async function () {
+        const dir = mkdtempSync(join(tmpdir(), 'data-sources-'))
+        try {
+            const file = join(dir, 'config.json')
+            writeFileSync(file, JSON.stringify({other: 'setting'}))
+            const store = new DataSourceStore(file)
+            const dataSource = validateDataSource({id: 'x', url: 'https://example.org/maps.tsv'})
+
+            expect(await store.save(dataSource)).toEqual({dataSource, replaced: false})
+            await expect(store.save(dataSource)).rejects.toThrow('already exists')
+            expect((await store.save({...dataSource, name: 'X'}, true)).replaced).toBe(true)
+
+            expect(await store.list()).toEqual([{...dataSource, name: 'X'}])
+            expect(JSON.parse(readFileSync(file, 'utf8')).other).toBe('setting')
+            expect(await new DataSourceStore(join(dir, 'missing.json')).list()).toEqual([])
+        } finally {
+            rmSync(dir, {recursive: true, force: true})
+        }
+    })
+})
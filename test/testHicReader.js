@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { HicReader } from "../src/hicReader.js"
+
+// hic-straw logs with console.log while reading a file
+vi.mock('hic-straw/src/straw.js', () => ({
+    default: class {
+        constructor(config) {
+            this.hicFile = {
+                version: 8,
+                genomeId: 'hg38',
+                chromosomes: [{index: 0, name: 'All', size: 10}, {index: 1, name: 'chr1', size: 1000}],
+                bpResolutions: [100],
+                init: async () => console.log(`Reading ${config.url}`),
+                getNormalizationOptions: async () => {
+                    console.log('Normalization vectors not present in this file')
+                    return ['NONE']
+                }
+            }
+        }
+    }
+}))
+import { LocalFiles } from "../src/localFiles.js"
+
+describe("hic reader", function () {
+
+    let dir
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'hic-reader-'))
+        mkdirSync(join(dir, 'data'))
+        writeFileSync(join(dir, 'outside.hic'), 'HIC')
+    })
+
+    afterEach(function () {
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Local maps outside the file roots are not read", async function () {
+        const reader = new HicReader(new LocalFiles([join(dir, 'data')], 'http://localhost:3010'))
+        const path = join(dir, 'outside.hic')
+        await expect(reader.readHeader(path)).rejects.toThrow('not in a directory served to the browser')
+        await expect(reader.readHeader(pathToFileURL(path).href)).rejects.toThrow('not in a directory served to the browser')
+        await expect(reader.readHeader(join(dir, 'data', '..', 'outside.hic'))).rejects.toThrow('not in a directory served to the browser')
+        await expect(reader.getContactMatrix(join(dir, 'data', 'missing.hic'), {locus1: 'chr1'})).rejects.toThrow('File not found')
+    })
+
+    test("Local maps are not read without file roots", async function () {
+        const reader = new HicReader(new LocalFiles([], 'http://localhost:3010'))
+        await expect(reader.readHeader(join(dir, 'outside.hic'))).rejects.toThrow('JUICEBOX_MCP_FILE_ROOTS')
+    })
+
+    test("hic-straw logs to stderr, not to stdout", async function () {
+        const log = console.log
+        const stdout = vi.fn()
+        const stderr = vi.spyOn(console, 'error').mockImplementation(() => {})
+        console.log = stdout
+        try {
+            const reader = new HicReader(new LocalFiles([], 'http://localhost:3010'))
+            const headers = await Promise.all([reader.readHeader('https://example.org/a.hic'), reader.readHeader('https://example.org/b.hic')])
+            expect(headers.map(header => header.normalizations)).toEqual([['NONE'], ['NONE']])
+
+            expect(stdout).not.toHaveBeenCalled()
+            expect(stderr).toHaveBeenCalledWith('Reading https://example.org/a.hic')
+            expect(stderr).toHaveBeenCalledWith('Normalization vectors not present in this file')
+            expect(console.log).toBe(stdout)
+        } finally {
+            console.log = log
+            stderr.mockRestore()
+        }
+    })
+})
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { registerLocalDataSource, getAllSourceIds } from "../src/dataSourceConfigs.js"
+import { parseDataSource, clearCache } from "../src/dataParsers.js"
+import { filterMaps } from "../src/mapFilter.js"
+
+// The start of a .hic header: magic, version, footer position and genome ID
+function hicHeader(genome) {
+    const buffer = Buffer.alloc(16 + genome.length + 1)
+    buffer.write('HIC\0', 0, 'latin1')
+    buffer.writeInt32LE(8, 4)
+    buffer.writeBigInt64LE(0n, 8)
+    buffer.write(genome, 16, 'utf8')
+    return buffer
+}
+
+describe("local data source", function () {
+
+    let dir
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'local-catalog-'))
+        mkdirSync(join(dir, 'gm12878'))
+        mkdirSync(join(dir, '.trash'))
+        writeFileSync(join(dir, 'gm12878', 'inSitu_rep1.hic'), hicHeader('hg19'))
+        writeFileSync(join(dir, 'gm12878', 'loops.bedpe'), 'chr1\t1\t2\tchr1\t3\t4\n')
+        writeFileSync(join(dir, 'esc.hic'), hicHeader('/refs/mm10.chrom.sizes'))
+        writeFileSync(join(dir, 'ctcf.bw'), 'bigwig')
+        writeFileSync(join(dir, 'notes.txt'), 'not a map')
+        writeFileSync(join(dir, '.trash', 'old.hic'), hicHeader('hg38'))
+        writeFileSync(join(dir, 'metadata.tsv'),
+            '# Lab samples\nFile\tBiosource\tLab\tReplicate\n' +
+            'gm12878/inSitu_rep1.hic\tGM12878\tAiden\t1\n' +
+            'esc.hic\tmouse embryonic stem cells\tAiden\t2\n')
+        writeFileSync(join(dir, 'ctcf.bw.json'), JSON.stringify({Biosource: 'K562', Assembly: 'hg38', Target: ['CTCF']}))
+        registerLocalDataSource([dir])
+        clearCache('local')
+    })
+
+    afterEach(function () {
+        registerLocalDataSource([])
+        clearCache('local')
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Maps and tracks are found with their metadata", async function () {
+        const maps = await parseDataSource('local')
+        const byName = Object.fromEntries(maps.map(map => [map.name, map]))
+
+        expect(Object.keys(byName).sort()).toEqual(['ctcf', 'esc', 'inSitu_rep1', 'loops'])
+        expect(byName.inSitu_rep1.url).toBe(join(dir, 'gm12878', 'inSitu_rep1.hic'))
+        expect(byName.inSitu_rep1.source).toBe('local')
+        expect(byName.inSitu_rep1.metadata).toMatchObject({
+            Assembly: 'hg19', Type: 'map', Format: 'hic', Directory: 'gm12878',
+            Biosource: 'GM12878', Lab: 'Aiden', Replicate: '1'
+        })
+        expect(byName.esc.metadata.Assembly).toBe('mm10')
+        expect(byName.esc.metadata._species).toBe('mouse')
+        expect(byName.loops.metadata).toMatchObject({Assembly: '', Type: 'track', Format: 'bedpe'})
+        expect(byName.ctcf.metadata).toMatchObject({Assembly: 'hg38', Format: 'bigwig', Biosource: 'K562', Target: 'CTCF'})
+    })
+
+    test("Local maps are searchable", async function () {
+        const maps = await parseDataSource('local')
+        // The directory is searched too
+        expect(filterMaps(maps, 'gm12878').map(map => map.name).sort()).toEqual(['inSitu_rep1', 'loops'])
+        expect(filterMaps(maps, 'embryonic stem').map(map => map.name)).toEqual(['esc'])
+    })
+
+    test("The source is only registered with directories", async function () {
+        expect(getAllSourceIds()).toContain('local')
+        registerLocalDataSource([])
+        expect(getAllSourceIds()).not.toContain('local')
+
+        registerLocalDataSource([join(dir, 'missing')])
+        await expect(parseDataSource('local', false)).rejects.toThrow('Directory not found')
+    })
+})
@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import express from 'express';
+import cors from 'cors';
+import { LocalFiles, FILES_ROUTE, filesCorsOptions } from "../src/localFiles.js"
+
+describe("local files", function () {
+
+    let dir
+    let files
+
+    beforeEach(function () {
+        dir = mkdtempSync(join(tmpdir(), 'local-files-'))
+        mkdirSync(join(dir, 'data'))
+        writeFileSync(join(dir, 'data', 'a b.hic'), 'HIC')
+        writeFileSync(join(dir, 'secret.txt'), 'secret')
+        files = new LocalFiles([join(dir, 'data')], 'http://localhost:3010/')
+    })
+
+    afterEach(function () {
+        rmSync(dir, {recursive: true, force: true})
+    })
+
+    test("Files under a root are served by path", async function () {
+        const path = join(dir, 'data', 'a b.hic')
+        const url = await files.toUrl(path)
+        expect(url.startsWith('http://localhost:3010/files/')).toBe(true)
+        expect(url.endsWith('/data/a%20b.hic')).toBe(true)
+        expect(await files.toUrl(pathToFileURL(path).href)).toBe(url)
+    })
+
+    test("Files outside the roots are rejected", async function () {
+        await expect(files.toUrl(join(dir, 'secret.txt'))).rejects.toThrow('not in a directory served to the browser')
+        await expect(files.toUrl(join(dir, 'data', '..', 'secret.txt'))).rejects.toThrow('not in a directory served to the browser')
+        await expect(files.toUrl(join(dir, 'data', 'missing.hic'))).rejects.toThrow('File not found')
+        await expect(files.toUrl(join(dir, 'data'))).rejects.toThrow('not in a directory served to the browser')
+    })
+
+    test("Symbolic links may not lead outside the roots", async function () {
+        symlinkSync(join(dir, 'secret.txt'), join(dir, 'data', 'link.txt'))
+        await expect(files.toUrl(join(dir, 'data', 'link.txt'))).rejects.toThrow('not in a directory served to the browser')
+    })
+
+    test("Nothing is served without roots", async function () {
+        expect(LocalFiles.parseRoots('')).toEqual([])
+        const disabled = new LocalFiles(LocalFiles.parseRoots(undefined), 'http://localhost:3010')
+        expect(disabled.enabled).toBe(false)
+        await expect(disabled.toUrl(join(dir, 'data', 'a b.hic'))).rejects.toThrow('JUICEBOX_MCP_FILE_ROOTS')
+    })
+
+    test("Only the Juicebox app may read files from another origin", async function () {
+        const app = express()
+        app.use(FILES_ROUTE, cors(filesCorsOptions('http://localhost:5173/app/')), files.handler())
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+        })
+        try {
+            const url = (await files.toUrl(join(dir, 'data', 'a b.hic'))).replace('http://localhost:3010', `http://127.0.0.1:${server.address().port}`)
+
+            const allowed = await fetch(url, {headers: {Origin: 'http://localhost:5173', Range: 'bytes=0-1'}})
+            expect(allowed.status).toBe(206)
+            expect(allowed.headers.get('access-control-allow-origin')).toBe('http://localhost:5173')
+            expect(await allowed.text()).toBe('HI')
+
+            const foreign = await fetch(url, {headers: {Origin: 'https://example.org'}})
+            expect(foreign.headers.get('access-control-allow-origin')).toBeNull()
+            const preflight = await fetch(url, {method: 'OPTIONS', headers: {Origin: 'https://example.org', 'Access-Control-Request-Method': 'GET'}})
+            expect(preflight.headers.get('access-control-allow-origin')).toBeNull()
+        } finally {
+            await new Promise(resolve => server.close(resolve))
+        }
+    })
+})
@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import { filterMaps, filtersToQuery, parseQuery, sortMaps, QuerySyntaxError } from "../src/mapFilter.js"
+import { enrichMaps } from "../src/metadataEnricher.js"
+
+const maps = enrichMaps([
+    {url: 'https://example.org/1.hic', name: 'K562 in situ', source: '4dn', metadata: {Assembly: 'hg38', Biosource: 'K562', Lab: 'Job Dekker, UMASS', Replicate: '1'}},
+    {url: 'https://example.org/2.hic', name: 'GM12878 in situ', source: '4dn', metadata: {Assembly: 'hg19', Biosource: 'GM12878', Lab: 'Erez Aiden, BCM', Replicate: '2'}},
+    {url: 'https://example.org/3.hic', name: 'GM12878 dilution', source: '4dn', metadata: {Assembly: 'GRCh38', Biosource: 'GM12878', Lab: 'Job Dekker, UMASS', Replicate: '3'}},
+    {url: 'https://example.org/4.hic', name: 'mESC', source: 'encode', metadata: {Assembly: 'mm10', Biosample: 'embryonic stem cell', Lab: 'Bing Ren, UCSD', BioRep: '2'}}
+])
+
+const names = (query, options) => filterMaps(maps, query, options).map(map => map.name).sort()
+
+describe("map filter", function () {
+
+    test("Words must all match", function () {
+        expect(names('gm12878 umass')).toEqual(['GM12878 dilution'])
+        expect(names('')).toEqual(maps.map(map => map.name).sort())
+    })
+
+    test("Field-scoped terms", function () {
+        expect(names('lab:dekker')).toEqual(['GM12878 dilution', 'K562 in situ'])
+        expect(names('assembly:hg38')).toEqual(['GM12878 dilution', 'K562 in situ'])
+
+        // Biosource and Biosample are searched together
+        expect(names('biosource:"embryonic stem"')).toEqual(['mESC'])
+        expect(() => names('tissue:heart')).toThrow(QuerySyntaxError)
+        expect(() => names('tissue:heart')).toThrow('Unknown field "tissue". Fields: Assembly, BioRep, Biosample, Biosource, Lab, Replicate, name')
+    })
+
+    test("OR and negation", function () {
+        expect(names('assembly:hg19 OR assembly:mm10')).toEqual(['GM12878 in situ', 'mESC'])
+        expect(names('dekker k562 OR dilution')).toEqual(['GM12878 dilution', 'K562 in situ'])
+        expect(names('k562 OR mesc bing')).toEqual(['mESC'])
+        expect(names('lab:dekker -K562')).toEqual(['GM12878 dilution'])
+        expect(names('NOT source:4dn')).toEqual(['mESC'])
+
+        // Negated terms are not fuzzy, or -hg19 would exclude hg38 maps
+        expect(names('-hg19 -mm10')).toEqual(['GM12878 dilution', 'K562 in situ'])
+    })
+
+    test("Numeric filters", function () {
+        expect(names('replicate:2')).toEqual(['GM12878 in situ', 'mESC'])
+        expect(names('replicate:>=2')).toEqual(['GM12878 dilution', 'GM12878 in situ', 'mESC'])
+        expect(names('replicate:1..2 lab:dekker')).toEqual(['K562 in situ'])
+        expect(() => names('replicate:>two')).toThrow('Expected a number after > in replicate:>two')
+    })
+
+    test("Syntax errors", function () {
+        expect(() => parseQuery('lab:"Dekker')).toThrow('Unterminated quote')
+        expect(() => parseQuery('OR hg38')).toThrow('OR must be between two search terms')
+        expect(() => parseQuery('hg38 OR')).toThrow("can't end with OR")
+        expect(parseQuery('https://example.org/1.hic')).toEqual([[{negated: false, value: 'https://example.org/1.hic', phrase: false}]])
+    })
+
+    test("Structured filters", function () {
+        const filters = {Lab: ['Dekker', 'Erez Aiden'], Replicate: {min: 2}, Biosource: {not: 'K562'}}
+        expect(filtersToQuery(filters)).toBe('Lab:Dekker OR Lab:"Erez Aiden" Replicate:>=2 -Biosource:K562')
+        expect(names('', {filters})).toEqual(['GM12878 dilution', 'GM12878 in situ'])
+        expect(names('dilution', {filters})).toEqual(['GM12878 dilution'])
+    })
+
+    test("Sorting", function () {
+        const results = filterMaps(maps, 'gm12878 OR k562 OR mesc')
+        expect(sortMaps(results, 'assembly').map(map => map.metadata.Assembly)).toEqual(['GRCh38', 'hg19', 'hg38', 'mm10'])
+
+        // Maps with the same value stay in relevance order
+        const byLab = sortMaps(results, 'lab')
+        expect(byLab.map(map => map.metadata.Lab)).toEqual(['Bing Ren, UCSD', 'Erez Aiden, BCM', 'Job Dekker, UMASS', 'Job Dekker, UMASS'])
+        const dekker = results.filter(map => map.metadata.Lab.startsWith('Job'))
+        expect(byLab.slice(2)).toEqual(dekker)
+
+        // Maps without the field come last
+        const accessioned = [...results, {...maps[0], name: 'x', metadata: {Accession: '4DNFI2'}}, {...maps[0], name: 'y', metadata: {Accession: '4DNFI10'}}]
+        expect(sortMaps(accessioned, 'accession').map(map => map.name).slice(0, 2)).toEqual(['x', 'y'])
+        expect(() => sortMaps(results, 'size')).toThrow('Unknown sort key "size". Sort keys: score, assembly, lab, accession')
+    })
+})
@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest';
+import { countFacets, selectFacets } from "../src/searchFacets.js"
+import { formatFacets, formatSearchResultsJSON } from "../src/resultFormatter.js"
+
+const maps = [
+    {name: 'a', metadata: {Assembly: 'hg38', Biosource: 'K562', Lab: 'Dekker'}},
+    {name: 'b', metadata: {Assembly: 'hg38', Biosample: 'GM12878', Lab: 'Aiden'}},
+    {name: 'c', metadata: {Assembly: 'mm10', Biosource: 'mESC', Lab: 'Dekker'}},
+    {name: 'd', metadata: {Assembly: 'hg19', Biosource: 'K562', Lab: ''}}
+]
+
+describe("search facets", function () {
+
+    test("Values are counted, most frequent first", function () {
+        const facets = countFacets(maps)
+        expect(facets.Assembly).toEqual([{value: 'hg38', count: 2}, {value: 'hg19', count: 1}, {value: 'mm10', count: 1}])
+        expect(facets.Biosource).toEqual([{value: 'K562', count: 2}, {value: 'GM12878', count: 1}, {value: 'mESC', count: 1}])
+        expect(facets.Lab).toEqual([{value: 'Dekker', count: 2}, {value: 'Aiden', count: 1}])
+        expect(facets.Assay).toBeUndefined()
+    })
+
+    test("Selections", function () {
+        const selections = {assembly: ['HG38', 'mm10'], Lab: 'Dekker'}
+        expect(selectFacets(maps, selections).map(map => map.name)).toEqual(['a', 'c'])
+
+        // Selected facets are counted over the maps matching the other selections
+        const facets = countFacets(maps, selections)
+        expect(facets.Assembly).toEqual([{value: 'hg38', count: 1}, {value: 'mm10', count: 1}])
+        expect(facets.Lab).toEqual([{value: 'Dekker', count: 2}, {value: 'Aiden', count: 1}])
+        expect(facets.Biosource).toEqual([{value: 'K562', count: 1}, {value: 'mESC', count: 1}])
+
+        expect(() => selectFacets(maps, {Tissue: 'heart'})).toThrow('Unknown facet "Tissue". Facets: Assembly, Biosource, Lab, Assay, Experiment, Species, Category')
+    })
+
+    test("Text and structured data", function () {
+        expect(formatFacets(countFacets(maps, {Lab: 'Dekker'}), 2, {Lab: 'Dekker'})).toBe(
+            'Facets of the 2 matching maps:\n' +
+            '  Assembly: hg38 (1), mm10 (1)\n' +
+            '  Biosource: K562 (1), mESC (1)\n' +
+            '  Lab (selected): Dekker (2), Aiden (1)\n')
+
+        const json = JSON.parse(formatSearchResultsJSON(maps.slice(0, 1), {facets: countFacets(maps)}))
+        expect(json.results).toEqual(maps.slice(0, 1))
+        expect(json.facets.Lab).toEqual([{value: 'Dekker', count: 2}, {value: 'Aiden', count: 1}])
+    })
+})
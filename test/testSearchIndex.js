@@ -0,0 +1,52 @@
+import { describe, test, expect } from 'vitest';
+import { SearchIndex, tokenize } from "../src/searchIndex.js"
+import { filterMaps } from "../src/mapFilter.js"
+import { formatSearchResultsJSON } from "../src/resultFormatter.js"
+
+const maps = [
+    {url: 'https://example.org/k562.hic', name: 'Hi-C of K562', source: 'lab', metadata: {Biosource: 'K562', Lab: 'Dekker'}},
+    {url: 'https://example.org/k562_ctcf.hic', name: 'CTCF knockdown', source: 'lab', metadata: {Biosource: 'HeLa-S3', Lab: 'Dekker'}},
+    {url: 'https://example.org/esc.hic', name: 'mESC', source: 'lab', metadata: {Biosource: 'embryonic stem cell', Lab: 'Ren'}},
+    {url: 'https://example.org/gm.hic', name: 'GM12878', source: 'lab', metadata: {Biosource: 'GM12878', Lab: 'Aiden', Description: 'in situ'}}
+]
+
+describe("search index", function () {
+
+    const index = new SearchIndex(maps)
+    const search = (text, options) => [...index.search(text, options)]
+        .sort((a, b) => b[1].score - a[1].score)
+        .map(([map, hit]) => [map.name, hit.type])
+
+    test("Tokens", function () {
+        expect(tokenize('HeLa-S3, in situ')).toEqual(['hela', 's3', 'helas3', 'in', 'situ'])
+    })
+
+    test("Matches in the name and biosource rank above matches in the URL", function () {
+        expect(search('k562')).toEqual([['Hi-C of K562', 'exact'], ['CTCF knockdown', 'exact']])
+        expect(index.search('k562').get(maps[1]).fields).toEqual(['url'])
+        expect(search('helas3')).toEqual([['CTCF knockdown', 'exact']])
+    })
+
+    test("Prefixes, misspellings and phrases", function () {
+        expect(search('embryo')).toEqual([['mESC', 'prefix']])
+        expect(search('dekkr').map(([, type]) => type)).toEqual(['fuzzy', 'fuzzy'])
+        expect(search('dekkr', {fuzzy: false})).toEqual([])
+        expect(search('stem cell')).toEqual([['mESC', 'exact']])
+        expect(search('cell stem')).toEqual([])
+    })
+
+    test("Search results explain their score", function () {
+        const results = filterMaps(maps, 'k562 lab:dekker', {indexes: [index]})
+        expect(results.map(map => map.name)).toEqual(['Hi-C of K562', 'CTCF knockdown'])
+        expect(results[0]._score).toBeGreaterThan(results[1]._score)
+        expect(results[0]._matches).toEqual([
+            {term: 'k562', matched: 'k562', type: 'exact', fields: ['name', 'url', 'Biosource']},
+            {term: 'lab:dekker', matched: 'dekker', type: 'field', fields: ['Lab']}
+        ])
+
+        const json = JSON.parse(formatSearchResultsJSON(results))
+        expect(json[0]).toMatchObject({name: 'Hi-C of K562', score: expect.any(Number), matches: results[0]._matches})
+        expect(json[0]._score).toBeUndefined()
+        expect(JSON.parse(formatSearchResultsJSON(maps))).toEqual(maps)
+    })
+})
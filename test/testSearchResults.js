@@ -0,0 +1,50 @@
+import { describe, test, expect } from 'vitest';
+import { SearchResultSets, resultHandle, encodeSearchCursor, decodeSearchCursor } from "../src/searchResults.js"
+import { formatSearchResults } from "../src/resultFormatter.js"
+
+const map = (source, url, metadata = {}) => ({url, name: url, source, metadata})
+
+describe("search results", function () {
+
+    test("Handles", function () {
+        expect(resultHandle(map('4dn', 'https://example.org/4DNFI1.hic', {Accession: '4DNFI1'}))).toBe('4dn:4DNFI1')
+        expect(resultHandle(map('lab', 'https://example.org/maps/gm.hic?token=x'))).toBe('lab:gm')
+        expect(resultHandle(map('local', '/data/sub/esc.hic', {Directory: 'sub'}))).toBe('local:sub/esc')
+        expect(resultHandle(map('local', '/data/loops.bedpe', {Directory: '.'}))).toBe('local:loops.bedpe')
+    })
+
+    test("Results are found by handle or by number in the last search, per session", function () {
+        const results = new SearchResultSets(3)
+        const first = results.add('s1', [map('lab', 'a.hic'), map('lab', 'b.hic')])
+        expect(first.map(result => result.handle)).toEqual(['lab:a', 'lab:b'])
+
+        results.add('s1', [map('lab', 'c.hic'), map('lab', 'd.hic')])
+        expect(results.get('s1', 1).url).toBe('c.hic')
+        expect(results.get('s1', '2').url).toBe('d.hic')
+        expect(results.get('s1', 3)).toBeNull()
+
+        // The oldest results are forgotten
+        expect(results.get('s1', 'lab:b').url).toBe('b.hic')
+        expect(results.get('s1', 'lab:a')).toBeNull()
+
+        expect(results.get('s2', 'lab:b')).toBeNull()
+        results.delete('s1')
+        expect(results.get('s1', 'lab:b')).toBeNull()
+    })
+
+    test("Pages", function () {
+        const search = {source: 'all', query: 'human', sort: 'lab', limit: 50, offset: 50}
+        expect(decodeSearchCursor(encodeSearchCursor(search))).toEqual(search)
+        expect(() => decodeSearchCursor('garbage')).toThrow('Invalid cursor')
+
+        const results = new SearchResultSets()
+        results.add('s1', [map('lab', 'a.hic'), map('lab', 'b.hic')], 51)
+        expect(results.get('s1', 52).url).toBe('b.hic')
+        expect(results.get('s1', 1)).toBeNull()
+
+        const table = formatSearchResults([map('lab', 'a.hic')], 'human', 'all', {total: 300, first: 51})
+        expect(table).toMatch(/^Found 300 maps matching "human", showing 51-51:\n/)
+        expect(table).toContain('\n51 | lab')
+        expect(formatSearchResults([], 'human', 'all', {total: 300, first: 301})).toBe('Found 300 maps matching "human", none from #301.\n')
+    })
+})
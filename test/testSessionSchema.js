@@ -0,0 +1,136 @@
+import { describe, test, expect } from 'vitest';
+import {parseSession, SessionValidationError, SESSION_VERSION} from "../js/sessionSchema.js"
+
+describe("session schema", function () {
+
+    const current = () => ({
+        version: SESSION_VERSION,
+        browsers: [
+            {
+                url: "https://example.org/a.hic",
+                name: "A",
+                state: {chr1: 1, chr2: 1, zoom: 5, x: 100.5, y: 100.5, pixelSize: 1, normalization: "KR"},
+                colorScale: "2000,255,0,0",
+                ratioColorScale: "R:5:5,255,0,0:5,0,0,255",
+                backgroundColor: "255,255,255",
+                controlUrl: "https://example.org/b.hic",
+                displayMode: "AOB",
+                tracks: [{url: "https://example.org/genes.bed", name: "Genes", min: 0, max: 10}, {type: "sequence", format: "sequence"}],
+                figureMode: false
+            }
+        ],
+        caption: "Loops"
+    })
+
+    test("Current sessions are unchanged", function () {
+        const {session, changes} = parseSession(current())
+        expect(changes).toEqual([])
+        expect(session).toEqual(current())
+    })
+
+    test("Legacy single-browser config is migrated", function () {
+        const legacy = {
+            url: "https://example.org/a.hic",
+            state: "7,7,5,815.66029,815.66029,640,640,1,NONE",
+            colorScale: "23,255,114,110",
+            selectedGene: "egfr",
+            caption: "EGFR"
+        }
+        const {session, changes} = parseSession(legacy)
+
+        expect(session.version).toBe(SESSION_VERSION)
+        expect(session.caption).toBe("EGFR")
+        expect(session.selectedGene).toBe("egfr")
+        expect(session.browsers.length).toBe(1)
+        expect(session.browsers[0].url).toBe(legacy.url)
+        expect(session.browsers[0].state).toEqual({chr1: 7, chr2: 7, zoom: 5, x: 815.66029, y: 815.66029, pixelSize: 1, normalization: "NONE"})
+        expect(changes.length).toBe(2)
+
+        // The input is not modified
+        expect(legacy.state).toBe("7,7,5,815.66029,815.66029,640,640,1,NONE")
+    })
+
+    test("Old state strings without width and height", function () {
+        const {session} = parseSession({browsers: [{url: "a.hic", state: "1,1,3,10,20,2"}]})
+        expect(session.browsers[0].state).toEqual({chr1: 1, chr2: 1, zoom: 3, x: 10, y: 20, pixelSize: 2, normalization: "NONE"})
+    })
+
+    test("Old color scale formats", function () {
+        const {session} = parseSession({
+            browsers: [
+                {url: "a.hic", colorScale: {threshold: 500, r: 0, g: 0, b: 255}, backgroundColor: {r: 0, g: 74, b: 136}},
+                {url: "b.hic", colorScale: "1500"},
+                {url: "c.hic", colorScale: "R:5:5,255,0,0:5,0,0,255", controlUrl: "d.hic", displayMode: "AOB"}
+            ]
+        })
+        expect(session.browsers[0].colorScale).toBe("500,0,0,255")
+        expect(session.browsers[0].backgroundColor).toBe("0,74,136")
+        expect(session.browsers[1].colorScale).toBe("1500,255,0,0")
+        expect(session.browsers[2].colorScale).toBeUndefined()
+        expect(session.browsers[2].ratioColorScale).toBe("R:5:5,255,0,0:5,0,0,255")
+    })
+
+    test("Color scale objects parsed by decodeQuery", function () {
+        class Scale {
+            constructor(threshold, r, g, b) {
+                Object.assign(this, {threshold, r, g, b, cache: []})
+            }
+        }
+        const ratio = {threshold: 5, positiveScale: new Scale(5, 255, 0, 0), negativeScale: new Scale(5, 0, 0, 255)}
+        const {session} = parseSession({url: "a.hic", controlUrl: "b.hic", colorScale: Object.assign(new Scale(), ratio)})
+        expect(session.browsers[0].colorScale).toBeUndefined()
+        expect(session.browsers[0].ratioColorScale).toBe("R:5:5,255,0,0:5,0,0,255")
+    })
+
+    test("Query parameters as decodeQuery leaves them", function () {
+        // e.g. ?hicUrl=a.hic&cycle=true&tracks=genes.bed|Genes|0-|||peaks.bed|Peaks|-5-10
+        const {session, changes} = parseSession({
+            url: "a.hic",
+            cycle: "true",
+            tracks: [{url: "genes.bed", name: "Genes", min: 0, max: NaN}, {url: "peaks.bed", name: "Peaks", min: "-5", max: "10"}]
+        })
+        expect(session.browsers[0].cycle).toBe(true)
+        expect(session.browsers[0].tracks).toEqual([{url: "genes.bed", name: "Genes", min: 0}, {url: "peaks.bed", name: "Peaks", min: -5, max: 10}])
+        expect(changes).toContain("browsers[0].cycle: Converted to a boolean")
+
+        expect(parseSession({url: "a.hic", cycle: "false"}).session.browsers[0].cycle).toBe(false)
+        expect(parseSession({browsers: [{url: "a.hic", tracks: [{url: "b.bed", min: null, max: ""}]}]}).session.browsers[0].tracks).toEqual([{url: "b.bed"}])
+        expect(() => parseSession({url: "a.hic", cycle: "often"})).toThrow("browsers[0].cycle: Expected boolean, received string")
+    })
+
+    test("Errors name the offending property", function () {
+        const session = current()
+        session.browsers[0].state.zoom = "5"
+        session.browsers[0].colorScale = "red"
+        session.browsers[0].tracks.push({name: "no url"})
+
+        let error
+        try {
+            parseSession(session)
+        } catch (e) {
+            error = e
+        }
+        expect(error).toBeInstanceOf(SessionValidationError)
+        expect(error.issues).toEqual([
+            "browsers[0].state.zoom: Expected number, received string",
+            'browsers[0].colorScale: Expected a color scale "threshold,r,g,b", e.g. "2000,255,0,0"',
+            'browsers[0].tracks[2]: A track needs a "url" (only sequence tracks have none)'
+        ])
+    })
+
+    test("Comparison display modes need a control map", function () {
+        const session = current()
+        delete session.browsers[0].controlUrl
+        expect(() => parseSession(session)).toThrow('browsers[0].displayMode: Display mode AOB needs a control map ("controlUrl")')
+    })
+
+    test("A config without a map is an empty browser", function () {
+        const {session} = parseSession({backgroundColor: "255,255,255"})
+        expect(session.browsers).toEqual([{backgroundColor: "255,255,255"}])
+    })
+
+    test("Empty and newer sessions are rejected", function () {
+        expect(() => parseSession({version: SESSION_VERSION, browsers: []})).toThrow("browsers: A session needs at least one browser")
+        expect(() => parseSession({version: SESSION_VERSION + 1, browsers: []})).toThrow("newer")
+    })
+})
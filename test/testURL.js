@@ -4,6 +4,7 @@
 
 import { describe, test, expect } from 'vitest';
 import {extractConfig} from "../js/urlUtils.js";
+import {parseSession} from "../js/sessionSchema.js";
 
 describe("testURLs", function () {
 
@@ -68,4 +69,20 @@ describe("testURLs", function () {
 
     })
 
+    test("Legacy parameters pass session validation", async function () {
+
+        const url = "http://www.aidenlab.org/juicebox/?hicUrl=https://s3.amazonaws.com/hicfiles/external/wapl_hic/WT.hic&state=3,3,6,5537.98746,5537.749239047619,1,KR&cycle=true&tracks=http://example.org/signal.bw|Signal|-5-10|rgb(22,%20129,%20198)"
+
+        const config = await extractConfig(url);
+        expect(config.cycle).toBe("true");
+
+        // restoreSession validates the config with parseSession before creating the browsers
+        const {session} = parseSession(config);
+        const browser = session.browsers[0];
+        expect(browser.cycle).toBe(true);
+        expect(browser.tracks[0].min).toBe(-5);
+        expect(browser.tracks[0].max).toBe(10);
+
+    })
+
 })
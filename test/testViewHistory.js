@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'vitest';
+import ViewHistory from "../js/viewHistory.js"
+
+// Stand-in for State, which only needs to be cloneable here
+function view(x, normalization = 'NONE') {
+    const state = {chr1: 1, chr2: 1, zoom: 3, x, y: x, pixelSize: 1, normalization}
+    state.clone = () => view(state.x, state.normalization)
+    return state
+}
+
+describe("view history", function () {
+
+    test("Undo and redo step through recorded views", function () {
+        const history = new ViewHistory()
+        history.record(view(0))
+        history.record(view(10))
+        history.record(view(20))
+
+        expect(history.undo().x).toBe(10)
+        expect(history.undo().x).toBe(0)
+        expect(history.canUndo()).toBe(false)
+        expect(history.undo()).toBeUndefined()
+
+        expect(history.redo(2).x).toBe(20)
+        expect(history.canRedo()).toBe(false)
+    })
+
+    test("Current view is not recorded twice", function () {
+        const history = new ViewHistory()
+        expect(history.record(view(0))).toBe(true)
+        expect(history.record(view(0, 'KR'))).toBe(false)
+        expect(history.entries.length).toBe(1)
+    })
+
+    test("Recording after undo discards the forward views", function () {
+        const history = new ViewHistory()
+        history.record(view(0))
+        history.record(view(10))
+        history.record(view(20))
+        history.undo(2)
+
+        // Applying the restored view records it again, which must not lose the forward views
+        history.record(view(0))
+        expect(history.canRedo()).toBe(true)
+
+        history.record(view(5))
+        expect(history.canRedo()).toBe(false)
+        expect(history.entries.map(s => s.x)).toEqual([0, 5])
+    })
+
+    test("Oldest views are dropped", function () {
+        const history = new ViewHistory(3)
+        for (let x = 0; x < 5; x++) {
+            history.record(view(x))
+        }
+        expect(history.entries.map(s => s.x)).toEqual([2, 3, 4])
+        expect(history.undo(10).x).toBe(2)
+    })
+})
@@ -0,0 +1,36 @@
+import { describe, test, expect } from 'vitest';
+import { panPixels, panResult } from "../js/viewPan.js"
+
+// 800 x 600 pixel view at 5 kb bins, 2 pixels per bin
+const view = {width: 800, height: 600, binSize: 5000, pixelSize: 2}
+
+describe("view pan", function () {
+
+    test("Amounts in base pairs, bins and fractions of the view", function () {
+        expect(panPixels({direction: 'right', amount: 50000}, view)).toEqual({dx: 20, dy: 0})
+        expect(panPixels({direction: 'right', amount: 50000, unit: 'bp'}, view)).toEqual({dx: 20, dy: 0})
+        expect(panPixels({direction: 'down', amount: 10, unit: 'bins'}, view)).toEqual({dx: 0, dy: 20})
+        expect(panPixels({direction: 'right', amount: 0.5, unit: 'fraction'}, view)).toEqual({dx: 400, dy: 0})
+        expect(panPixels({direction: 'down', amount: 0.5, unit: 'fraction'}, view)).toEqual({dx: 0, dy: 300})
+    })
+
+    test("Directions", function () {
+        const pan = direction => panPixels({direction, amount: 1, unit: 'bins'}, view)
+        expect(pan('left')).toEqual({dx: -2, dy: 0})
+        expect(pan('up')).toEqual({dx: 0, dy: -2})
+        expect(pan('forward')).toEqual({dx: 2, dy: 2})
+        expect(pan('backward')).toEqual({dx: -2, dy: -2})
+        expect(() => pan('sideways')).toThrow('Unknown direction: sideways')
+    })
+
+    test("A pan stopped at the chromosome end is reported as clamped", function () {
+        const shift = panPixels({direction: 'forward', amount: 50000}, view)
+
+        expect(panResult(shift, {x: 100, y: 100}, {x: 110, y: 110}, view))
+            .toEqual({shiftedBP: {x: 50000, y: 50000}, clamped: false})
+        expect(panResult(shift, {x: 100, y: 100}, {x: 104, y: 110}, view))
+            .toEqual({shiftedBP: {x: 20000, y: 50000}, clamped: true})
+        expect(panResult({dx: -20, dy: 0}, {x: 3, y: 0}, {x: 0, y: 0}, view))
+            .toEqual({shiftedBP: {x: -15000, y: 0}, clamped: true})
+    })
+})